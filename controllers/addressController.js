@@ -0,0 +1,123 @@
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+
+const ADDRESS_FIELDS = ['label', 'fullName', 'phoneNumber', 'street', 'addressLine2', 'city', 'state', 'postalCode', 'country'];
+const DEFAULT_FLAGS = ['isDefaultShipping', 'isDefaultBilling'];
+
+// Each default flag is held by at most one address
+const applyDefaultFlags = (user, address, body) => {
+    DEFAULT_FLAGS.forEach(flag => {
+        if (body[flag] === undefined) return;
+        if (body[flag]) {
+            user.addresses.forEach(a => a[flag] = false);
+        }
+        address[flag] = Boolean(body[flag]);
+    });
+};
+
+// Hand a default flag that was left without an owner to the first remaining address
+const ensureDefaults = (user) => {
+    if (user.addresses.length === 0) return;
+    DEFAULT_FLAGS.forEach(flag => {
+        if (!user.addresses.some(a => a[flag])) {
+            user.addresses[0][flag] = true;
+        }
+    });
+};
+
+// Only the address book is touched, so only it is validated; schema errors become 400s
+const saveAddressBook = async (res, user) => {
+    try {
+        await user.save({ validateModifiedOnly: true });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            res.status(400);
+            throw new Error(Object.values(error.errors).map(e => e.message).join(', '));
+        }
+        throw error;
+    }
+};
+
+const loadUser = async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    return user;
+};
+
+// @desc    Get saved addresses
+// @route   GET /api/users/addresses
+// @access  Private
+const getAddresses = asyncHandler(async (req, res) => {
+    const user = await loadUser(req, res);
+    res.json(user.addresses);
+});
+
+// @desc    Add an address
+// @route   POST /api/users/addresses
+// @access  Private
+const addAddress = asyncHandler(async (req, res) => {
+    const user = await loadUser(req, res);
+
+    const fields = {};
+    ADDRESS_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    applyDefaultFlags(user, address, req.body);
+    ensureDefaults(user);
+
+    await saveAddressBook(res, user);
+    res.status(201).json(user.addresses);
+});
+
+// @desc    Update an address or its default flags
+// @route   PUT /api/users/addresses/:addressId
+// @access  Private
+const updateAddress = asyncHandler(async (req, res) => {
+    const user = await loadUser(req, res);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+        res.status(404);
+        throw new Error('Address not found');
+    }
+
+    ADDRESS_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+    applyDefaultFlags(user, address, req.body);
+
+    await saveAddressBook(res, user);
+    res.json(user.addresses);
+});
+
+// @desc    Delete an address
+// @route   DELETE /api/users/addresses/:addressId
+// @access  Private
+const deleteAddress = asyncHandler(async (req, res) => {
+    const user = await loadUser(req, res);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+        res.status(404);
+        throw new Error('Address not found');
+    }
+
+    address.deleteOne();
+    ensureDefaults(user);
+
+    await saveAddressBook(res, user);
+    res.json(user.addresses);
+});
+
+module.exports = {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress
+};
@@ -4,6 +4,9 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const ReturnRequest = require('../models/ReturnRequest');
 const AuditLog = require('../models/AuditLog');
+const { issueReturnCreditNote } = require('../utils/issueCreditNote');
+const { releaseStock } = require('../utils/productStock');
+const { queueBackInStock } = require('../utils/backInStock');
 
 // @desc    Get all pending approval requests
 // @route   GET /api/admin/management/approvals/pending
@@ -61,7 +64,7 @@ const approveRequest = asyncHandler(async (req, res) => {
                 if (returnReq) {
                     const { status, adminNote, refundAmount, restoreInventory } = approval.requestData || {};
                     const order = await Order.findById(returnReq.order);
-                    const item = order ? order.orderItems.find(i => i.product.toString() === returnReq.orderItem.product.toString()) : null;
+                    const item = returnReq.findOrderItem(order);
 
                     returnReq.status = status;
                     returnReq.adminNote = adminNote;
@@ -85,13 +88,16 @@ const approveRequest = asyncHandler(async (req, res) => {
                     if (restoreInventory && (status === 'REFUNDED' || status === 'REPLACED' || status === 'APPROVED') && item) {
                         const productItem = await Product.findById(item.product);
                         if (productItem) {
-                            productItem.countInStock = (productItem.countInStock || 0) + item.qty;
-                            await productItem.save();
+                            await releaseStock(
+                                { product: item.product, variant: item.variant, qty: item.qty },
+                                { reason: 'RETURN', order: order._id, returnRequest: returnReq._id, actor: req.user._id }
+                            );
+                            queueBackInStock(item.product);
                             await AuditLog.create({
                                 orderId: order._id,
                                 action: 'INVENTORY_RESTORED',
                                 performedBy: { id: req.user._id, name: req.user.name, role: 'super_admin' },
-                                note: `Restored ${item.qty} qty of ${item.name} (Approval Workflow)`
+                                note: `Restored ${item.qty} qty of ${item.name}${item.sku ? ` (${item.sku})` : ''} (Approval Workflow)`
                             });
                         }
                     }
@@ -105,6 +111,15 @@ const approveRequest = asyncHandler(async (req, res) => {
                             note: `Return status updated to ${status} by Super Admin`
                         });
                     }
+
+                    // GST credit note reversing the refunded line
+                    if (status === 'REFUNDED' && order) {
+                        try {
+                            await issueReturnCreditNote(order, returnReq, req.user);
+                        } catch (error) {
+                            console.error("Failed to issue credit note for return:", error);
+                        }
+                    }
                 }
                 break;
 
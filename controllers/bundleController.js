@@ -0,0 +1,192 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Bundle = require('../models/Bundle');
+const Product = require('../models/Product');
+const { loadSalePricing, priceBundle } = require('../utils/calculateOrderQuote');
+
+const COMPONENT_FIELDS = 'name image price discountPrice category seller variants countInStock isStockEnabled isDeleted isLive listingStatus';
+
+// Components must be real, live products; variants fixed by the bundle must belong to them
+const resolveItems = async (res, items) => {
+    const list = [].concat(items || []);
+    const ids = list.map(item => item.product);
+
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+        res.status(400);
+        throw new Error('One or more bundle products were not found');
+    }
+
+    const products = await Product.find({ _id: { $in: ids }, isDeleted: { $ne: true } }).select('name variants');
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    return list.map(item => {
+        const product = productMap.get(String(item.product));
+        if (!product) {
+            res.status(400);
+            throw new Error(`Bundle product not found: ${item.product}`);
+        }
+        if (item.variant && !product.variants.id(item.variant)) {
+            res.status(400);
+            throw new Error(`Variant not found on ${product.name}`);
+        }
+        return { product: product._id, quantity: item.quantity || 1, variant: item.variant || null };
+    });
+};
+
+// Validation errors from the model (components, pricing) are the caller's to fix
+const saveBundle = async (res, bundle) => {
+    try {
+        return await bundle.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            res.status(400);
+            throw new Error(Object.values(error.errors).map(e => e.message).join(', '));
+        }
+        throw error;
+    }
+};
+
+// Storefront view: components with their variants to pick from, and the price of one set.
+// Components still to be picked are priced at the product level, so the price is indicative.
+const presentBundle = (bundle, priceFor) => {
+    const productMap = Object.fromEntries(bundle.items.filter(i => i.product).map(i => [i.product._id.toString(), i.product]));
+    let priced;
+    try {
+        priced = priceBundle(bundle, [], productMap, priceFor, { preview: true });
+    } catch (error) {
+        return null; // A component has gone off sale
+    }
+
+    return {
+        _id: bundle._id,
+        name: bundle.name,
+        description: bundle.description,
+        image: bundle.image || priced.components[0].product.image,
+        pricingType: bundle.pricingType,
+        discountPercentage: bundle.discountPercentage,
+        regularPrice: priced.regularPrice,
+        price: priced.price,
+        savings: Math.round((priced.regularPrice - priced.price) * 100) / 100,
+        countInStock: priced.countInStock,
+        components: priced.components.map(({ product, variant, quantity, price }) => ({
+            product: { _id: product._id, name: product.name, image: product.image },
+            quantity,
+            price,
+            variant: variant?._id || null,
+            // Only offered when the bundle leaves the choice to the shopper
+            variants: variant ? [] : product.variants
+                .filter(v => v.isActive !== false)
+                .map(v => ({ _id: v._id, size: v.size, color: v.color, countInStock: v.countInStock }))
+        }))
+    };
+};
+
+// @desc    Get active bundles, optionally those containing a product
+// @route   GET /api/bundles?product=
+// @access  Public
+const getBundles = asyncHandler(async (req, res) => {
+    const filter = { isActive: true };
+    if (req.query.product && mongoose.isValidObjectId(req.query.product)) filter['items.product'] = req.query.product;
+
+    const bundles = await Bundle.find(filter)
+        .populate('items.product', COMPONENT_FIELDS)
+        .sort({ createdAt: -1 });
+
+    const priceFor = await loadSalePricing();
+    res.json(bundles.map(bundle => presentBundle(bundle, priceFor)).filter(Boolean));
+});
+
+// @desc    Get all bundles, including inactive ones
+// @route   GET /api/bundles/all
+// @access  Private/Admin
+const getAllBundles = asyncHandler(async (req, res) => {
+    const bundles = await Bundle.find({})
+        .populate('items.product', 'name image price discountPrice listingStatus isLive isDeleted')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 });
+    res.json(bundles);
+});
+
+// @desc    Get a bundle with its components and price
+// @route   GET /api/bundles/:id
+// @access  Public
+const getBundleById = asyncHandler(async (req, res) => {
+    const bundle = mongoose.isValidObjectId(req.params.id)
+        ? await Bundle.findOne({ _id: req.params.id, isActive: true }).populate('items.product', COMPONENT_FIELDS)
+        : null;
+    const presented = bundle && presentBundle(bundle, await loadSalePricing());
+
+    if (!presented) {
+        res.status(404);
+        throw new Error('Bundle not found');
+    }
+
+    res.json(presented);
+});
+
+// @desc    Create a bundle
+// @route   POST /api/bundles
+// @access  Private/Admin
+const createBundle = asyncHandler(async (req, res) => {
+    const { name, description, image, pricingType, price, discountPercentage, isActive } = req.body;
+
+    const bundle = new Bundle({
+        name,
+        description,
+        image,
+        items: await resolveItems(res, req.body.items),
+        pricingType,
+        price,
+        discountPercentage,
+        isActive,
+        createdBy: req.user._id
+    });
+
+    const createdBundle = await saveBundle(res, bundle);
+    res.status(201).json(createdBundle);
+});
+
+// @desc    Update a bundle
+// @route   PUT /api/bundles/:id
+// @access  Private/Admin
+const updateBundle = asyncHandler(async (req, res) => {
+    const bundle = await Bundle.findById(req.params.id);
+
+    if (!bundle) {
+        res.status(404);
+        throw new Error('Bundle not found');
+    }
+
+    // Update fields if provided
+    ['name', 'description', 'image', 'pricingType', 'price', 'discountPercentage', 'isActive'].forEach(field => {
+        if (req.body[field] !== undefined) bundle[field] = req.body[field];
+    });
+    if (req.body.items !== undefined) bundle.items = await resolveItems(res, req.body.items);
+
+    const updatedBundle = await saveBundle(res, bundle);
+    res.json(updatedBundle);
+});
+
+// @desc    Delete a bundle
+// @route   DELETE /api/bundles/:id
+// @access  Private/Admin
+const deleteBundle = asyncHandler(async (req, res) => {
+    const bundle = await Bundle.findById(req.params.id);
+
+    if (bundle) {
+        await bundle.deleteOne();
+        res.json({ message: 'Bundle removed' });
+    } else {
+        res.status(404);
+        throw new Error('Bundle not found');
+    }
+});
+
+module.exports = {
+    getBundles,
+    getAllBundles,
+    getBundleById,
+    createBundle,
+    updateBundle,
+    deleteBundle
+};
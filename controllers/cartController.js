@@ -1,15 +1,90 @@
 const asyncHandler = require('express-async-handler');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+const { loadSalePricing, getUnitPrice, roundPrice, priceBundle } = require('../utils/calculateOrderQuote');
+
+// Cart lines are keyed by variant when the product has them, otherwise by colour
+const isSameLine = (item, productId, variant, color) => {
+    if (item.bundle) return false; // Bundle lines are addressed by line id
+    if (item.product.toString() !== productId.toString()) return false;
+    if (variant || item.variant) return String(item.variant) === String(variant);
+    return item.color === color || (!item.color && !color);
+};
+
+// A bundle line with the same picks for every component is the same line
+const isSameBundleLine = (item, bundleId, components) => String(item.bundle) === String(bundleId) &&
+    item.components.every(c => String(c.variant || '') === String(components.find(s => String(s.product) === String(c.product))?.variant || ''));
+
+// Cart prices follow the catalog, so a sale starting or ending shows up without re-adding items
+const refreshPrices = async (cart) => {
+    const bundles = await Bundle.find({ _id: { $in: cart.items.filter(item => item.bundle).map(item => item.bundle) } });
+    const bundleMap = new Map(bundles.map(bundle => [bundle._id.toString(), bundle]));
+
+    const productIds = [
+        ...cart.items.filter(item => !item.bundle).map(item => item.product._id || item.product),
+        ...bundles.flatMap(bundle => bundle.items.map(i => i.product))
+    ];
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('name price discountPrice category seller variants countInStock isDeleted isLive listingStatus');
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+    const priceFor = await loadSalePricing();
+
+    cart.items.forEach(item => {
+        if (item.bundle) {
+            let priced;
+            try {
+                priced = priceBundle(bundleMap.get(String(item.bundle)), item.components, Object.fromEntries(productMap), priceFor);
+            } catch (error) {
+                return; // No longer purchasable: keeps its last price and checkout reports the problem
+            }
+            item.price = priced.price;
+            item.countInStock = priced.countInStock;
+            return;
+        }
+
+        const product = productMap.get(String(item.product._id || item.product));
+        if (!product) return;
+        const pricing = priceFor(product, item.variant ? product.variants.id(item.variant) : null);
+        item.price = roundPrice(getUnitPrice(pricing));
+        item.saleEvent = pricing.saleEvent?._id;
+    });
+};
 
 // @desc    Add item to cart
 // @route   POST /api/cart/add
 // @access  Private
 const addToCart = asyncHandler(async (req, res) => {
-    const { productId, quantity, name, image, price, countInStock, color } = req.body;
+    const { productId, quantity, name, image, price, countInStock, color, variant: variantId } = req.body;
     const qty = Number(quantity);
     const user = req.user._id;
 
+    // Variant lines snapshot the SKU and its own stock, so the cart can tell M/Blue from L/Blue
+    let variantFields = {};
+    if (variantId) {
+        const product = await Product.findById(productId).select('name variants isStockEnabled');
+        const variant = product && product.findVariant({ variant: variantId });
+
+        if (!variant) {
+            res.status(404);
+            throw new Error('Variant not found');
+        }
+
+        if (product.isStockEnabled !== false && variant.countInStock < 1) {
+            res.status(400);
+            throw new Error(`${product.name} (${[variant.size, variant.color].filter(Boolean).join(' / ')}) is out of stock`);
+        }
+
+        variantFields = {
+            variant: variant._id,
+            sku: variant.sku,
+            size: variant.size,
+            color: variant.color,
+            countInStock: variant.countInStock,
+            ...(variant.images?.[0] ? { image: variant.images[0] } : {})
+        };
+    }
+
     let cart = await Cart.findOne({ user });
 
     if (!cart) {
@@ -19,11 +94,8 @@ const addToCart = asyncHandler(async (req, res) => {
         });
     }
 
-    // Robust comparison including color
-    const itemIndex = cart.items.findIndex(p =>
-        p.product.toString() === productId.toString() &&
-        (p.color === color || (!p.color && !color))
-    );
+    // Robust comparison including variant / color
+    const itemIndex = cart.items.findIndex(p => isSameLine(p, productId, variantFields.variant, color));
 
     if (itemIndex > -1) {
         // Product exists in cart, update quantity
@@ -37,26 +109,159 @@ const addToCart = asyncHandler(async (req, res) => {
             image,
             price,
             countInStock,
-            color
+            color,
+            ...variantFields
         });
     }
 
+    await refreshPrices(cart);
     await cart.save();
     await cart.populate('items.product', 'isCodAvailable name image price'); // Populate to return full info
     res.status(200).json(cart);
 });
 
+// @desc    Add a bundle to the cart as one line
+// @route   POST /api/cart/bundles
+// @access  Private
+const addBundleToCart = asyncHandler(async (req, res) => {
+    const { bundleId, components = [] } = req.body;
+    const qty = Number(req.body.quantity || 1);
+    const user = req.user._id;
+
+    if (!Number.isInteger(qty) || qty < 1) {
+        res.status(400);
+        throw new Error('Please provide a valid quantity');
+    }
+
+    const bundle = await Bundle.findById(bundleId);
+    if (!bundle || !bundle.isActive) {
+        res.status(404);
+        throw new Error('Bundle not found');
+    }
+
+    const products = await Product.find({ _id: { $in: bundle.items.map(i => i.product) } });
+    const productMap = Object.fromEntries(products.map(product => [product._id.toString(), product]));
+
+    let priced;
+    try {
+        priced = priceBundle(bundle, components, productMap, await loadSalePricing());
+    } catch (error) {
+        res.status(error.statusCode || 400);
+        throw error;
+    }
+
+    if (priced.countInStock < 1) {
+        res.status(400);
+        throw new Error(`${bundle.name} is out of stock`);
+    }
+
+    const lineComponents = priced.components.map(({ product, variant, quantity }) => ({
+        product: product._id,
+        variant: variant?._id,
+        name: product.name,
+        sku: variant?.sku,
+        size: variant?.size,
+        color: variant?.color,
+        quantity
+    }));
+
+    let cart = await Cart.findOne({ user });
+
+    if (!cart) {
+        cart = await Cart.create({
+            user,
+            items: []
+        });
+    }
+
+    const existing = cart.items.find(item => isSameBundleLine(item, bundle._id, lineComponents));
+
+    if (existing) {
+        existing.quantity += qty;
+    } else {
+        cart.items.push({
+            bundle: bundle._id,
+            name: bundle.name,
+            image: bundle.image || products[0]?.image,
+            price: priced.price,
+            countInStock: priced.countInStock,
+            quantity: qty,
+            components: lineComponents
+        });
+    }
+
+    await cart.save();
+    await cart.populate('items.product', 'isCodAvailable name image price');
+    res.status(200).json(cart);
+});
+
+// @desc    Change the number of sets on a bundle line
+// @route   PUT /api/cart/bundles/:lineId
+// @access  Private
+const updateBundleCartItem = asyncHandler(async (req, res) => {
+    const qty = Number(req.body.quantity);
+
+    if (!Number.isInteger(qty) || qty < 1) {
+        res.status(400);
+        throw new Error('Please provide a valid quantity');
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    const line = cart?.items.id(req.params.lineId);
+
+    if (!line || !line.bundle) {
+        res.status(404);
+        throw new Error('Item not found in cart');
+    }
+
+    line.quantity = qty;
+    await refreshPrices(cart);
+    await cart.save();
+    await cart.populate('items.product', 'isCodAvailable');
+    res.json(cart);
+});
+
+// @desc    Remove a bundle line
+// @route   DELETE /api/cart/bundles/:lineId
+// @access  Private
+const removeBundleCartItem = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart) {
+        res.status(404);
+        throw new Error('Cart not found');
+    }
+
+    cart.items = cart.items.filter(item => item._id.toString() !== req.params.lineId);
+    await cart.save();
+    await cart.populate('items.product', 'isCodAvailable');
+    res.json(cart);
+});
+
 // @desc    Get user cart
 // @route   GET /api/cart
 // @access  Private
 const getCart = asyncHandler(async (req, res) => {
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product', 'isCodAvailable');
-    res.json(cart ? cart.items : []);
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart) {
+        return res.json([]);
+    }
+
+    await refreshPrices(cart);
+    if (cart.isModified()) await cart.save();
+
+    await cart.populate([
+        { path: 'items.product', select: 'isCodAvailable' },
+        { path: 'items.saleEvent', select: 'name endsAt' },
+        { path: 'items.components.product', select: 'isCodAvailable image' }
+    ]);
+    res.json(cart.items);
 });
 
 
 const updateCartItem = asyncHandler(async (req, res) => {
-    const { productId, quantity, color } = req.body;
+    const { productId, quantity, color, variant } = req.body;
     const user = req.user._id;
 
     let cart = await Cart.findOne({ user });
@@ -66,15 +271,13 @@ const updateCartItem = asyncHandler(async (req, res) => {
         throw new Error('Cart not found');
     }
 
-    const itemIndex = cart.items.findIndex(p =>
-        p.product.toString() === productId &&
-        (p.color === color || (!p.color && !color))
-    );
+    const itemIndex = cart.items.findIndex(p => isSameLine(p, productId, variant, color));
 
     if (itemIndex > -1) {
         let productItem = cart.items[itemIndex];
         productItem.quantity = quantity;
         cart.items[itemIndex] = productItem;
+        await refreshPrices(cart);
         await cart.save();
         await cart.populate('items.product', 'isCodAvailable');
         res.json(cart);
@@ -86,7 +289,7 @@ const updateCartItem = asyncHandler(async (req, res) => {
 
 const removeCartItem = asyncHandler(async (req, res) => {
     const { productId } = req.params;
-    const { color } = req.query; // Get color from query string
+    const { color, variant } = req.query; // Get color / variant from query string
     const user = req.user._id;
 
     let cart = await Cart.findOne({ user });
@@ -96,9 +299,7 @@ const removeCartItem = asyncHandler(async (req, res) => {
         throw new Error('Cart not found');
     }
 
-    cart.items = cart.items.filter(item =>
-        !(item.product.toString() === productId && (item.color === color || (!item.color && !color)))
-    );
+    cart.items = cart.items.filter(item => !isSameLine(item, productId, variant, color));
     await cart.save();
     await cart.populate('items.product', 'isCodAvailable');
     res.json(cart);
@@ -124,5 +325,8 @@ module.exports = {
     getCart,
     updateCartItem,
     removeCartItem,
-    clearCart
+    clearCart,
+    addBundleToCart,
+    updateBundleCartItem,
+    removeBundleCartItem
 };
@@ -1,6 +1,7 @@
 const Order = require('../models/Order');
 const Setting = require('../models/Setting');
 const axios = require('axios');
+const { recordOrderPayment } = require('../utils/orderLifecycle');
 
 // Helper to get Cashfree Config
 const getCashfreeConfig = async () => {
@@ -113,17 +114,13 @@ const verifyCashfreePayment = async (req, res) => {
                 const order = await Order.findById(mongoOrderId);
 
                 if (order) {
-                    order.isPaid = true;
-                    order.paidAt = new Date();
-                    order.paymentResult = {
+                    await recordOrderPayment(order, {
                         id: successfulPayment.cf_payment_id,
                         status: 'SUCCESS',
                         update_time: new Date().toISOString(),
                         email_address: req.user.email,
-                        gateway: 'cashfree'
-                    };
-                    order.status = 'PAID';
-                    await order.save();
+                        gateway: 'Cashfree'
+                    }, { actor: req.user, note: 'Payment verified via Cashfree' });
                 }
 
                 return res.json({
@@ -183,16 +180,12 @@ const cashfreeWebhook = async (req, res) => {
             const order = await Order.findById(mongoOrderId);
 
             if (order && !order.isPaid) {
-                order.isPaid = true;
-                order.paidAt = new Date();
-                order.paymentResult = {
+                await recordOrderPayment(order, {
                     id: paymentId,
                     status: 'SUCCESS',
                     update_time: new Date().toISOString(),
                     gateway: 'Cashfree'
-                };
-                order.status = 'PAID';
-                await order.save();
+                }, { actor: { _id: order.user, name: 'Cashfree Webhook' }, note: 'Payment confirmed by Cashfree webhook' });
 
                 console.log(`✅ Order ${mongoOrderId} marked as paid via webhook`);
             }
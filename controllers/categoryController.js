@@ -1,5 +1,34 @@
 const asyncHandler = require('express-async-handler');
 const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Names only need to be unique among siblings (Men > Ethnic and Women > Ethnic can both exist)
+const findSibling = (name, parentId, excludeId) => Category.findOne({
+    name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') },
+    parent: parentId || null,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+});
+
+const ancestorsOf = (parent) => parent
+    ? [...parent.ancestors.map(a => ({ _id: a._id, name: a.name, slug: a.slug })), { _id: parent._id, name: parent.name, slug: parent.slug }]
+    : [];
+
+// Nest a flat, ordered list under its parents
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(c => [c._id.toString(), { ...c, children: [] }]));
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    return roots;
+};
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -9,9 +38,10 @@ const getCategories = asyncHandler(async (req, res) => {
 
     // If request is from an authenticated admin (not super admin), filter by assigned categories
     // ONLY if they have specific categories assigned. If empty, assume full access.
+    // An assigned category covers its subcategories.
     if (req.user && req.user.role === 'admin') {
         if (req.user.assignedCategories && req.user.assignedCategories.length > 0) {
-            query = { _id: { $in: req.user.assignedCategories } };
+            query = { _id: { $in: await Category.getSubtreeIds(req.user.assignedCategories) } };
         }
     }
 
@@ -19,15 +49,60 @@ const getCategories = asyncHandler(async (req, res) => {
     res.json(categories);
 });
 
+// @desc    Get the category tree (each node carries its children)
+// @route   GET /api/categories/tree
+// @access  Public
+const getCategoryTree = asyncHandler(async (req, res) => {
+    const categories = await Category.find({})
+        .select('name slug image order parent')
+        .sort({ order: 1, name: 1 })
+        .lean();
+    res.json(buildTree(categories));
+});
+
+// @desc    Get a category by id or slug, with breadcrumbs and direct children
+// @route   GET /api/categories/:id
+// @access  Public
+const getCategory = asyncHandler(async (req, res) => {
+    const category = await Category.resolve(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    const children = await Category.find({ parent: category._id })
+        .select('name slug image order')
+        .sort({ order: 1, name: 1 });
+
+    res.json({
+        ...category.toObject(),
+        breadcrumbs: category.getBreadcrumbs(),
+        children
+    });
+});
+
 // @desc    Create a category
 // @route   POST /api/categories
 // @access  Private/Admin
 const createCategory = asyncHandler(async (req, res) => {
-    const { name, description, image, order } = req.body;
+    const { name, description, image, order, lowStockThreshold, parent: parentId } = req.body;
 
-    const categoryExists = await Category.findOne({
-        name: { $regex: new RegExp(`^${name.trim()}$`, 'i') }
-    });
+    if (!name || !name.trim()) {
+        res.status(400);
+        throw new Error('Category name is required');
+    }
+
+    let parent = null;
+    if (parentId) {
+        parent = await Category.findById(parentId);
+        if (!parent) {
+            res.status(404);
+            throw new Error('Parent category not found');
+        }
+    }
+
+    const categoryExists = await findSibling(name, parent?._id);
     if (categoryExists) {
         res.status(400);
         throw new Error('Category already exists');
@@ -35,9 +110,13 @@ const createCategory = asyncHandler(async (req, res) => {
 
     const category = await Category.create({
         name,
+        slug: await Category.generateSlug(req.body.slug || name, parent),
         description,
         image,
-        order
+        order,
+        lowStockThreshold: lowStockThreshold ?? null,
+        parent: parent?._id || null,
+        ancestors: ancestorsOf(parent)
     });
 
     if (category) {
@@ -48,29 +127,69 @@ const createCategory = asyncHandler(async (req, res) => {
     }
 });
 
-// @desc    Update a category
+// @desc    Update a category (rename, re-slug or move under another parent)
 // @route   PUT /api/categories/:id
 // @access  Private/Admin
 const updateCategory = asyncHandler(async (req, res) => {
     const category = await Category.findById(req.params.id);
 
     if (category) {
-        if (req.body.name && req.body.name !== category.name) {
-            const categoryExists = await Category.findOne({
-                name: { $regex: new RegExp(`^${req.body.name.trim()}$`, 'i') },
-                _id: { $ne: category._id }
-            });
+        // Moving: parent may be set to another category or to null (top level)
+        let parent = category.parent ? await Category.findById(category.parent) : null;
+        const isMoving = req.body.parent !== undefined && String(req.body.parent || '') !== String(category.parent || '');
+        if (isMoving) {
+            parent = req.body.parent ? await Category.findById(req.body.parent) : null;
+            if (req.body.parent && !parent) {
+                res.status(404);
+                throw new Error('Parent category not found');
+            }
+            if (parent && (parent._id.equals(category._id) || parent.ancestors.some(a => a._id.equals(category._id)))) {
+                res.status(400);
+                throw new Error('A category cannot be moved under itself or one of its subcategories');
+            }
+        }
+
+        const newName = req.body.name || category.name;
+        if (newName !== category.name || isMoving) {
+            const categoryExists = await findSibling(newName, parent?._id, category._id);
             if (categoryExists) {
                 res.status(400);
                 throw new Error('Category already exists with this name');
             }
         }
-        category.name = req.body.name || category.name;
+
+        const isRenamed = newName !== category.name;
+        category.name = newName;
         category.description = req.body.description || category.description;
         category.image = req.body.image || category.image;
         category.order = req.body.order || category.order;
+        if (req.body.lowStockThreshold !== undefined) category.lowStockThreshold = req.body.lowStockThreshold; // null inherits the parent's
+        if (req.body.slug) {
+            category.slug = await Category.generateSlug(req.body.slug, parent, category._id);
+        }
+        if (isMoving) {
+            category.parent = parent?._id || null;
+            category.ancestors = ancestorsOf(parent);
+        }
 
         const updatedCategory = await category.save();
+
+        // Products point at the category's _id, so a rename only has to refresh descendants' breadcrumbs
+        if (isMoving) {
+            const descendants = await Category.find({ 'ancestors._id': category._id });
+            for (const descendant of descendants) {
+                const index = descendant.ancestors.findIndex(a => a._id.equals(category._id));
+                descendant.ancestors = [...ancestorsOf(updatedCategory), ...descendant.ancestors.slice(index + 1)];
+                await descendant.save();
+            }
+        } else if (isRenamed || req.body.slug) {
+            await Category.updateMany(
+                { 'ancestors._id': category._id },
+                { $set: { 'ancestors.$[node].name': updatedCategory.name, 'ancestors.$[node].slug': updatedCategory.slug } },
+                { arrayFilters: [{ 'node._id': category._id }] }
+            );
+        }
+
         res.json(updatedCategory);
     } else {
         res.status(404);
@@ -85,6 +204,16 @@ const deleteCategory = asyncHandler(async (req, res) => {
     const category = await Category.findById(req.params.id);
 
     if (category) {
+        // Deleting would orphan subcategories or products; they must be moved first
+        if (await Category.exists({ parent: category._id })) {
+            res.status(400);
+            throw new Error('Category has subcategories. Move or delete them first.');
+        }
+        if (await Product.exists({ category: category._id, isDeleted: { $ne: true } })) {
+            res.status(400);
+            throw new Error('Category still has products. Move them to another category first.');
+        }
+
         await category.deleteOne();
         res.json({ message: 'Category removed' });
     } else {
@@ -95,6 +224,8 @@ const deleteCategory = asyncHandler(async (req, res) => {
 
 module.exports = {
     getCategories,
+    getCategoryTree,
+    getCategory,
     createCategory,
     updateCategory,
     deleteCategory
@@ -0,0 +1,101 @@
+const asyncHandler = require('express-async-handler');
+const CreditNote = require('../models/CreditNote');
+const Order = require('../models/Order');
+
+// Customers see their own credit notes; staff need the orders or finance permission
+const canViewCreditNotes = (user, order) => {
+    if (order.user && (order.user._id || order.user).toString() === user._id.toString()) return true;
+    if (user.role === 'super_admin' || user.role === 'finance') return true;
+    return ['admin', 'finance', 'seller_admin'].includes(user.role) &&
+        (user.permissions?.orders === true || user.permissions?.finance === true);
+};
+
+// @desc    Get credit notes issued against an order
+// @route   GET /api/orders/:id/credit-notes
+// @access  Private (order owner or staff)
+const getOrderCreditNotes = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).select('user');
+
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    if (!canViewCreditNotes(req.user, order)) {
+        res.status(403);
+        throw new Error('Not authorized to view credit notes for this order');
+    }
+
+    const creditNotes = await CreditNote.find({ order: order._id }).sort({ issuedAt: -1 });
+    res.json(creditNotes);
+});
+
+// @desc    Download a credit note as PDF
+// @route   GET /api/orders/:id/credit-notes/:creditNoteId/pdf
+// @access  Private (order owner or staff)
+const downloadCreditNote = asyncHandler(async (req, res) => {
+    const creditNote = await CreditNote.findOne({ _id: req.params.creditNoteId, order: req.params.id });
+
+    if (!creditNote) {
+        res.status(404);
+        throw new Error('Credit note not found');
+    }
+
+    const order = await Order.findById(creditNote.order).populate('user', 'name email phoneNumber');
+
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    if (!canViewCreditNotes(req.user, order)) {
+        res.status(403);
+        throw new Error('Not authorized to view credit notes for this order');
+    }
+
+    const generateCreditNotePDF = require('../utils/generateCreditNote');
+    try {
+        const pdfBuffer = await generateCreditNotePDF(creditNote, order, order.user);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename=credit-note-${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`,
+            'Content-Length': pdfBuffer.length
+        });
+
+        res.send(pdfBuffer);
+    } catch (error) {
+        console.error("Credit Note Generation Error:", error);
+        res.status(500);
+        throw new Error('Failed to generate credit note PDF');
+    }
+});
+
+// @desc    List credit notes for GST reversal (optionally within a period)
+// @route   GET /api/finance/credit-notes
+// @access  Private/Finance
+const getCreditNotes = asyncHandler(async (req, res) => {
+    const { type, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (startDate && endDate) {
+        filter.issuedAt = {
+            $gte: new Date(startDate),
+            $lte: new Date(endDate)
+        };
+    }
+
+    const creditNotes = await CreditNote.find(filter)
+        .sort({ issuedAt: -1 })
+        .populate('user', 'name email')
+        .populate('createdBy', 'name');
+
+    res.json(creditNotes);
+});
+
+module.exports = {
+    getOrderCreditNotes,
+    downloadCreditNote,
+    getCreditNotes
+};
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const Order = require('../models/Order');
 const Setting = require('../models/Setting');
+const { recordOrderPayment } = require('../utils/orderLifecycle');
 
 // Helper to get Instamojo Config
 const getInstamojoConfig = async () => {
@@ -19,6 +20,24 @@ const getInstamojoConfig = async () => {
     };
 };
 
+// Fetch a payment request from Instamojo and the credited payment within it, if any
+const getCreditedPayment = async (config, paymentRequestId, paymentId) => {
+    const response = await axios.get(`${config.baseUrl}/payment-requests/${paymentRequestId}/`, {
+        headers: {
+            'X-Api-Key': config.apiKey,
+            'X-Auth-Token': config.authToken
+        }
+    });
+
+    const paymentRequest = response.data.payment_request;
+    const payment = (paymentRequest.payments || []).find(p => p.payment_id === paymentId && p.status === 'Credit');
+    return { paymentRequest, payment };
+};
+
+// Payment requests are created with purpose `Order #<orderId>`
+const getMongoOrderId = (paymentRequest, orderId) =>
+    String(orderId || paymentRequest.purpose.replace('Order #', '')).replace('ORDER_', '');
+
 // @desc    Create Instamojo Payment Request
 const createInstamojoOrder = async (req, res) => {
     try {
@@ -83,42 +102,29 @@ const createInstamojoOrder = async (req, res) => {
 // @desc    Verify Instamojo Payment
 const verifyInstamojoPayment = async (req, res) => {
     try {
-        const { paymentRequestId, paymentId } = req.body;
+        const { paymentRequestId, paymentId, orderId } = req.body;
         const config = await getInstamojoConfig();
 
         if (!paymentRequestId || !paymentId) {
             return res.status(400).json({ message: 'Missing payment details' });
         }
 
-        const response = await axios.get(`${config.baseUrl}/payment-requests/${paymentRequestId}/`, {
-            headers: {
-                'X-Api-Key': config.apiKey,
-                'X-Auth-Token': config.authToken
-            }
-        });
-
-        const paymentRequest = response.data.payment_request;
-        const payments = paymentRequest.payments;
-
         // Check if the specific paymentId exists and is credited
-        const successfulPayment = payments.find(p => p.payment_id === paymentId && p.status === 'Credit');
+        const { paymentRequest, payment: successfulPayment } = await getCreditedPayment(config, paymentRequestId, paymentId);
 
         if (successfulPayment) {
             // Mark order as paid in database
-            const mongoOrderId = orderId.replace('ORDER_', '');
+            const mongoOrderId = getMongoOrderId(paymentRequest, orderId);
             const order = await Order.findById(mongoOrderId);
 
             if (order && !order.isPaid) {
-                order.isPaid = true;
-                order.paidAt = new Date();
-                order.paymentResult = {
+                await recordOrderPayment(order, {
                     id: paymentId,
                     status: 'SUCCESS',
                     update_time: new Date().toISOString(),
+                    email_address: req.user.email,
                     gateway: 'Instamojo'
-                };
-                order.status = 'PAID';
-                await order.save();
+                }, { actor: req.user, note: 'Payment verified via Instamojo' });
                 console.log(`✅ Order ${mongoOrderId} marked as paid via Instamojo verification`);
             }
 
@@ -147,13 +153,29 @@ const verifyInstamojoPayment = async (req, res) => {
 // @desc    Instamojo Webhook
 const instamojoWebhook = async (req, res) => {
     try {
-        const data = req.body;
-
-        // Basic verification
-        if (data.status === 'Credit') {
-            // Find order by reading purpose or customized logic
-            // const orderId = data.purpose.replace('Order #', '');
-            // Update DB...
+        const data = req.body || {};
+
+        if (data.status === 'Credit' && data.payment_request_id && data.payment_id) {
+            // The webhook body is unsigned here, so confirm the payment with Instamojo before trusting it
+            const config = await getInstamojoConfig();
+            const { paymentRequest, payment } = await getCreditedPayment(config, data.payment_request_id, data.payment_id);
+
+            if (payment) {
+                const mongoOrderId = getMongoOrderId(paymentRequest);
+                const order = await Order.findById(mongoOrderId);
+
+                if (order && !order.isPaid) {
+                    await recordOrderPayment(order, {
+                        id: payment.payment_id,
+                        status: 'SUCCESS',
+                        update_time: new Date().toISOString(),
+                        email_address: payment.buyer_email,
+                        gateway: 'Instamojo'
+                    }, { actor: { _id: order.user, name: 'Instamojo Webhook' }, note: 'Payment confirmed by Instamojo webhook' });
+
+                    console.log(`✅ Order ${mongoOrderId} marked as paid via Instamojo webhook`);
+                }
+            }
         }
 
         res.json({ received: true });
@@ -2,16 +2,65 @@ const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const Seller = require('../models/Seller');
 const Stripe = require('stripe');
 const sendEmail = require('../utils/sendEmail');
 const AuditLog = require('../models/AuditLog');
 const ReturnRequest = require('../models/ReturnRequest');
 const Setting = require('../models/Setting');
-const FinancialRecord = require('../models/FinancialRecord');
+const calculateOrderQuote = require('../utils/calculateOrderQuote');
+const buildSubOrders = require('../utils/buildSubOrders');
+const { variantLabel, reserveStock, releaseStock } = require('../utils/productStock');
+const { findLowStockCrossing, notifyLowStock } = require('../utils/stockAlerts');
+const { recordBackInStockPurchases } = require('../utils/backInStock');
+const { ORDER_STATUSES, isCodPaymentMethod, transitionOrder, transitionSubOrder, recordCodPayment, cancelOrderItem: cancelOrderLine, getSubOrderItems } = require('../utils/orderLifecycle');
 
 // Get frontend URL from environment or default to localhost
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
+// Invoice numbers contain '/' (BFD/2026-27/000123), which cannot appear in a file name
+const invoiceFileName = (invoiceNumber, fallbackId) => `invoice-${String(invoiceNumber || fallbackId).replace(/\//g, '-')}.pdf`;
+
+const GIFT_MESSAGE_MAX_LENGTH = 250;
+
+// Printed copies of a gift order travel with the parcel, so only the buyer gets one with prices
+const shouldHidePrices = (order, user) =>
+    Boolean(order.gift?.isGift) && !(order.user && (order.user._id || order.user).toString() === user._id.toString());
+
+// Gift options as stored on the order; anything not marked as a gift is dropped
+const parseGiftOptions = (gift) => {
+    if (!gift || !gift.isGift) return undefined;
+    return {
+        isGift: true,
+        recipientName: gift.recipientName ? String(gift.recipientName).trim() : undefined,
+        message: gift.message ? String(gift.message).trim() : undefined,
+        giftWrap: Boolean(gift.giftWrap)
+    };
+};
+
+// Same access as checkPermission('orders'), for routes that also serve the order's owner
+const hasOrdersPermission = (user) => user.role === 'super_admin' ||
+    (['admin', 'finance', 'seller_admin'].includes(user.role) && user.permissions?.orders === true);
+
+// Run a lifecycle transition, surfacing rejected transitions with their status code
+const runTransition = async (res, order, status, options) => {
+    try {
+        return await transitionOrder(order, status, options);
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
+};
+
+const runSubOrderTransition = async (res, order, subOrderId, status, options) => {
+    try {
+        return await transitionSubOrder(order, subOrderId, status, options);
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
+};
+
 // @desc    Update order to paid
 // @route   PUT /api/orders/:id/pay
 // @access  Private
@@ -24,28 +73,7 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
             throw new Error('Order is already marked as paid');
         }
 
-        // Generate invoice number ONLY after payment is successful
-        if (!order.invoiceNumber) {
-            const randomStr = Math.random().toString(36).substring(2, 7).toUpperCase();
-            order.invoiceNumber = `INV-${randomStr}`;
-        }
-
-        order.isPaid = true;
-        order.status = 'PAID';
-        order.paidAt = Date.now();
-
-        await AuditLog.create({
-            orderId: order._id,
-            statusFrom: 'CREATED',
-            statusTo: 'PAID',
-            action: 'PAYMENT_RECEIVED',
-            performedBy: {
-                id: req.user._id,
-                name: req.user.name || 'System',
-                role: 'system'
-            },
-            note: 'Payment received successfully'
-        });
+        // The PAID transition assigns the next sequential invoice number
         order.paymentResult = {
             id: req.body.id,
             status: req.body.status,
@@ -53,7 +81,12 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
             email_address: req.body.payer?.email_address || req.user.email,
         };
 
-        const updatedOrder = await order.save();
+        const updatedOrder = await runTransition(res, order, 'PAID', {
+            actor: req.user,
+            role: 'system',
+            action: 'PAYMENT_RECEIVED',
+            note: 'Payment received successfully'
+        });
 
         // Stock updates code ...
         // ...
@@ -80,6 +113,10 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
                             <p style="margin: 5px 0 0 0;">Payment Status: <strong style="color: #10B981;">PAID</strong></p>
                         </div>
 
+                        ${updatedOrder.gift?.isGift ? `
+                        <p>This order will be ${updatedOrder.gift.giftWrap ? 'gift wrapped and ' : ''}sent as a gift${updatedOrder.gift.recipientName ? ` to <strong>${updatedOrder.gift.recipientName}</strong>` : ''}. Prices will not be shown on the documents inside the package.</p>
+                        ` : ''}
+
                         <p>You can track your order status by clicking the button below:</p>
                         <p style="margin-top: 20px;">
                             <a href="${FRONTEND_URL}/order/${updatedOrder._id}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">View Order</a>
@@ -92,7 +129,7 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
                 `,
                 attachments: [
                     {
-                        filename: `invoice-${updatedOrder.invoiceNumber || updatedOrder._id}.pdf`,
+                        filename: invoiceFileName(updatedOrder.invoiceNumber, updatedOrder._id),
                         content: invoiceBase64
                     }
                 ]
@@ -107,8 +144,6 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
     }
 });
 
-// ... verify updateOrderToDelivered is correct ...
-
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
 // @access  Private
@@ -116,119 +151,145 @@ const cancelOrder = asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id).populate('user', 'name email');
 
     if (order) {
-        if (order.isDelivered) {
-            res.status(400);
-            throw new Error('Cannot cancel an order that has been shipped or delivered');
-        }
-
-        if (order.isCancelled) {
-            res.status(400);
-            throw new Error('Order is already cancelled');
-        }
-
-        const oldStatus = order.status;
-        order.isCancelled = true;
-        order.status = 'CANCELLED';
-        order.cancelledAt = Date.now();
-
-        await AuditLog.create({
-            orderId: order._id,
-            statusFrom: oldStatus,
-            statusTo: 'CANCELLED',
+        const updatedOrder = await runTransition(res, order, 'CANCELLED', {
+            actor: req.user,
             action: 'ORDER_CANCELLED',
-            performedBy: {
-                id: req.user._id,
-                name: req.user.name,
-                role: req.user.role
-            },
             reason: req.body.reason || 'User/Admin requested cancellation'
         });
 
+        res.json(updatedOrder);
+    } else {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+});
 
+// @desc    Cancel one order line (or part of its quantity) before shipment
+// @route   PUT /api/orders/:id/items/:itemId/cancel
+// @access  Private (order owner or staff with orders permission)
+const cancelOrderItem = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
 
-        const updatedOrder = await order.save();
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
 
-        // --- CREATE FINANCIAL RECORD FOR REFUND (If Paid) ---
-        if (order.isPaid) {
-            await FinancialRecord.create({
-                type: 'REFUND',
-                category: 'Order Cancellation',
-                amount: order.totalPrice,
-                description: `Full Refund for Cancelled Order: ${order.invoiceNumber || order._id}`,
-                date: Date.now(),
-                reference: {
-                    model: 'Order',
-                    id: order._id
-                },
-                paymentMethod: order.paymentMethod || 'Online',
-                status: 'COMPLETED',
-                createdBy: req.user._id
-            });
-        }
+    const isOwner = order.user && order.user._id.toString() === req.user._id.toString();
+    const isStaff = hasOrdersPermission(req.user);
+    if (!isOwner && !isStaff) {
+        res.status(403);
+        throw new Error('Not authorized to cancel items on this order');
+    }
 
-        // Restore Stock
-        const stockRestoration = order.orderItems.map(async (item) => {
-            const product = await Product.findById(item.product);
-            if (product) {
-                product.countInStock += item.qty;
-                await product.save();
-            }
+    try {
+        const updatedOrder = await cancelOrderLine(order, req.params.itemId, {
+            qty: req.body.qty,
+            actor: req.user,
+            reason: req.body.reason || (isOwner ? 'Customer requested cancellation' : 'Admin cancelled item'),
+            // Cancelling the last remaining items cancels the order, which needs the same access as cancelOrder
+            canCancelOrder: isStaff
         });
+        res.json(updatedOrder);
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
+});
 
-        await Promise.all(stockRestoration);
-
-        // --- SEND CANCELLATION EMAIL ---
-        try {
-            await sendEmail({
-                to: order.user.email,
-                subject: `Order Cancelled: #${updatedOrder.invoiceNumber || updatedOrder._id}`,
-                html: `
-                        <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
-                            <h2 style="color: #EF4444;">Order Cancelled</h2>
-                            <p>Hi ${order.user.name},</p>
-                            <p>Your order <strong>#${updatedOrder.invoiceNumber || updatedOrder._id}</strong> has been successfully cancelled as per your request.</p>
-                            
-                            <div style="background-color: #FEF2F2; border-left: 4px solid #EF4444; padding: 15px; margin: 20px 0;">
-                                <p style="margin: 0; color: #B91C1C; font-weight: bold;">Refund Information</p>
-                                <p style="margin: 10px 0 0 0; color: #7F1D1D;">
-                                    Your payment of <strong>Rs. ${updatedOrder.totalPrice.toFixed(2)}</strong> will be refunded to your original payment method within the next <strong>7 working days</strong>.
-                                </p>
-                            </div>
-
-                            <p style="color: #666; font-size: 12px; margin-top: 30px;">
-                                If you did not request this cancellation or have any questions, please reply to this email immediately.
-                            </p>
-                        </div>
-                    `
-            });
-            console.log(`Cancellation email sent to ${order.user.email}`);
-        } catch (error) {
-            console.error("Failed to send cancellation email:", error);
-        }
 
-        res.json(updatedOrder);
-    } else {
-        res.status(404);
-        throw new Error('Order not found');
+// @desc    Get a server-side price quote for a checkout
+// @route   POST /api/orders/quote
+// @access  Private
+const getOrderQuote = asyncHandler(async (req, res) => {
+    const { orderItems, couponCode } = req.body;
+
+    try {
+        const quote = await calculateOrderQuote({ orderItems, couponCode, gift: parseGiftOptions(req.body.gift) });
+        res.json(quote);
+    } catch (error) {
+        res.status(error.statusCode || 400);
+        throw error;
     }
 });
+
+// @desc    Create new order
+// @route   POST /api/orders
+// @access  Private
 const addOrderItems = asyncHandler(async (req, res) => {
     const {
-        orderItems,
-        shippingAddress,
+        addressId,
         paymentMethod,
-        itemsPrice,
-        taxPrice,
-        shippingPrice,
-        totalPrice
+        couponCode
     } = req.body;
 
-    if (orderItems && orderItems.length === 0) {
+    // A saved address is copied into the order so later edits to the address book don't rewrite history
+    let shippingAddress = req.body.shippingAddress;
+    if (addressId) {
+        const savedAddress = req.user.addresses?.id(addressId);
+        if (!savedAddress) {
+            res.status(404);
+            throw new Error('Saved address not found');
+        }
+        shippingAddress = {
+            fullName: savedAddress.fullName,
+            address: [savedAddress.street, savedAddress.addressLine2].filter(Boolean).join(', '),
+            city: savedAddress.city,
+            state: savedAddress.state,
+            postalCode: savedAddress.postalCode,
+            country: savedAddress.country,
+            phoneNumber: savedAddress.phoneNumber
+        };
+    }
+
+    const gift = parseGiftOptions(req.body.gift);
+    if (gift?.message && gift.message.length > GIFT_MESSAGE_MAX_LENGTH) {
+        res.status(400);
+        throw new Error(`Gift message cannot exceed ${GIFT_MESSAGE_MAX_LENGTH} characters`);
+    }
+
+    if (!paymentMethod || !String(paymentMethod).trim()) {
+        res.status(400);
+        throw new Error('Please choose a payment method');
+    }
+    // Flagged once here: COD orders are exempt from the unpaid order expiry
+    const isCod = isCodPaymentMethod(paymentMethod);
+
+    if (!req.body.orderItems || req.body.orderItems.length === 0) {
         res.status(400);
         throw new Error('No order items');
     } else {
+        // Prices sent by the client are ignored; the quote engine is the source of truth
+        let quote;
+        try {
+            quote = await calculateOrderQuote({ orderItems: req.body.orderItems, couponCode, gift });
+        } catch (error) {
+            res.status(error.statusCode || 400);
+            throw error;
+        }
+
+        const { orderItems, itemsPrice, discountAmount, coupon, taxRate, taxPrice, shippingPrice, giftWrapPrice, totalPrice } = quote;
+
+        // Cash on delivery can be switched off store-wide or per product
+        if (isCod) {
+            const settings = await Setting.findOne();
+            if (settings && settings.isCodAvailable === false) {
+                res.status(400);
+                throw new Error('Cash on delivery is currently unavailable. Please choose another payment method.');
+            }
+
+            const codUnavailable = await Product.find({ _id: { $in: orderItems.map(item => item.product) }, isCodAvailable: false }).select('name');
+            if (codUnavailable.length > 0) {
+                res.status(400);
+                throw new Error(`Cash on delivery is not available for: ${codUnavailable.map(product => product.name).join(', ')}`);
+            }
+        }
+
         let maxDeliveryDays = 0;
         const stockUpdatedItems = [];
+        const lowStockCrossings = [];
+        // Known up front so stock ledger entries can point at the order before it is saved
+        const orderId = new mongoose.Types.ObjectId();
 
         try {
             // 1. Verify Stock & Deduct Atomically
@@ -248,20 +309,20 @@ const addOrderItems = asyncHandler(async (req, res) => {
                 const shouldEnforceStock = product.isStockEnabled !== false; // Default true
 
                 if (shouldEnforceStock) {
-                    // Attempt to atomically decrement stock ONLY IF sufficient stock exists
-                    const updatedProduct = await Product.findOneAndUpdate(
-                        { _id: item.product, countInStock: { $gte: item.qty } },
-                        { $inc: { countInStock: -item.qty } },
-                        { new: true }
-                    );
+                    // Attempt to atomically decrement stock ONLY IF sufficient stock exists (per variant when sold by size/colour)
+                    const updatedProduct = await reserveStock(item, { order: orderId, actor: req.user._id });
 
                     if (!updatedProduct) {
+                        const label = variantLabel(item);
                         res.status(400);
-                        throw new Error(`Insufficient stock for ${item.name}. Stock changed during checkout.`);
+                        throw new Error(`Insufficient stock for ${item.name}${label ? ` (${label})` : ''}. Stock changed during checkout.`);
                     }
 
                     // Track successful deduction for potential rollback
-                    stockUpdatedItems.push({ id: item.product, qty: item.qty });
+                    stockUpdatedItems.push({ product: item.product, variant: item.variant, qty: item.qty });
+
+                    const crossing = await findLowStockCrossing(updatedProduct, item.variant, item.qty);
+                    if (crossing) lowStockCrossings.push(crossing);
                 }
             }
 
@@ -270,20 +331,36 @@ const addOrderItems = asyncHandler(async (req, res) => {
             expectedDeliveryDate.setDate(expectedDeliveryDate.getDate() + (maxDeliveryDays || 5));
 
             const order = new Order({
+                _id: orderId,
                 orderItems,
                 user: req.user._id,
                 // invoiceNumber is NOT set here - it will be generated after payment
                 shippingAddress,
-                paymentMethod,
+                paymentMethod: String(paymentMethod).trim(),
+                isCod,
                 itemsPrice,
+                discountAmount,
+                coupon,
+                taxRate,
                 taxPrice,
                 shippingPrice,
+                giftWrapPrice,
                 totalPrice,
+                gift,
                 expectedDeliveryDate
             });
 
+            // 3. Split into per-seller fulfilment groups
+            order.subOrders = await buildSubOrders(order);
+
             const createdOrder = await order.save();
 
+            // Restock alerts only once the sale has stuck; sent in the background
+            if (lowStockCrossings.length > 0) {
+                notifyLowStock(lowStockCrossings, req.io).catch(error => console.error('[Low Stock] Alerts failed:', error.message));
+            }
+            recordBackInStockPurchases(createdOrder, req.user).catch(error => console.error('[Back In Stock] Conversion tracking failed:', error.message));
+
             // NOTE: Email is NOT sent here. It will be sent ONLY after payment is successful.
             // Invoice number is also generated after payment, not at order creation.
 
@@ -293,7 +370,7 @@ const addOrderItems = asyncHandler(async (req, res) => {
             // ROLLBACK: If any error occurs (stock check failed, or order save failed), refund the deducted stock
             console.error("Order creation failed, rolling back stock:", error.message);
             for (const item of stockUpdatedItems) {
-                await Product.findByIdAndUpdate(item.id, { $inc: { countInStock: item.qty } });
+                await releaseStock(item, { reason: 'ORDER_ROLLBACK', order: orderId, actor: req.user._id });
             }
             throw error; // Propagate error to asyncHandler
         }
@@ -374,57 +451,12 @@ const updateOrderToDelivered = asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-        const oldStatus = order.status;
-        order.isDelivered = true;
-        order.status = 'DELIVERED';
-        order.deliveredAt = Date.now();
-
-        await AuditLog.create({
-            orderId: order._id,
-            statusFrom: oldStatus,
-            statusTo: 'DELIVERED',
-            action: 'STATUS_UPDATE',
-            performedBy: {
-                id: req.user._id,
-                name: req.user.name,
-                role: 'admin'
-            },
+        const updatedOrder = await runTransition(res, order, 'DELIVERED', {
+            actor: req.user,
+            role: 'admin',
             note: 'Marked as delivered by admin'
         });
 
-        const updatedOrder = await order.save();
-
-        // --- SEND DELIVERY EMAIL ---
-        try {
-            // Fetch user email if not populated
-            const populatedOrder = await Order.findById(updatedOrder._id).populate('user', 'name email');
-
-            await sendEmail({
-                to: populatedOrder.user.email,
-                subject: `Order Delivered: #${updatedOrder.invoiceNumber || updatedOrder._id}`,
-                html: `
-                        <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
-                            <h2 style="color: #10B981;">Your Order Has Been Delivered!</h2>
-                            <p>Hi ${populatedOrder.user.name},</p>
-                            <p>Good news! Your order <strong>#${updatedOrder.invoiceNumber || updatedOrder._id}</strong> has been delivered.</p>
-                            
-                            <p>We hope you love your purchase. If you have any feedback or issues, please don't hesitate to reach out.</p>
-
-                            <p style="margin-top: 20px;">
-                                <a href="${FRONTEND_URL}/order/${updatedOrder._id}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Order Details</a>
-                            </p>
-
-                            <p style="color: #666; font-size: 12px; margin-top: 30px;">
-                                Thank you for shopping with Barlina Fashion.
-                            </p>
-                        </div>
-                    `
-            });
-            console.log(`Delivery email sent to ${populatedOrder.user.email}`);
-        } catch (error) {
-            console.error("Failed to send delivery email:", error);
-        }
-
         res.json(updatedOrder);
     } else {
         res.status(404);
@@ -432,7 +464,25 @@ const updateOrderToDelivered = asyncHandler(async (req, res) => {
     }
 });
 
+// @desc    Record the cash collected for a delivered COD order (numbers its invoice; status is unchanged)
+// @route   PUT /api/orders/:id/cod-payment
+// @access  Private/Admin
+const markCodOrderPaid = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
 
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    try {
+        const updatedOrder = await recordCodPayment(order, { actor: req.user, role: 'admin', note: req.body.note });
+        res.json(updatedOrder);
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
+});
 
 // @desc    Get order by invoice number or ID
 // @route   GET /api/orders/invoice/:invoiceNumber
@@ -473,137 +523,34 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-        const oldStatus = order.status;
-
-        // Define forbidden transitions if needed, but for now rely on Admin judgement + UI restrictions
-        // Validate strictly against enum
-        const allowedStatuses = ['CREATED', 'PAID', 'PAYMENT_FAILED', 'READY_TO_SHIP', 'SHIPPED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED', 'RETURNED', 'REFUNDED'];
-        if (!allowedStatuses.includes(status)) {
-            res.status(400);
-            throw new Error('Invalid status value');
-        }
-
-        order.status = status;
-
-        // Sync legacy flags
-        if (status === 'PAID') {
-            order.isPaid = true;
-            if (!order.paidAt) order.paidAt = Date.now();
-        }
-        if (status === 'DELIVERED') {
-            order.isDelivered = true;
-            if (!order.deliveredAt) order.deliveredAt = Date.now();
-        }
-        if (status === 'CANCELLED') {
-            order.isCancelled = true;
-            if (!order.cancelledAt) order.cancelledAt = Date.now();
-        }
-
-        if (status === 'OUT_FOR_DELIVERY') {
-            // --- SEND OUT FOR DELIVERY EMAIL ---
-            try {
-                // Ensure user is populated
-                const populatedOrder = (req.user && req.user.email) ? order : await Order.findById(order._id).populate('user', 'name email');
-                const user = populatedOrder.user;
-
-                await sendEmail({
-                    to: user.email,
-                    subject: `Out for Delivery: Order #${order.invoiceNumber || order._id}`,
-                    html: `
-                        <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
-                            <h2 style="color: #F59E0B;">Your Order is Out for Delivery!</h2>
-                            <p>Hi ${user.name},</p>
-                            <p>Your order <strong>#${order.invoiceNumber || order._id}</strong> is out for delivery today.</p>
-                            <p>Our courier partner will be arriving soon. Please ensure someone is available to receive the package.</p>
-                            
-                            ${courier ? `
-                            <div style="background-color: #FEF3C7; padding: 15px; margin: 20px 0; border-radius: 8px;">
-                                <p style="margin: 0; font-weight: bold;">Courier Details</p>
-                                <p style="margin: 5px 0 0 0;">Partner: ${courier.name || 'N/A'}</p>
-                                <p style="margin: 5px 0 0 0;">Tracking ID: ${courier.trackingId || 'N/A'}</p>
-                            </div>
-                            ` : ''}
-
-                            <p style="margin-top: 20px;">
-                                <a href="${FRONTEND_URL}/order/${order._id}" style="background-color: #F59E0B; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Track Order</a>
-                            </p>
-                        </div>
-                    `
-                });
-                console.log(`Out for delivery email sent to ${user.email}`);
-            } catch (error) {
-                console.error("Failed to send out for delivery email:", error);
-            }
-        }
-
-        // Logic to Auto-Generate Return Requests if Order Status is set to 'RETURNED'
-        if (status === 'RETURNED') {
-            console.log(`[OrderController] Auto-generating returns for Order ${order._id}`);
-            for (const item of order.orderItems) {
-                try {
-                    // Check if a return request already exists for this item
-                    const existingReturn = item.returnRequestId ||
-                        (await ReturnRequest.findOne({ order: order._id, 'orderItem.product': item.product }));
-
-                    if (!existingReturn) {
-                        console.log(`[OrderController] Creating return for item ${item.name}`);
-                        const newReturn = await ReturnRequest.create({
-                            order: order._id,
-                            user: order.user,
-                            orderItem: {
-                                product: item.product,
-                                name: item.name,
-                                image: item.image || 'https://via.placeholder.com/150',
-                                price: item.price,
-                                qty: item.qty
-                            },
-                            reason: 'OTHER',
-                            comments: 'Admin manually updated order status to RETURNED',
-                            status: 'APPROVED',
-                            history: [{ status: 'APPROVED', updatedBy: req.user._id, note: 'Auto-created by Order Status Update' }]
-                        });
-
-                        item.returnStatus = 'APPROVED';
-                        item.returnRequestId = newReturn._id;
-                    } else {
-                        console.log(`[OrderController] Return already exists for item ${item.name}`);
-                        // Ensure status consistency
-                        if (!item.returnStatus || item.returnStatus === 'NONE') {
-                            item.returnStatus = 'APPROVED';
-                        }
-                    }
-                } catch (err) {
-                    console.error(`[OrderController] Failed to auto-create return for item ${item.name}:`, err);
-                }
-            }
-        }
+        // Transition table, guards and side effects live in utils/orderLifecycle
+        const updatedOrder = await runTransition(res, order, status, {
+            actor: req.user,
+            role: 'admin',
+            note,
+            courier
+        });
 
-        // Handle courier info updates if status is SHIPPED
-        if (courier) {
-            order.courier = {
-                ...order.courier,
-                ...courier
-            };
-            if (status === 'SHIPPED' && !order.courier.shippedAt) {
-                order.courier.shippedAt = Date.now();
-            }
-        }
+        res.json(updatedOrder);
+    } else {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+});
 
-        const updatedOrder = await order.save();
+// @desc    Update a single shipment (sub-order) status (Admin)
+// @route   PUT /api/orders/:id/sub-orders/:subOrderId/status
+// @access  Private/Admin
+const updateSubOrderStatus = asyncHandler(async (req, res) => {
+    const { status, note, courier } = req.body;
+    const order = await Order.findById(req.params.id);
 
-        // Audit Log
-        await AuditLog.create({
-            orderId: order._id,
-            statusFrom: oldStatus,
-            statusTo: status,
-            action: 'STATUS_UPDATE',
-            performedBy: {
-                id: req.user._id,
-                name: req.user.name,
-                role: 'admin'
-            },
-            note: note || `Status updated to ${status}`,
-            metadata: { courier }
+    if (order) {
+        const updatedOrder = await runSubOrderTransition(res, order, req.params.subOrderId, status, {
+            actor: req.user,
+            role: 'admin',
+            note,
+            courier
         });
 
         res.json(updatedOrder);
@@ -632,44 +579,47 @@ const updateOrdersStatusBulk = asyncHandler(async (req, res) => {
         throw new Error('No orders selected');
     }
 
-    const orders = await Order.find({ _id: { $in: orderIds } });
-
-    const results = await Promise.all(orders.map(async (order) => {
-        const oldStatus = order.status;
-        order.status = status;
+    if (!ORDER_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error('Invalid status value');
+    }
 
-        // Sync legacy flags
-        if (status === 'PAID') {
-            order.isPaid = true;
-            if (!order.paidAt) order.paidAt = Date.now();
-        }
-        if (status === 'DELIVERED') {
-            order.isDelivered = true;
-            if (!order.deliveredAt) order.deliveredAt = Date.now();
+    const orders = await Order.find({ _id: { $in: orderIds } });
+    const orderMap = {};
+    orders.forEach(o => orderMap[o._id.toString()] = o);
+
+    const updatedIds = [];
+    const rejected = [];
+
+    // Sequential so stock restoration and emails for one order never race another
+    for (const orderId of orderIds) {
+        const order = orderMap[String(orderId)];
+        if (!order) {
+            rejected.push({ orderId, reason: 'Order not found' });
+            continue;
         }
-        // Bulk cancellation not supported here for safety (use single cancel)
-
-        await order.save();
-
-        await AuditLog.create({
-            orderId: order._id,
-            statusFrom: oldStatus,
-            statusTo: status,
-            action: 'BULK_STATUS_UPDATE',
-            performedBy: {
-                id: req.user._id,
-                name: req.user.name,
-                role: 'admin'
-            },
-            note: note || `Bulk status update to ${status}`
-        });
 
-        return order._id;
-    }));
+        try {
+            await transitionOrder(order, status, {
+                actor: req.user,
+                role: 'admin',
+                action: 'BULK_STATUS_UPDATE',
+                note: note || `Bulk status update to ${status}`
+            });
+            updatedIds.push(order._id);
+        } catch (error) {
+            rejected.push({ orderId: order._id, status: order.status, reason: error.message });
+        }
+    }
 
-    res.json({ message: `Scussessfully updated ${results.length} orders`, updatedIds: results });
+    res.json({
+        message: `Successfully updated ${updatedIds.length} of ${orderIds.length} orders`,
+        updatedIds,
+        rejected
+    });
 });
 
+
 const Complaint = require('../models/Complaint');
 
 // ... existing code ...
@@ -801,11 +751,11 @@ const getOrderInvoice = asyncHandler(async (req, res) => {
     if (order) {
         const generateInvoicePDF = require('../utils/generateInvoice');
         try {
-            const invoiceBuffer = await generateInvoicePDF(order, order.user);
+            const invoiceBuffer = await generateInvoicePDF(order, order.user, { hidePrices: shouldHidePrices(order, req.user) });
 
             res.set({
                 'Content-Type': 'application/pdf',
-                'Content-Disposition': `attachment; filename=invoice-${order.invoiceNumber || order._id}.pdf`,
+                'Content-Disposition': `attachment; filename=${invoiceFileName(order.invoiceNumber, order._id)}`,
                 'Content-Length': invoiceBuffer.length
             });
 
@@ -821,20 +771,120 @@ const getOrderInvoice = asyncHandler(async (req, res) => {
     }
 });
 
+// Shape a shipment like an order so the existing invoice templates can render it
+const shapeSubOrder = (order, subOrder) => ({
+    ...order.toObject(),
+    invoiceNumber: subOrder.invoiceNumber || order.invoiceNumber,
+    orderItems: getSubOrderItems(order, subOrder),
+    itemsPrice: subOrder.itemsPrice,
+    discountAmount: subOrder.discountAmount,
+    taxPrice: subOrder.taxPrice,
+    shippingPrice: subOrder.shippingPrice,
+    giftWrapPrice: subOrder.giftWrapPrice,
+    totalPrice: subOrder.totalPrice
+});
+
+// @desc    Download the invoice PDF for one shipment (sub-order)
+// @route   GET /api/orders/:id/sub-orders/:subOrderId/invoice
+// @access  Private (order owner, staff with orders permission, or the shipment's seller)
+const getSubOrderInvoice = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).populate('user', 'name email address city postalCode country phoneNumber');
+
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    const subOrder = order.subOrders.id(req.params.subOrderId);
+    if (!subOrder) {
+        res.status(404);
+        throw new Error('Sub-order not found');
+    }
+
+    // The invoice carries the customer's name, address and phone: owner, order staff or that shipment's seller only
+    const isOwner = order.user && order.user._id.toString() === req.user._id.toString();
+    const isShipmentSeller = Boolean(subOrder.seller) && req.user.role === 'seller' &&
+        Boolean(await Seller.exists({ _id: subOrder.seller, user: req.user._id }));
+    if (!isOwner && !hasOrdersPermission(req.user) && !isShipmentSeller) {
+        res.status(403);
+        throw new Error('Not authorized to view this invoice');
+    }
+
+    const invoiceOrder = shapeSubOrder(order, subOrder);
+
+    const generateInvoicePDF = require('../utils/generateInvoice');
+    try {
+        const invoiceBuffer = await generateInvoicePDF(invoiceOrder, order.user, { hidePrices: shouldHidePrices(order, req.user) });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename=${invoiceFileName(invoiceOrder.invoiceNumber, subOrder._id)}`,
+            'Content-Length': invoiceBuffer.length
+        });
+
+        res.send(invoiceBuffer);
+    } catch (error) {
+        console.error("Invoice Generation Error:", error);
+        res.status(500);
+        throw new Error('Failed to generate invoice PDF');
+    }
+});
+
+// @desc    Download the packing slip for one shipment (sub-order); prices are hidden on gift orders
+// @route   GET /api/orders/:id/sub-orders/:subOrderId/packing-slip
+// @access  Private/Admin (orders permission)
+const getSubOrderPackingSlip = asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    const subOrder = order.subOrders.id(req.params.subOrderId);
+    if (!subOrder) {
+        res.status(404);
+        throw new Error('Sub-order not found');
+    }
+
+    const { generatePackingSlipPDF } = require('../utils/generateInvoice');
+    try {
+        const slipBuffer = await generatePackingSlipPDF(shapeSubOrder(order, subOrder));
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename=packing-slip-${subOrder._id}.pdf`,
+            'Content-Length': slipBuffer.length
+        });
+
+        res.send(slipBuffer);
+    } catch (error) {
+        console.error("Packing Slip Generation Error:", error);
+        res.status(500);
+        throw new Error('Failed to generate packing slip PDF');
+    }
+});
+
 module.exports = {
     addOrderItems,
+    getOrderQuote,
     getOrderById,
     updateOrderToPaid,
     updateOrderToDelivered,
+    markCodOrderPaid,
     cancelOrder,
+    cancelOrderItem,
     getMyOrders,
     getOrders,
     getOrderByInvoiceNumber,
     createPaymentIntent,
     updateOrderEstimatedDelivery,
     updateOrderStatus,
+    updateSubOrderStatus,
     getOrderAuditLogs,
     updateOrdersStatusBulk,
     getOrderStats,
-    getOrderInvoice
+    getOrderInvoice,
+    getSubOrderInvoice,
+    getSubOrderPackingSlip
 };
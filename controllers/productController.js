@@ -1,8 +1,47 @@
 const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
-const Order = require('../models/Order');
+const Review = require('../models/Review');
 
 const Category = require('../models/Category');
+const { correctQuery, recordSearchQuery } = require('../utils/searchSuggestions');
+const importProductCatalog = require('../utils/productImport');
+const { loadSalePricing, loadSalePriceExpression, getUnitPrice } = require('../utils/calculateOrderQuote');
+const { adjustStock } = require('../utils/productStock');
+const { findLowStockCrossing, notifyLowStock } = require('../utils/stockAlerts');
+const StockMovement = require('../models/StockMovement');
+const StockSubscription = require('../models/StockSubscription');
+const { queueBackInStock, isAvailable } = require('../utils/backInStock');
+const ProductRecommendation = require('../models/ProductRecommendation');
+
+// Products store the category _id; clients may send an id, slug or name
+const findCategoryOrFail = async (res, value) => {
+    const category = await Category.resolve(value);
+    if (!category) {
+        res.status(400);
+        throw new Error(`Category not found: ${value}`);
+    }
+    return category;
+};
+
+// Catalog view of a product with any running sale applied: discountPrice carries the sale price
+// (on the product and on each variant) and saleEvent says which campaign it comes from
+const withSalePricing = (product, priceFor) => {
+    const plain = product.toObject ? product.toObject() : product;
+    const { discountPrice, saleEvent } = priceFor(product);
+    const priced = {
+        ...plain,
+        ...(saleEvent ? { discountPrice, saleEvent: { _id: saleEvent._id, name: saleEvent.name, endsAt: saleEvent.endsAt } } : {})
+    };
+
+    if (plain.variants?.length > 0) {
+        priced.variants = plain.variants.map(variant => {
+            const pricing = priceFor(product, variant);
+            return pricing.saleEvent ? { ...variant, discountPrice: pricing.discountPrice } : variant;
+        });
+    }
+
+    return priced;
+};
 
 // @desc    Get all products
 // @route   GET /api/products
@@ -15,57 +54,311 @@ const getProducts = asyncHandler(async (req, res) => {
         }
     } : {};
 
-    let categoryFilter = req.query.category ? { category: req.query.category } : {};
+    // A category (id, slug or name) includes everything in its subtree
+    let categoryIds = null;
+    if (req.query.category) {
+        const category = await Category.resolve(req.query.category);
+        if (!category) return res.json([]);
+        categoryIds = await Category.getSubtreeIds(category._id);
+    }
 
     // RBAC: Filter by assigned categories ONLY if specific categories are assigned.
     // If no categories are assigned, we assume the Admin has global product access.
+    // An assigned category covers its subcategories.
     if (req.user && req.user.role === 'admin') {
         const assignedCategoryIds = req.user.assignedCategories;
 
         if (assignedCategoryIds && assignedCategoryIds.length > 0) {
-            // Product model stores category NAME usually, but let's confirm.
-            // Earlier fix confirmed we need to map IDs to Names.
-            const allowedCategories = await Category.find({ _id: { $in: assignedCategoryIds } });
-            const allowedCategoryNames = allowedCategories.map(c => c.name);
+            const allowedIds = await Category.getSubtreeIds(assignedCategoryIds);
 
-            if (req.query.category) {
-                if (!allowedCategoryNames.includes(req.query.category)) {
+            if (categoryIds) {
+                const allowed = new Set(allowedIds.map(String));
+                categoryIds = categoryIds.filter(id => allowed.has(id.toString()));
+                if (categoryIds.length === 0) {
                     // Return empty if trying to access unauthorized category
                     return res.json([]);
                 }
             } else {
                 // Restrict to allowed categories
-                categoryFilter = { category: { $in: allowedCategoryNames } };
+                categoryIds = allowedIds;
             }
         }
         // Else: No assigned categories -> View ALL products (Global Access)
     }
 
+    const categoryFilter = categoryIds ? { category: { $in: categoryIds } } : {};
+
     const products = await Product.find({ ...keyword, ...categoryFilter })
-        .select('name price discountPrice image countInStock isStockEnabled rating numReviews category isCodAvailable estimatedDeliveryDays colors specifications');
-    res.json(products);
+        .select('name price discountPrice image imageVariants countInStock isStockEnabled rating numReviews category seller isCodAvailable estimatedDeliveryDays colors variants specifications')
+        .populate('category', 'name slug');
+
+    const priceFor = await loadSalePricing();
+    res.json(products.map(product => withSalePricing(product, priceFor)));
 });
 
-// @desc    Get top rated products
+const IN_STOCK = { $or: [{ isStockEnabled: false }, { countInStock: { $gt: 0 } }] };
+
+// Ties broken on _id so pages never overlap
+const SEARCH_SORTS = {
+    relevance: { score: -1, _id: 1 },
+    price_asc: { effectivePrice: 1, _id: 1 },
+    price_desc: { effectivePrice: -1, _id: 1 },
+    newest: { createdAt: -1, _id: 1 },
+    rating: { rating: -1, numReviews: -1, _id: 1 },
+    popularity: { numReviews: -1, rating: -1, _id: 1 }
+};
+
+const SEARCH_FIELDS = {
+    name: 1, price: 1, discountPrice: 1, effectivePrice: 1, image: 1, brand: 1, category: 1, seller: 1,
+    countInStock: 1, isStockEnabled: 1, rating: 1, numReviews: 1, isCodAvailable: 1, colors: 1, imageVariants: 1
+};
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// ?brand=A,B and ?brand=A&brand=B both become ['A', 'B']
+const toList = (value) => [].concat(value || [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Search live products with filters, sorting, pagination and facet counts
+// @route   GET /api/products/search
+// @access  Public
+const searchProducts = asyncHandler(async (req, res) => {
+    const { q, category, minPrice, maxPrice, rating, cod, inStock, sort } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+    const keyword = q ? String(q).trim() : '';
+
+    // Only what a customer can buy; the text index ranks keyword matches
+    const baseMatch = { isDeleted: { $ne: true }, isLive: { $ne: false }, listingStatus: 'APPROVED' };
+    if (keyword) baseMatch.$text = { $search: keyword };
+    if (category) {
+        const match = await Category.resolve(category);
+        baseMatch.category = { $in: match ? await Category.getSubtreeIds(match._id) : [] };
+    }
+
+    // Each facet is counted with every filter except its own, so choosing one brand still lists the others
+    const filters = {};
+    const brands = toList(req.query.brand);
+    if (brands.length > 0) filters.brand = { brand: { $in: brands } };
+
+    const colors = toList(req.query.color);
+    if (colors.length > 0) filters.color = { colors: { $in: colors.map(c => new RegExp(`^${escapeRegex(c)}$`, 'i')) } };
+
+    const priceRange = {};
+    if (minPrice !== undefined && minPrice !== '' && !isNaN(minPrice)) priceRange.$gte = Number(minPrice);
+    if (maxPrice !== undefined && maxPrice !== '' && !isNaN(maxPrice)) priceRange.$lte = Number(maxPrice);
+    if (Object.keys(priceRange).length > 0) filters.price = { effectivePrice: priceRange };
+
+    if (rating && !isNaN(rating)) filters.rating = { rating: { $gte: Number(rating) } };
+    if (cod === 'true') filters.cod = { isCodAvailable: true };
+    if (inStock === 'true') filters.inStock = IN_STOCK;
+
+    const matchExcept = (facet) => ({
+        $match: { $and: [{}, ...Object.entries(filters).filter(([key]) => key !== facet).map(([, clause]) => clause)] }
+    });
+
+    let sortKey = SEARCH_SORTS[sort] ? sort : (keyword ? 'relevance' : 'newest');
+    if (sortKey === 'relevance' && !keyword) sortKey = 'newest';
+
+    // Price a customer actually pays, sale events included, so price filters and sorting match what is shown
+    const effectivePrice = await loadSalePriceExpression();
+
+    const [result] = await Product.aggregate([
+        { $match: baseMatch },
+        { $addFields: { effectivePrice, ...(keyword ? { score: { $meta: 'textScore' } } : {}) } },
+        {
+            $facet: {
+                products: [
+                    matchExcept(null),
+                    { $sort: SEARCH_SORTS[sortKey] },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: SEARCH_FIELDS }
+                ],
+                total: [matchExcept(null), { $count: 'count' }],
+                brands: [
+                    matchExcept('brand'),
+                    { $group: { _id: '$brand', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: 50 }
+                ],
+                colors: [
+                    matchExcept('color'),
+                    { $unwind: '$colors' },
+                    { $group: { _id: '$colors', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: 50 }
+                ],
+                ratings: [
+                    matchExcept('rating'),
+                    { $group: { _id: { $floor: '$rating' }, count: { $sum: 1 } } }
+                ],
+                price: [
+                    matchExcept('price'),
+                    { $group: { _id: null, min: { $min: '$effectivePrice' }, max: { $max: '$effectivePrice' } } }
+                ],
+                cod: [matchExcept('cod'), { $match: { isCodAvailable: true } }, { $count: 'count' }],
+                inStock: [matchExcept('inStock'), { $match: IN_STOCK }, { $count: 'count' }]
+            }
+        }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    // Only the first page counts as a search; paging through results is not a new one
+    let didYouMean = null;
+    if (keyword && page === 1) {
+        recordSearchQuery(keyword, total);
+        if (total === 0) didYouMean = await correctQuery(keyword);
+    }
+
+    // Sale details (event name, variant prices) for the page shown
+    const priceFor = await loadSalePricing();
+    const products = result.products.map(product => {
+        const priced = withSalePricing(product, priceFor);
+        return { ...priced, effectivePrice: getUnitPrice(priced) };
+    });
+
+    res.json({
+        products,
+        page,
+        pages: Math.ceil(total / limit),
+        total,
+        sort: sortKey,
+        didYouMean,
+        facets: {
+            brands: result.brands.map(b => ({ value: b._id, count: b.count })),
+            colors: result.colors.map(c => ({ value: c._id, count: c.count })),
+            // "4 stars & up" style buckets
+            ratings: RATING_THRESHOLDS.map(threshold => ({
+                value: threshold,
+                count: result.ratings.filter(r => r._id >= threshold).reduce((acc, r) => acc + r.count, 0)
+            })),
+            price: {
+                min: result.price[0]?.min ?? 0,
+                max: result.price[0]?.max ?? 0
+            },
+            codAvailable: result.cod[0]?.count || 0,
+            inStock: result.inStock[0]?.count || 0
+        }
+    });
+});
+
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_LIMIT = 8;
+
+// Names, brands and categories with a word starting with the typed text
+const findSuggestions = async (text) => {
+    const pattern = new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i');
+    const live = { isDeleted: { $ne: true }, isLive: { $ne: false }, listingStatus: 'APPROVED' };
+
+    const [products, brands, categories] = await Promise.all([
+        Product.find({ ...live, name: pattern })
+            .sort({ numReviews: -1, rating: -1 })
+            .select('name image imageVariants category')
+            .limit(SUGGEST_LIMIT)
+            .lean(),
+        Product.distinct('brand', { ...live, brand: pattern }),
+        Category.find({ name: pattern }).select('name slug ancestors').limit(5).lean()
+    ]);
+
+    return {
+        products,
+        brands: brands.slice(0, 5),
+        // "Women > Ethnic > Sarees" tells apart categories that share a name
+        categories: categories.map(c => ({
+            _id: c._id,
+            name: c.name,
+            slug: c.slug,
+            path: [...c.ancestors.map(a => a.name), c.name].join(' > ')
+        }))
+    };
+};
+
+// @desc    Autocomplete for the search box, with a spelling correction when nothing matches
+// @route   GET /api/products/suggest
+// @access  Public
+const suggestProducts = asyncHandler(async (req, res) => {
+    const text = req.query.q ? String(req.query.q).trim() : '';
+
+    if (text.length < SUGGEST_MIN_LENGTH) {
+        return res.json({ query: text, didYouMean: null, products: [], brands: [], categories: [] });
+    }
+
+    let suggestions = await findSuggestions(text);
+    let didYouMean = null;
+
+    const isEmpty = suggestions.products.length === 0 && suggestions.brands.length === 0 && suggestions.categories.length === 0;
+    if (isEmpty) {
+        didYouMean = await correctQuery(text);
+        if (didYouMean) suggestions = await findSuggestions(didYouMean);
+    }
+
+    res.json({ query: text, didYouMean, ...suggestions });
+});
+
+const CARD_FIELDS = 'name price discountPrice image imageVariants countInStock isStockEnabled rating numReviews category seller';
+const LIVE_PRODUCT = { isDeleted: { $ne: true }, isLive: { $ne: false }, listingStatus: 'APPROVED' };
+
+// Live products for a ranked list of ids, in the same order
+const findLiveInOrder = async (ids) => {
+    const products = await Product.find({ _id: { $in: ids }, ...LIVE_PRODUCT }).select(CARD_FIELDS);
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Top up a recommendation list with other live products matching the filter
+const fillWith = async (products, limit, { exclude = [], filter = {}, sort }) => {
+    if (products.length >= limit) return products.slice(0, limit);
+    const filler = await Product.find({ ...LIVE_PRODUCT, ...filter, _id: { $nin: [...exclude, ...products.map(p => p._id)] } })
+        .sort(sort)
+        .select(CARD_FIELDS)
+        .limit(limit - products.length);
+    return [...products, ...filler];
+};
+
+// @desc    Get best-selling products (recent sales, from the recommendation rebuild)
 // @route   GET /api/products/top
 // @access  Public
 const getTopProducts = asyncHandler(async (req, res) => {
-    // Return newest 10 products as a simple "Top" metric for now, or just limit 8
-    const products = await Product.find({})
-        .sort({ createdAt: -1 })
-        .select('name price discountPrice image countInStock rating numReviews category')
-        .limit(8);
-    res.json(products);
+    const limit = Math.min(parseInt(req.query.limit) || 8, 24);
+
+    // Read a few extra ranks in case some top sellers have since gone off sale
+    const ranked = await ProductRecommendation.find({ unitsSold: { $gt: 0 } })
+        .sort({ unitsSold: -1, orderCount: -1 })
+        .select('product')
+        .limit(limit * 2)
+        .lean();
+
+    // A new store with few sales is topped up with the best-reviewed products
+    const products = await fillWith(
+        (await findLiveInOrder(ranked.map(r => r.product))).slice(0, limit),
+        limit,
+        { sort: { rating: -1, numReviews: -1, createdAt: -1 } }
+    );
+
+    const priceFor = await loadSalePricing();
+    res.json(products.map(product => withSalePricing(product, priceFor)));
 });
 
 // @desc    Get single product
 // @route   GET /api/products/:id
 // @access  Public
 const getProductById = asyncHandler(async (req, res) => {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).populate('category', 'name slug ancestors');
 
     if (product) {
-        res.json(product);
+        // Latest published reviews; the full list is paged through GET /api/products/:id/reviews
+        const reviews = await Review.find({ product: product._id, status: 'PUBLISHED' })
+            .select('name rating title comment photos photoVariants variantLabel isVerifiedPurchase helpfulCount notHelpfulCount createdAt')
+            .sort({ createdAt: -1 })
+            .limit(10)
+            .lean();
+        res.json({ ...withSalePricing(product, await loadSalePricing()), reviews });
     } else {
         res.status(404);
         throw new Error('Product not found');
@@ -76,9 +369,10 @@ const getProductById = asyncHandler(async (req, res) => {
 // @route   POST /api/products
 // @access  Private/Admin
 const createProduct = asyncHandler(async (req, res) => {
-    const { name, price, discountPrice, description, image, images, brand, category, countInStock, isStockEnabled, isCodAvailable, estimatedDeliveryDays, colors, specifications } = req.body;
+    const { name, price, discountPrice, description, image, images, brand, category, countInStock, isStockEnabled, lowStockThreshold, isCodAvailable, estimatedDeliveryDays, colors, variants, specifications, hsnCode, gstRate } = req.body;
 
     const mainImage = (images && images.length > 0) ? images[0] : image;
+    const productCategory = await findCategoryOrFail(res, category);
 
     const product = new Product({
         name,
@@ -88,14 +382,17 @@ const createProduct = asyncHandler(async (req, res) => {
         image: mainImage,
         images: images || [mainImage],
         brand,
-        category,
-        category,
+        category: productCategory._id,
         countInStock,
         isStockEnabled: isStockEnabled !== undefined ? isStockEnabled : true,
+        lowStockThreshold: lowStockThreshold !== undefined && lowStockThreshold !== '' ? lowStockThreshold : null,
         isCodAvailable: isCodAvailable !== undefined ? isCodAvailable : true,
         estimatedDeliveryDays: estimatedDeliveryDays || undefined,
         colors: colors || [],
+        variants: variants || [],
         specifications: specifications || [],
+        hsnCode,
+        gstRate: gstRate !== undefined && gstRate !== '' ? gstRate : null,
         numReviews: 0,
         description,
         returnPolicy: req.body.returnPolicy // Persist Return Policy
@@ -105,6 +402,42 @@ const createProduct = asyncHandler(async (req, res) => {
     res.status(201).json(createdProduct);
 });
 
+// @desc    Bulk create/update platform products from CSV or JSON (?dryRun=true to validate only)
+// @route   POST /api/products/import
+// @access  Private/Admin
+const importProducts = asyncHandler(async (req, res) => {
+    const dryRun = req.query.dryRun === 'true' || String(req.body?.dryRun) === 'true';
+
+    let parsed;
+    try {
+        parsed = importProductCatalog.readImportRecords({ file: req.file, body: req.body });
+    } catch (error) {
+        res.status(error.statusCode || 400);
+        throw error;
+    }
+
+    // Category-scoped admins can only import into (and update products in) their assigned subtrees
+    const allowedCategories = req.user.role === 'admin' && req.user.assignedCategories?.length > 0
+        ? await Category.getSubtreeIds(req.user.assignedCategories)
+        : null;
+
+    const report = await importProductCatalog(parsed.records, { user: req.user, dryRun, allowedCategories });
+    report.unknownColumns = parsed.unknownColumns;
+
+    if (report.invalid > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+            message: `${report.invalid} product(s) have errors${dryRun ? '' : '; nothing was imported'}`,
+            ...report
+        });
+    }
+
+    if (report.failed > 0) {
+        return res.status(409).json({ message: 'The import failed and was rolled back; nothing was imported', ...report });
+    }
+
+    res.status(dryRun ? 200 : 201).json(report);
+});
+
 const AdminApprovalRequest = require('../models/AdminApprovalRequest');
 
 // ... imports ...
@@ -164,7 +497,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
 // @route   PUT /api/products/:id
 // @access  Private/Admin
 const updateProduct = asyncHandler(async (req, res) => {
-    const { name, price, discountPrice, description, image, images, brand, category, countInStock, isStockEnabled, isCodAvailable, estimatedDeliveryDays, colors, specifications } = req.body;
+    const { name, price, discountPrice, description, image, images, brand, category, countInStock, isStockEnabled, lowStockThreshold, isCodAvailable, estimatedDeliveryDays, colors, variants, specifications, hsnCode, gstRate } = req.body;
 
     const product = await Product.findById(req.params.id);
 
@@ -181,7 +514,14 @@ const updateProduct = asyncHandler(async (req, res) => {
         }
 
         product.colors = colors || product.colors;
+        if (variants !== undefined) {
+            product.variants = variants; // Stock total and colours are recomputed from these on save
+        }
         product.specifications = specifications || product.specifications;
+        product.hsnCode = hsnCode !== undefined ? hsnCode : product.hsnCode;
+        if (gstRate !== undefined) {
+            product.gstRate = gstRate === '' ? null : gstRate; // Blank falls back to the store rate
+        }
 
         // Update main image if images array is provided
         if (images && images.length > 0) {
@@ -191,12 +531,19 @@ const updateProduct = asyncHandler(async (req, res) => {
         }
 
         product.brand = brand || product.brand;
-        product.category = category || product.category;
-        product.countInStock = countInStock !== undefined ? countInStock : product.countInStock; // Allow 0
+        if (category) {
+            product.category = (await findCategoryOrFail(res, category))._id;
+        }
+        if (product.variants.length === 0) {
+            product.countInStock = countInStock !== undefined ? countInStock : product.countInStock; // Allow 0
+        }
         product.isStockEnabled = isStockEnabled !== undefined ? isStockEnabled : product.isStockEnabled;
+        if (lowStockThreshold !== undefined) product.lowStockThreshold = lowStockThreshold === '' ? null : lowStockThreshold; // null uses the category's
         product.returnPolicy = req.body.returnPolicy || product.returnPolicy; // Persist Return Policy
 
+        product._updatedBy = req.user._id; // Stock ledger actor
         const updatedProduct = await product.save();
+        queueBackInStock(updatedProduct._id);
         res.json(updatedProduct);
     } else {
         res.status(404);
@@ -204,142 +551,246 @@ const updateProduct = asyncHandler(async (req, res) => {
     }
 });
 
-// @desc    Create new review
-// @route   POST /api/products/:id/reviews
-// @access  Private
+// @desc    Manual Stock Adjustment (Admin), for the whole product or one variant
+// @route   PATCH /api/products/:id/stock
+// @access  Private/Admin
+const updateStockManual = asyncHandler(async (req, res) => {
+    const { variantId, note } = req.body;
+    const qtyChange = Number(req.body.qtyChange); // e.g., 10 to add, -5 to remove
 
-// ... (existing code)
+    if (req.body.qtyChange === undefined || !Number.isInteger(qtyChange) || qtyChange === 0) {
+        res.status(400);
+        throw new Error('Please provide a valid quantity change (qtyChange)');
+    }
 
-// @desc    Create new review
-// @route   POST /api/products/:id/reviews
-// @access  Private
-const createProductReview = asyncHandler(async (req, res) => {
-    const { rating, comment } = req.body;
     const product = await Product.findById(req.params.id);
 
-    if (product) {
-        // Check if user has purchased the item
-        const hasPurchased = await Order.findOne({
-            user: req.user._id,
-            'orderItems.product': req.params.id,
-            isPaid: true
-        });
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
 
-        if (!hasPurchased) {
-            res.status(400);
-            throw new Error('You can only review products you have purchased.');
-        }
+    if (product.variants.length > 0 && !product.variants.id(variantId)) {
+        res.status(400);
+        throw new Error('This product is stocked per variant; please provide a valid variantId');
+    }
 
-        const alreadyReviewed = product.reviews.find(
-            (r) => r.user.toString() === req.user._id.toString()
-        );
+    // Atomic update to prevent overwriting live stock changes from orders; variant and product totals move together
+    const result = await adjustStock(
+        { product: product._id, variant: variantId || null, qty: qtyChange },
+        { reason: 'MANUAL_ADJUSTMENT', actor: req.user._id, note }
+    );
 
-        if (alreadyReviewed) {
-            res.status(400);
-            throw new Error('Product already reviewed');
-        }
+    if (!result) {
+        res.status(400);
+        throw new Error(qtyChange < 0 ? 'Insufficient stock for this manual reduction' : 'Failed to update stock');
+    }
 
-        const review = {
-            name: req.user.name,
-            rating: Number(rating),
-            comment,
-            user: req.user._id
-        };
-
-        product.reviews.push(review);
-        product.numReviews = product.reviews.length;
-        product.rating =
-            product.reviews.reduce((acc, item) => item.rating + acc, 0) /
-            product.reviews.length;
-
-        await product.save();
-        res.status(201).json({ message: 'Review added' });
+    if (qtyChange < 0) {
+        const crossing = await findLowStockCrossing(result, variantId || null, -qtyChange);
+        if (crossing) await notifyLowStock([crossing], req.io);
     } else {
+        queueBackInStock(result._id);
+    }
+
+    const variant = variantId ? result.variants.id(variantId) : null;
+    console.log(`[Admin Stock Update] ${product.name}${variant ? ` ${variant.sku}` : ''}: ${qtyChange < 0 ? 'Reduced' : 'Added'} ${Math.abs(qtyChange)}. New stock: ${variant ? variant.countInStock : result.countInStock}`);
+    res.json(result);
+});
+
+// @desc    Get a product's stock movements, newest first
+// @route   GET /api/products/:id/stock-history
+// @access  Private/Admin or owning Seller
+const getStockHistory = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const product = await Product.findById(req.params.id).select('name countInStock variants stockCheck');
+
+    if (!product) {
         res.status(404);
         throw new Error('Product not found');
     }
+
+    const filter = { product: product._id };
+    if (req.query.variant) filter.variant = req.query.variant;
+    if (req.query.reason) filter.reason = { $in: toList(req.query.reason) };
+
+    const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+            .populate('performedBy', 'name role')
+            .populate('order', 'invoiceNumber')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+        product: {
+            _id: product._id,
+            name: product.name,
+            countInStock: product.countInStock,
+            variants: product.variants.map(v => ({ _id: v._id, sku: v.sku, size: v.size, color: v.color, countInStock: v.countInStock })),
+            stockCheck: product.stockCheck
+        },
+        movements,
+        page,
+        pages: Math.ceil(total / limit),
+        total
+    });
 });
 
-// @desc    Manual Stock Adjustment (Admin)
-// @route   PATCH /api/products/:id/stock
-// @access  Private/Admin
-const updateStockManual = asyncHandler(async (req, res) => {
-    const { qtyChange } = req.body; // e.g., 10 to add, -5 to remove
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// @desc    Ask to be emailed when an out-of-stock product, variant or colour is back
+// @route   POST /api/products/:id/notify-me
+// @access  Public (logged-in users are subscribed with their account email)
+const subscribeBackInStock = asyncHandler(async (req, res) => {
+    const { variant: variantId, size, color } = req.body;
+    const email = (req.user?.email || req.body.email || '').trim().toLowerCase();
 
-    if (qtyChange === undefined || isNaN(qtyChange)) {
+    if (!EMAIL_PATTERN.test(email)) {
         res.status(400);
-        throw new Error('Please provide a valid quantity change (qtyChange)');
+        throw new Error('Please provide a valid email address');
     }
 
     const product = await Product.findById(req.params.id);
 
-    if (product) {
-        // Atomic update to prevent overwriting live stock changes from orders
-        const result = await Product.findOneAndUpdate(
-            {
-                _id: req.params.id,
-                // If decreasing, ensure we don't go below 0
-                ...(qtyChange < 0 ? { countInStock: { $gte: Math.abs(qtyChange) } } : {})
-            },
-            { $inc: { countInStock: qtyChange } },
-            { new: true }
-        );
+    if (!product || product.isDeleted) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
 
-        if (!result) {
-            res.status(400);
-            throw new Error(qtyChange < 0 ? 'Insufficient stock for this manual reduction' : 'Failed to update stock');
-        }
+    // Variant products are watched per variant; plain products per colour (stock is shared)
+    const variant = product.variants.length > 0 ? product.findVariant({ variant: variantId, size, color }) : null;
+    if (product.variants.length > 0 && !variant) {
+        res.status(400);
+        throw new Error('Please choose a size and colour to be notified about');
+    }
+    if (!variant && color && product.colors.length > 0 && !product.colors.includes(color)) {
+        res.status(400);
+        throw new Error(`${product.name} is not available in ${color}`);
+    }
 
-        console.log(`[Admin Stock Update] ${product.name}: ${qtyChange < 0 ? 'Reduced' : 'Added'} ${Math.abs(qtyChange)}. New stock: ${result.countInStock}`);
-        res.json(result);
-    } else {
+    const item = { product: product._id, variant: variant?._id || null, color: variant ? variant.color : (color || undefined) };
+
+    if (isAvailable(product, item)) {
+        res.status(400);
+        throw new Error('This item is in stock and can be ordered now');
+    }
+
+    // The unsubscribe token stays out of the response; it is only ever sent by email
+    const toResponse = (subscription) => ({
+        _id: subscription._id,
+        product: subscription.product,
+        variant: subscription.variant,
+        color: subscription.color,
+        email: subscription.email
+    });
+    const findActive = () => StockSubscription.findOne({ ...item, color: item.color ?? null, email, status: 'ACTIVE' });
+
+    const existing = await findActive();
+    if (existing) {
+        return res.json({ message: 'You are already on the list for this item', subscription: toResponse(existing) });
+    }
+
+    let subscription;
+    try {
+        subscription = await StockSubscription.create({ ...item, email, user: req.user?._id });
+    } catch (error) {
+        // A concurrent request created it first (unique index on active subscriptions)
+        if (error.code !== 11000) throw error;
+        const active = await findActive();
+        return res.json({ message: 'You are already on the list for this item', subscription: active && toResponse(active) });
+    }
+
+    res.status(201).json({
+        message: 'We will email you when this item is back in stock',
+        subscription: toResponse(subscription)
+    });
+});
+
+// @desc    One-click unsubscribe from a back-in-stock email
+// @route   GET /api/products/notify-me/unsubscribe/:token
+// @access  Public (the token is the credential)
+const unsubscribeBackInStock = asyncHandler(async (req, res) => {
+    const subscription = await StockSubscription.findOne({ unsubscribeToken: req.params.token });
+
+    if (!subscription) {
         res.status(404);
-        throw new Error('Product not found');
+        throw new Error('Subscription not found');
     }
+
+    if (subscription.status !== 'UNSUBSCRIBED') {
+        subscription.status = 'UNSUBSCRIBED';
+        await subscription.save();
+    }
+
+    // Opened from an email link, so answer with a page rather than JSON
+    res.send('<p style="font-family: Arial, sans-serif;">You have been unsubscribed and will not receive further stock alerts for this item.</p>');
 });
 
-// @desc    Get related products
+// @desc    Get related products ("customers also viewed"), topped up from the same category
 // @route   GET /api/products/:id/related
 // @access  Public
 const getRelatedProducts = asyncHandler(async (req, res) => {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).select('category');
 
     if (product) {
-        // 1. Get products from the same category
-        let related = await Product.find({
-            _id: { $ne: product._id },
-            category: product.category
-        })
-            .select('name price discountPrice image countInStock rating numReviews category')
-            .limit(8);
-
-        // 2. If we have less than 8, fill the remaining space with other products
-        if (related.length < 8) {
-            const excludeIds = [product._id, ...related.map(p => p._id)];
-            const filler = await Product.find({
-                _id: { $nin: excludeIds }
-            })
-                .select('name price discountPrice image countInStock rating numReviews category')
-                .limit(8 - related.length);
-
-            related = [...related, ...filler];
-        }
+        const limit = 8;
+        const recommendation = await ProductRecommendation.findOne({ product: product._id }).select('alsoViewed').lean();
 
-        res.json(related);
+        let related = (await findLiveInOrder((recommendation?.alsoViewed || []).map(r => r.product))).slice(0, limit);
+        const popular = { numReviews: -1, rating: -1 };
+        related = await fillWith(related, limit, { exclude: [product._id], filter: { category: product.category }, sort: popular });
+        related = await fillWith(related, limit, { exclude: [product._id], sort: popular });
+
+        const priceFor = await loadSalePricing();
+        res.json(related.map(relatedProduct => withSalePricing(relatedProduct, priceFor)));
     } else {
         res.status(404);
         throw new Error('Product not found');
     }
 });
 
+// @desc    Get products frequently bought together with this one
+// @route   GET /api/products/:id/bought-together
+// @access  Public
+const getFrequentlyBoughtTogether = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).select('_id');
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 4, 12);
+    const recommendation = await ProductRecommendation.findOne({ product: product._id }).select('boughtTogether').lean();
+
+    // No filler here: an unrelated product is not "bought together", so the list may be empty
+    const products = (await findLiveInOrder((recommendation?.boughtTogether || []).map(r => r.product)))
+        .filter(p => p.isStockEnabled === false || p.countInStock > 0)
+        .slice(0, limit);
+
+    const priceFor = await loadSalePricing();
+    res.json(products.map(item => withSalePricing(item, priceFor)));
+});
+
 module.exports = {
     getProducts,
+    searchProducts,
+    suggestProducts,
     getTopProducts,
     getProductById,
     createProduct,
     deleteProduct,
     updateProduct,
-    createProductReview,
     updateStockManual,
-    getRelatedProducts
+    getStockHistory,
+    subscribeBackInStock,
+    unsubscribeBackInStock,
+    getRelatedProducts,
+    getFrequentlyBoughtTogether,
+    importProducts
 };
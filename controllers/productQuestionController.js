@@ -0,0 +1,444 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductQuestion = require('../models/ProductQuestion');
+const ProductAnswer = require('../models/ProductAnswer');
+const Seller = require('../models/Seller');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const sendEmail = require('../utils/sendEmail');
+const { findDeliveredLine } = require('../utils/verifiedPurchase');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Helper function to log audit trail
+const logAudit = async (action, performedUser, targetModel, targetId, metadata = {}) => {
+    try {
+        await AuditLog.create({
+            action,
+            performedBy: {
+                id: performedUser._id,
+                name: performedUser.name,
+                role: performedUser.role
+            },
+            targetModel,
+            targetId,
+            metadata,
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+const isStaff = (user) => ['admin', 'super_admin'].includes(user.role);
+
+const findQuestion = async (req, res) => {
+    const question = mongoose.isValidObjectId(req.params.questionId)
+        ? await ProductQuestion.findById(req.params.questionId)
+        : null;
+
+    if (!question) {
+        res.status(404);
+        throw new Error('Question not found');
+    }
+    return question;
+};
+
+const findAnswer = async (req, res) => {
+    const answer = mongoose.isValidObjectId(req.params.answerId)
+        ? await ProductAnswer.findById(req.params.answerId)
+        : null;
+
+    if (!answer) {
+        res.status(404);
+        throw new Error('Answer not found');
+    }
+    return answer;
+};
+
+// Let the shopper know their question has a published answer
+const notifyAsker = async (answer) => {
+    const question = await ProductQuestion.findById(answer.question)
+        .populate('user', 'email')
+        .populate('product', 'name');
+    if (!question?.user?.email) return;
+
+    try {
+        await sendEmail({
+            to: question.user.email,
+            subject: `Your question about ${question.product?.name || 'a product'} was answered`,
+            html: `
+                <h2>Your Question Has an Answer</h2>
+                <p><strong>You asked:</strong> ${question.question}</p>
+                <p><strong>${answer.responderRole === 'SELLER' ? 'The seller' : 'Our team'} answered:</strong> ${answer.answer}</p>
+                <p><a href="${FRONTEND_URL}/product/${question.product?._id || answer.product}">View the product</a></p>
+            `
+        });
+    } catch (error) {
+        console.error('Question answered email failed:', error.message);
+    }
+};
+
+// @desc    Get answered questions for a product, most helpful answers first
+// @route   GET /api/products/:id/questions
+// @access  Public
+const getProductQuestions = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const filter = { product: req.params.id, answerCount: { $gt: 0 } };
+
+    const [questions, total] = await Promise.all([
+        ProductQuestion.find(filter)
+            .select('name question answerCount createdAt')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        ProductQuestion.countDocuments(filter)
+    ]);
+
+    const answers = await ProductAnswer.find({ question: { $in: questions.map(q => q._id) }, status: 'APPROVED' })
+        .select('question name responderRole answer upvotes upvoteCount createdAt')
+        .sort({ upvoteCount: -1, createdAt: 1 })
+        .lean();
+
+    const userId = req.user?._id.toString();
+    const byQuestion = new Map();
+    answers.forEach(({ upvotes, ...answer }) => {
+        const key = answer.question.toString();
+        if (!byQuestion.has(key)) byQuestion.set(key, []);
+        byQuestion.get(key).push({
+            ...answer,
+            hasUpvoted: userId ? upvotes.some(id => id.toString() === userId) : false
+        });
+    });
+
+    res.json({
+        questions: questions.map(question => ({
+            ...question,
+            answers: byQuestion.get(question._id.toString()) || []
+        })),
+        page,
+        pages: Math.ceil(total / limit),
+        total
+    });
+});
+
+// @desc    Ask a question about a product
+// @route   POST /api/products/:id/questions
+// @access  Private
+const askProductQuestion = asyncHandler(async (req, res) => {
+    const { question } = req.body;
+
+    if (!question || !question.trim()) {
+        res.status(400);
+        throw new Error('Please enter your question');
+    }
+
+    const product = mongoose.isValidObjectId(req.params.id)
+        ? await Product.findById(req.params.id).select('name seller isDeleted isLive listingStatus')
+        : null;
+
+    if (!product || product.isDeleted || !product.isLive || product.listingStatus !== 'APPROVED') {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const created = await ProductQuestion.create({
+        product: product._id,
+        seller: product.seller,
+        user: req.user._id,
+        name: req.user.name,
+        question
+    });
+
+    // Tell whoever answers for this product that a question is waiting
+    const alert = { questionId: created._id, productId: product._id, productName: product.name, question: created.question };
+    if (product.seller) {
+        const seller = await Seller.findById(product.seller).select('user');
+        if (seller?.user) req.io?.to(seller.user.toString()).emit('new_product_question', alert);
+    } else {
+        req.io?.to('admin_global').emit('new_product_question', alert);
+    }
+
+    res.status(201).json({
+        ...created.toObject(),
+        message: 'Question submitted. It will appear on the product page once answered.'
+    });
+});
+
+// @desc    Answer a product question (owning seller, or an admin). Seller answers wait for moderation.
+// @route   POST /api/products/questions/:questionId/answers
+// @access  Private/Seller or Admin
+const answerProductQuestion = asyncHandler(async (req, res) => {
+    const { answer } = req.body;
+
+    if (!answer || !answer.trim()) {
+        res.status(400);
+        throw new Error('Please enter an answer');
+    }
+
+    const question = await findQuestion(req, res);
+
+    let responderRole;
+    if (isStaff(req.user)) {
+        responderRole = 'ADMIN';
+    } else if (req.user.role === 'seller' && question.seller) {
+        const seller = await Seller.findOne({ user: req.user._id }).select('_id');
+        if (seller && seller._id.toString() === question.seller.toString()) responderRole = 'SELLER';
+    }
+
+    if (!responderRole) {
+        res.status(403);
+        throw new Error('Only the seller of this product or an admin can answer this question');
+    }
+
+    // Admins moderate the queue, so their own answers are published straight away
+    const created = await ProductAnswer.create({
+        question: question._id,
+        product: question.product,
+        seller: question.seller,
+        user: req.user._id,
+        name: responderRole === 'ADMIN' ? 'Store Team' : req.user.name,
+        responderRole,
+        answer,
+        ...(responderRole === 'ADMIN' ? { status: 'APPROVED', moderatedBy: req.user._id, moderatedAt: new Date() } : {})
+    });
+
+    if (created.status === 'APPROVED') {
+        await ProductAnswer.syncAnswerCount(question._id);
+        await notifyAsker(created);
+    }
+
+    res.status(201).json(created);
+});
+
+// @desc    Get questions on the seller's products, unanswered first
+// @route   GET /api/sellers/questions
+// @access  Private/Seller
+const getSellerQuestions = asyncHandler(async (req, res) => {
+    const { status = 'unanswered', productId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const seller = await Seller.findOne({ user: req.user._id }).select('_id');
+    if (!seller) {
+        res.status(404);
+        throw new Error('Seller profile not found');
+    }
+
+    const filter = { seller: seller._id };
+    if (productId) filter.product = productId;
+    if (status === 'unanswered') filter.answerCount = 0;
+    if (status === 'answered') filter.answerCount = { $gt: 0 };
+
+    const [questions, total] = await Promise.all([
+        ProductQuestion.find(filter)
+            .populate('product', 'name image')
+            .sort({ createdAt: status === 'unanswered' ? 1 : -1 }) // Oldest first while waiting
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        ProductQuestion.countDocuments(filter)
+    ]);
+
+    // Include the seller's own answers so pending and rejected ones are visible
+    const answers = await ProductAnswer.find({ question: { $in: questions.map(q => q._id) }, user: req.user._id })
+        .select('-upvotes')
+        .lean();
+
+    res.json({
+        questions: questions.map(question => ({
+            ...question,
+            myAnswers: answers.filter(a => a.question.toString() === question._id.toString())
+        })),
+        page,
+        pages: Math.ceil(total / limit),
+        total
+    });
+});
+
+// @desc    Upvote an answer as helpful (verified buyers of the product only)
+// @route   POST /api/products/questions/answers/:answerId/upvote
+// @access  Private
+const upvoteAnswer = asyncHandler(async (req, res) => {
+    const answer = await findAnswer(req, res);
+
+    if (answer.status !== 'APPROVED') {
+        res.status(404);
+        throw new Error('Answer not found');
+    }
+
+    if (answer.user.toString() === req.user._id.toString()) {
+        res.status(400);
+        throw new Error('You cannot upvote your own answer');
+    }
+
+    const hasPurchased = await findDeliveredLine(req.user._id, answer.product);
+
+    if (!hasPurchased) {
+        res.status(403);
+        throw new Error('Only customers who have received this product can upvote answers');
+    }
+
+    // Guarded on the voter not being in the list, so repeated clicks count once
+    const updated = await ProductAnswer.findOneAndUpdate(
+        { _id: answer._id, upvotes: { $ne: req.user._id } },
+        { $push: { upvotes: req.user._id }, $inc: { upvoteCount: 1 } },
+        { new: true }
+    ) || await ProductAnswer.findById(answer._id);
+
+    res.json({ _id: updated._id, upvoteCount: updated.upvoteCount, hasUpvoted: true });
+});
+
+// @desc    Remove an upvote
+// @route   DELETE /api/products/questions/answers/:answerId/upvote
+// @access  Private
+const removeAnswerUpvote = asyncHandler(async (req, res) => {
+    const answer = await findAnswer(req, res);
+
+    const updated = await ProductAnswer.findOneAndUpdate(
+        { _id: answer._id, upvotes: req.user._id },
+        { $pull: { upvotes: req.user._id }, $inc: { upvoteCount: -1 } },
+        { new: true }
+    ) || answer;
+
+    res.json({ _id: updated._id, upvoteCount: updated.upvoteCount, hasUpvoted: false });
+});
+
+// @desc    Get answers awaiting moderation
+// @route   GET /api/admin/product-reviews/answers
+// @access  Private/Admin
+const getAnswersForModeration = asyncHandler(async (req, res) => {
+    const { status = 'PENDING', sellerId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (sellerId) filter.seller = sellerId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [answers, totalCount] = await Promise.all([
+        ProductAnswer.find(filter)
+            .select('-upvotes')
+            .populate('question', 'question name createdAt')
+            .populate('product', 'name image')
+            .populate('seller', 'businessName')
+            .populate('moderatedBy', 'name')
+            .sort({ createdAt: status === 'PENDING' ? 1 : -1 }) // Oldest first while queued
+            .skip(skip)
+            .limit(parseInt(limit)),
+        ProductAnswer.countDocuments(filter)
+    ]);
+
+    res.json({
+        answers,
+        page: parseInt(page),
+        pages: Math.ceil(totalCount / parseInt(limit)),
+        total: totalCount
+    });
+});
+
+// @desc    Approve an answer and publish it on the product page
+// @route   PUT /api/admin/product-reviews/answers/:answerId/approve
+// @access  Private/Admin
+const approveAnswer = asyncHandler(async (req, res) => {
+    const answer = await findAnswer(req, res);
+
+    if (answer.status !== 'PENDING') {
+        res.status(400);
+        throw new Error('Only pending answers can be approved');
+    }
+
+    answer.status = 'APPROVED';
+    answer.moderatedBy = req.user._id;
+    answer.moderatedAt = new Date();
+    await answer.save();
+
+    await ProductAnswer.syncAnswerCount(answer.question);
+
+    await logAudit('PRODUCT_ANSWER_APPROVED', req.user, 'PRODUCT', answer.product, {
+        questionId: answer.question,
+        answerId: answer._id
+    });
+
+    await notifyAsker(answer);
+
+    res.json(answer);
+});
+
+// @desc    Reject an answer
+// @route   PUT /api/admin/product-reviews/answers/:answerId/reject
+// @access  Private/Admin
+const rejectAnswer = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason) {
+        res.status(400);
+        throw new Error('Rejection reason is required');
+    }
+
+    const answer = await findAnswer(req, res);
+
+    if (answer.status === 'REJECTED') {
+        res.status(400);
+        throw new Error('Answer is already rejected');
+    }
+
+    // Published answers can also be taken down
+    const wasApproved = answer.status === 'APPROVED';
+    answer.status = 'REJECTED';
+    answer.moderatedBy = req.user._id;
+    answer.moderatedAt = new Date();
+    answer.rejectionReason = reason;
+    await answer.save();
+
+    if (wasApproved) await ProductAnswer.syncAnswerCount(answer.question);
+
+    await logAudit('PRODUCT_ANSWER_REJECTED', req.user, 'PRODUCT', answer.product, {
+        questionId: answer.question,
+        answerId: answer._id,
+        reason
+    });
+
+    // Notify the author so they can answer again
+    const author = await User.findById(answer.user).select('email');
+    if (author?.email && answer.responderRole === 'SELLER') {
+        try {
+            await sendEmail({
+                to: author.email,
+                subject: 'Your Answer Was Not Published',
+                html: `
+                    <h2>Answer Not Published</h2>
+                    <p>Your answer to a customer question was not published.</p>
+                    <p><strong>Your answer:</strong> ${answer.answer}</p>
+                    <p><strong>Reason:</strong> ${reason}</p>
+                    <p>You can post a new answer with the feedback applied.</p>
+                `
+            });
+        } catch (error) {
+            console.error('Answer rejection email failed:', error.message);
+        }
+    }
+
+    res.json(answer);
+});
+
+module.exports = {
+    getProductQuestions,
+    askProductQuestion,
+    answerProductQuestion,
+    getSellerQuestions,
+    upvoteAnswer,
+    removeAnswerUpvote,
+    getAnswersForModeration,
+    approveAnswer,
+    rejectAnswer
+};
@@ -1,8 +1,12 @@
 const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const Seller = require('../models/Seller');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const ProductEditProposal = require('../models/ProductEditProposal');
+const ProductAnswer = require('../models/ProductAnswer');
+const Review = require('../models/Review');
 const sendEmail = require('../utils/sendEmail');
 
 // Helper function to log audit trail
@@ -50,7 +54,8 @@ const getProductsForReview = asyncHandler(async (req, res) => {
     }
 
     if (category) {
-        filter.category = category;
+        const match = await Category.resolve(category);
+        filter.category = { $in: match ? await Category.getSubtreeIds(match._id) : [] };
     }
 
     if (sellerId) {
@@ -467,8 +472,15 @@ const getProductReviewStats = asyncHandler(async (req, res) => {
         isDeleted: false
     });
 
+    const pendingEditProposals = await ProductEditProposal.countDocuments({ status: 'PENDING' });
+    const pendingAnswers = await ProductAnswer.countDocuments({ status: 'PENDING' });
+    const pendingCustomerReviews = await Review.countDocuments({ status: 'PENDING' });
+
     res.json({
         pendingReview,
+        pendingEditProposals,
+        pendingAnswers,
+        pendingCustomerReviews,
         todaySubmissions,
         byStatus: stats.reduce((acc, item) => {
             acc[item._id] = item.count;
@@ -534,6 +546,216 @@ const bulkApproveProducts = asyncHandler(async (req, res) => {
     res.json(results);
 });
 
+// @desc    Get seller edit proposals for live products, with their diffs
+// @route   GET /api/admin/product-reviews/proposals
+// @access  Private/Admin
+const getEditProposals = asyncHandler(async (req, res) => {
+    const { status = 'PENDING', sellerId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (sellerId) filter.seller = sellerId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [proposals, totalCount] = await Promise.all([
+        ProductEditProposal.find(filter)
+            .populate('product')
+            .populate('seller', 'businessName ownerName email')
+            .populate('submittedBy', 'name email')
+            .populate('reviewedBy', 'name')
+            .sort({ createdAt: status === 'PENDING' ? 1 : -1 }) // Oldest first while queued
+            .skip(skip)
+            .limit(parseInt(limit)),
+        ProductEditProposal.countDocuments(filter)
+    ]);
+
+    res.json({
+        proposals: proposals.map(proposal => ({
+            ...proposal.toObject(),
+            product: proposal.product && {
+                _id: proposal.product._id,
+                name: proposal.product.name,
+                image: proposal.product.image,
+                listingStatus: proposal.product.listingStatus
+            },
+            diff: proposal.status === 'PENDING' && proposal.product ? proposal.getDiff(proposal.product) : undefined
+        })),
+        page: parseInt(page),
+        pages: Math.ceil(totalCount / parseInt(limit)),
+        total: totalCount
+    });
+});
+
+// @desc    Get a single edit proposal with the live product and a field-by-field diff
+// @route   GET /api/admin/product-reviews/proposals/:proposalId
+// @access  Private/Admin
+const getEditProposalById = asyncHandler(async (req, res) => {
+    const proposal = await ProductEditProposal.findById(req.params.proposalId)
+        .populate('product')
+        .populate('seller', 'businessName ownerName email status')
+        .populate('submittedBy', 'name email')
+        .populate('reviewedBy', 'name');
+
+    if (!proposal) {
+        res.status(404);
+        throw new Error('Edit proposal not found');
+    }
+
+    res.json({
+        ...proposal.toObject(),
+        diff: proposal.product ? proposal.getDiff(proposal.product) : []
+    });
+});
+
+// @desc    Approve an edit proposal and merge it into the live product
+// @route   PUT /api/admin/product-reviews/proposals/:proposalId/approve
+// @access  Private/Admin or Super Admin
+const approveEditProposal = asyncHandler(async (req, res) => {
+    const { notes } = req.body;
+
+    const proposal = await ProductEditProposal.findById(req.params.proposalId);
+
+    if (!proposal) {
+        res.status(404);
+        throw new Error('Edit proposal not found');
+    }
+
+    if (proposal.status !== 'PENDING') {
+        res.status(400);
+        throw new Error('Only pending proposals can be approved');
+    }
+
+    const product = await Product.findById(proposal.product);
+
+    if (!product || product.isDeleted) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    if (!['APPROVED', 'DELISTED'].includes(product.listingStatus)) {
+        res.status(400);
+        throw new Error(`Product is ${product.listingStatus.toLowerCase().replace('_', ' ')}; reject this proposal instead`);
+    }
+
+    const diff = proposal.getDiff(product);
+    proposal.applyTo(product);
+
+    // Status does not change, so record the merge in the approval history directly
+    product.approvalHistory.push({
+        status: product.listingStatus,
+        changedBy: req.user._id,
+        reason: 'EDIT_APPROVED',
+        notes: notes || `Updated ${diff.map(entry => entry.field).join(', ')}`
+    });
+
+    let updatedProduct;
+    try {
+        updatedProduct = await product.save();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        res.status(400);
+        throw new Error(`Proposal no longer applies cleanly: ${error.message}`);
+    }
+
+    proposal.status = 'APPROVED';
+    proposal.reviewedBy = req.user._id;
+    proposal.reviewedAt = new Date();
+    proposal.adminNotes = notes;
+    await proposal.save();
+
+    // Log audit
+    await logAudit('PRODUCT_EDIT_APPROVED', req.user, 'PRODUCT', product._id, {
+        productName: product.name,
+        proposalId: proposal._id,
+        diff,
+        notes
+    });
+
+    // Notify seller
+    const seller = await Seller.findById(proposal.seller).populate('user', 'email');
+    if (seller && seller.user && seller.user.email) {
+        try {
+            await sendEmail({
+                to: seller.user.email,
+                subject: 'Your Product Changes Are Live',
+                html: `
+                    <h2>Product Changes Approved</h2>
+                    <p>Your proposed changes to <strong>${product.name}</strong> have been approved and are now live.</p>
+                    ${notes ? `<p><strong>Notes:</strong> ${notes}</p>` : ''}
+                `
+            });
+        } catch (error) {
+            console.error('Edit proposal approval email failed:', error.message);
+        }
+    }
+
+    res.json({ proposal, product: updatedProduct });
+});
+
+// @desc    Reject an edit proposal (the live product is left as it is)
+// @route   PUT /api/admin/product-reviews/proposals/:proposalId/reject
+// @access  Private/Admin or Super Admin
+const rejectEditProposal = asyncHandler(async (req, res) => {
+    const { reason, notes } = req.body;
+
+    if (!reason) {
+        res.status(400);
+        throw new Error('Rejection reason is required');
+    }
+
+    const proposal = await ProductEditProposal.findById(req.params.proposalId).populate('product', 'name');
+
+    if (!proposal) {
+        res.status(404);
+        throw new Error('Edit proposal not found');
+    }
+
+    if (proposal.status !== 'PENDING') {
+        res.status(400);
+        throw new Error('Only pending proposals can be rejected');
+    }
+
+    proposal.status = 'REJECTED';
+    proposal.reviewedBy = req.user._id;
+    proposal.reviewedAt = new Date();
+    proposal.rejectionReason = reason;
+    proposal.adminNotes = notes;
+    await proposal.save();
+
+    const productName = proposal.product ? proposal.product.name : 'your product';
+
+    // Log audit
+    await logAudit('PRODUCT_EDIT_REJECTED', req.user, 'PRODUCT', proposal.product?._id, {
+        productName,
+        proposalId: proposal._id,
+        reason,
+        notes
+    });
+
+    // Notify seller
+    const seller = await Seller.findById(proposal.seller).populate('user', 'email');
+    if (seller && seller.user && seller.user.email) {
+        try {
+            await sendEmail({
+                to: seller.user.email,
+                subject: 'Product Change Request Update',
+                html: `
+                    <h2>Product Changes Not Approved</h2>
+                    <p>Your proposed changes to <strong>${productName}</strong> were not approved. The live listing has not changed.</p>
+                    <p><strong>Reason:</strong> ${reason}</p>
+                    ${notes ? `<p><strong>Additional Notes:</strong> ${notes}</p>` : ''}
+                    <p>You can submit a new proposal with the feedback applied.</p>
+                `
+            });
+        } catch (error) {
+            console.error('Edit proposal rejection email failed:', error.message);
+        }
+    }
+
+    res.json(proposal);
+});
+
 module.exports = {
     getProductsForReview,
     getProductReviewById,
@@ -543,5 +765,9 @@ module.exports = {
     unblockProduct,
     requestProductChanges,
     getProductReviewStats,
-    bulkApproveProducts
+    bulkApproveProducts,
+    getEditProposals,
+    getEditProposalById,
+    approveEditProposal,
+    rejectEditProposal
 };
@@ -3,6 +3,13 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Complaint = require('../models/Complaint');
+const SearchQuery = require('../models/SearchQuery');
+const reconcileStock = require('../utils/stockReconciliation');
+const computeRecommendations = require('../utils/recommendations');
+const Category = require('../models/Category');
+const StockMovement = require('../models/StockMovement');
+const StockSubscription = require('../models/StockSubscription');
+const { getCategoryThresholds, thresholdOf, lowStockUnits } = require('../utils/stockAlerts');
 const PDFDocument = require('pdfkit');
 
 // Helper to convert JSON to CSV
@@ -291,8 +298,177 @@ const downloadDeliveredOrdersReport = asyncHandler(async (req, res) => {
     generateReport(res, req.query.format, filename, mappedData, fields);
 });
 
+// @desc    Popular and zero-result searches for merchandising
+// @route   GET /api/reports/search-queries
+// @access  Private/Admin
+const getSearchQueryReport = asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const since = req.query.days ? new Date(Date.now() - Number(req.query.days) * 24 * 60 * 60 * 1000) : null;
+    const filter = since ? { lastSearchedAt: { $gte: since } } : {};
+
+    const [popular, zeroResults] = await Promise.all([
+        SearchQuery.find(filter).sort({ count: -1 }).limit(limit),
+        SearchQuery.find({ ...filter, zeroResultCount: { $gt: 0 } }).sort({ zeroResultCount: -1 }).limit(limit)
+    ]);
+
+    res.json({ popular, zeroResults });
+});
+
+// @desc    Products whose stock disagreed with the stock ledger at the last reconciliation
+// @route   GET /api/reports/stock-reconciliation
+// @access  Private/Admin
+const getStockReconciliationReport = asyncHandler(async (req, res) => {
+    const products = await Product.find({ 'stockCheck.status': 'MISMATCH' })
+        .select('name countInStock variants.sku variants.countInStock seller stockCheck')
+        .populate('seller', 'businessName')
+        .sort({ 'stockCheck.checkedAt': -1 });
+
+    const lastChecked = await Product.findOne({ 'stockCheck.checkedAt': { $exists: true } })
+        .sort({ 'stockCheck.checkedAt': -1 })
+        .select('stockCheck.checkedAt');
+
+    res.json({
+        lastCheckedAt: lastChecked?.stockCheck?.checkedAt || null,
+        mismatched: products.length,
+        products
+    });
+});
+
+// @desc    Run the stock reconciliation now
+// @route   POST /api/reports/stock-reconciliation
+// @access  Private/Admin
+const runStockReconciliation = asyncHandler(async (req, res) => {
+    const result = await reconcileStock();
+    res.json(result);
+});
+
+// @desc    Rebuild product recommendations and the top-seller ranking now
+// @route   POST /api/reports/recommendations
+// @access  Private/Admin
+const runRecommendations = asyncHandler(async (req, res) => {
+    const result = await computeRecommendations();
+    res.json(result);
+});
+
+// Movements that make up net sales: orders taken, minus those rolled back or cancelled
+const SALES_REASONS = ['SALE', 'ORDER_ROLLBACK', 'CANCELLATION'];
+
+// @desc    Items at or below their reorder point, with recent sales velocity
+// @route   GET /api/reports/low-stock?days=30&category=&sellerId=
+// @access  Private/Admin
+const getLowStockReport = asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const filter = { isDeleted: { $ne: true }, isStockEnabled: { $ne: false } };
+    if (req.query.sellerId) filter.seller = req.query.sellerId;
+
+    // Admins limited to some categories only see those (and their subcategories)
+    let categoryIds = null;
+    if (req.query.category) {
+        const category = await Category.resolve(req.query.category);
+        categoryIds = category ? await Category.getSubtreeIds(category._id) : [];
+    }
+    if (req.user.role === 'admin' && req.user.assignedCategories?.length > 0) {
+        const allowed = new Set((await Category.getSubtreeIds(req.user.assignedCategories)).map(String));
+        categoryIds = (categoryIds || [...allowed]).filter(id => allowed.has(String(id)));
+    }
+    if (categoryIds) filter.category = { $in: categoryIds };
+
+    const products = await Product.find(filter)
+        .select('name image category seller countInStock isStockEnabled lowStockThreshold variants._id variants.sku variants.size variants.color variants.countInStock variants.isActive')
+        .populate('seller', 'businessName')
+        .lean();
+
+    const categoryThresholds = await getCategoryThresholds([...new Set(products.map(p => String(p.category)))]);
+    const items = products.flatMap(product => {
+        const threshold = thresholdOf(product, categoryThresholds);
+        return lowStockUnits(product, threshold).map(unit => ({
+            product: { _id: product._id, name: product.name, image: product.image, seller: product.seller },
+            ...unit,
+            threshold
+        }));
+    });
+
+    const sales = await StockMovement.aggregate([
+        {
+            $match: {
+                product: { $in: [...new Set(items.map(item => item.product._id))] },
+                reason: { $in: SALES_REASONS },
+                createdAt: { $gte: since }
+            }
+        },
+        { $group: { _id: { product: '$product', variant: '$variant' }, quantity: { $sum: '$quantity' } } }
+    ]);
+    const unitsSold = new Map(sales.map(s => [`${s._id.product}:${s._id.variant || ''}`, -s.quantity]));
+
+    const report = items.map(item => {
+        const sold = Math.max(unitsSold.get(`${item.product._id}:${item.variant || ''}`) || 0, 0);
+        const dailyVelocity = Math.round(sold / days * 100) / 100;
+        return {
+            ...item,
+            unitsSold: sold,
+            dailyVelocity,
+            // Days until sold out at the recent rate; null when it is not selling
+            daysOfCover: dailyVelocity > 0 ? Math.round(item.countInStock / dailyVelocity * 10) / 10 : null
+        };
+    }).sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) || a.countInStock - b.countInStock);
+
+    res.json({ days, total: report.length, items: report });
+});
+
+// @desc    Back-in-stock demand and how many notified subscribers went on to buy, per product
+// @route   GET /api/reports/back-in-stock
+// @access  Private/Admin
+const getBackInStockReport = asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const rows = await StockSubscription.aggregate([
+        {
+            $group: {
+                _id: '$product',
+                waiting: { $sum: { $cond: [{ $eq: ['$status', 'ACTIVE'] }, 1, 0] } },
+                notified: { $sum: { $cond: [{ $ifNull: ['$notifiedAt', false] }, 1, 0] } },
+                purchased: { $sum: { $cond: [{ $ifNull: ['$purchasedAt', false] }, 1, 0] } },
+                unsubscribed: { $sum: { $cond: [{ $eq: ['$status', 'UNSUBSCRIBED'] }, 1, 0] } }
+            }
+        },
+        { $sort: { waiting: -1, notified: -1 } },
+        { $limit: limit },
+        { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+        { $project: { waiting: 1, notified: 1, purchased: 1, unsubscribed: 1, 'product.name': 1, 'product.image': 1, 'product.countInStock': 1 } }
+    ]);
+
+    const totals = rows.reduce((acc, row) => ({
+        notified: acc.notified + row.notified,
+        purchased: acc.purchased + row.purchased
+    }), { notified: 0, purchased: 0 });
+
+    const conversionRate = (purchased, notified) => notified > 0 ? Math.round(purchased / notified * 1000) / 10 : 0;
+
+    res.json({
+        conversionRate: conversionRate(totals.purchased, totals.notified), // % of notified subscribers who bought
+        products: rows.map(row => ({
+            productId: row._id,
+            ...row.product,
+            waiting: row.waiting,
+            notified: row.notified,
+            purchased: row.purchased,
+            unsubscribed: row.unsubscribed,
+            conversionRate: conversionRate(row.purchased, row.notified)
+        }))
+    });
+});
+
 module.exports = {
     getDashboardStats,
+    getSearchQueryReport,
+    getStockReconciliationReport,
+    runStockReconciliation,
+    runRecommendations,
+    getLowStockReport,
+    getBackInStockReport,
     downloadSalesReport,
     downloadComplaintReport,
     downloadOrderReport,
@@ -6,10 +6,24 @@ const ReturnRequest = require('../models/ReturnRequest');
 const AuditLog = require('../models/AuditLog');
 const Setting = require('../models/Setting');
 const FinancialRecord = require('../models/FinancialRecord');
+const { issueReturnCreditNote } = require('../utils/issueCreditNote');
+const { releaseStock } = require('../utils/productStock');
+const { queueBackInStock } = require('../utils/backInStock');
 
 // Get frontend URL from environment or default to localhost
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
+// When an order line was delivered: its own shipment's delivery for split orders, the order's otherwise.
+// Returns null while the line is still on its way.
+const lineDeliveredAt = (order, item) => {
+    const subOrder = (order.subOrders || []).find(sub => sub.items.some(id => id.equals(item._id)));
+    if (subOrder) {
+        if (subOrder.status !== 'DELIVERED') return null;
+        return subOrder.deliveredAt || order.deliveredAt || null;
+    }
+    return order.isDelivered && order.deliveredAt ? order.deliveredAt : null;
+};
+
 // @desc    Calculate return eligibility for all items in an order
 // @route   GET /api/orders/:id/return-eligibility
 // @access  Private
@@ -42,9 +56,10 @@ const getReturnEligibility = asyncHandler(async (req, res) => {
         }
 
         const product = productMap[item.product.toString()];
+        const deliveredAt = lineDeliveredAt(order, item);
 
         // 1. Must be delivered
-        if (!order.isDelivered || !order.deliveredAt) {
+        if (!deliveredAt) {
             isEligible = false;
             reasons.push("Item is not yet delivered.");
         }
@@ -60,11 +75,11 @@ const getReturnEligibility = asyncHandler(async (req, res) => {
         }
 
         // 3. Check return window
-        if (order.deliveredAt && product) {
+        if (deliveredAt && product) {
             const days = (returnPolicy.returnWindowDays !== undefined) ? returnPolicy.returnWindowDays : 7;
             const windowMs = days * 24 * 60 * 60 * 1000;
             const now = Date.now();
-            const deliveryTime = new Date(order.deliveredAt).getTime();
+            const deliveryTime = new Date(deliveredAt).getTime();
 
             if (now > deliveryTime + windowMs) {
                 isEligible = false;
@@ -80,6 +95,12 @@ const getReturnEligibility = asyncHandler(async (req, res) => {
             reasons.push(`Return already ${currentStatus.toLowerCase()}.`);
         }
 
+        // 5. Lines cancelled before shipment have nothing left to return
+        if (item.qty < 1) {
+            isEligible = false;
+            reasons.push("Item was cancelled.");
+        }
+
         eligibility.push({
             itemId: item._id,
             productId: item.product,
@@ -122,9 +143,10 @@ const requestReturn = asyncHandler(async (req, res) => {
 
 
     // --- Strict Eligibility Check (Copy of Logic) ---
-    if (!order.isDelivered) {
+    const deliveredAt = lineDeliveredAt(order, item);
+    if (!deliveredAt) {
         res.status(400);
-        throw new Error("Order not delivered yet.");
+        throw new Error("Item not delivered yet.");
     }
     const returnPolicy = product.returnPolicy || {};
     const isReturnable = (returnPolicy.isReturnable !== undefined) ? returnPolicy.isReturnable : true;
@@ -135,7 +157,7 @@ const requestReturn = asyncHandler(async (req, res) => {
     }
     const days = (returnPolicy.returnWindowDays !== undefined) ? returnPolicy.returnWindowDays : 7;
     const windowMs = days * 24 * 60 * 60 * 1000;
-    if (Date.now() > new Date(order.deliveredAt).getTime() + windowMs) {
+    if (Date.now() > new Date(deliveredAt).getTime() + windowMs) {
         res.status(400);
         throw new Error("Return window expired.");
     }
@@ -144,6 +166,10 @@ const requestReturn = asyncHandler(async (req, res) => {
         res.status(400);
         throw new Error("Active return request already exists.");
     }
+    if (item.qty < 1) {
+        res.status(400);
+        throw new Error("Item was cancelled.");
+    }
     // ------------------------------------------------
 
     // Create Request
@@ -151,11 +177,16 @@ const requestReturn = asyncHandler(async (req, res) => {
         order: order._id,
         user: req.user._id,
         orderItem: {
+            itemId: item._id,
             product: item.product,
             name: item.name,
             image: item.image,
             price: item.price,
-            qty: item.qty
+            qty: item.qty,
+            variant: item.variant,
+            sku: item.sku,
+            size: item.size,
+            color: item.color
         },
         reason,
         comments,
@@ -232,7 +263,7 @@ const updateReturnStatus = asyncHandler(async (req, res) => {
     }
 
     const order = await Order.findById(returnReq.order);
-    const item = order.orderItems.find(i => i.product.toString() === returnReq.orderItem.product.toString());
+    const item = returnReq.findOrderItem(order);
 
     // Update Request
     returnReq.status = status;
@@ -256,13 +287,16 @@ const updateReturnStatus = asyncHandler(async (req, res) => {
     if (restoreInventory && (status === 'REFUNDED' || status === 'REPLACED' || status === 'APPROVED') && item) {
         const product = await Product.findById(item.product);
         if (product) {
-            product.countInStock = (product.countInStock || 0) + item.qty;
-            await product.save();
+            await releaseStock(
+                { product: item.product, variant: item.variant, qty: item.qty },
+                { reason: 'RETURN', order: order._id, returnRequest: returnReq._id, actor: req.user._id }
+            );
+            queueBackInStock(item.product);
             await AuditLog.create({
                 orderId: order._id,
                 action: 'INVENTORY_RESTORED',
                 performedBy: { id: req.user._id, name: req.user.name, role: 'admin' },
-                note: `Restored ${item.qty} qty of ${item.name} from Return ${returnReq._id}`
+                note: `Restored ${item.qty} qty of ${item.name}${item.sku ? ` (${item.sku})` : ''} from Return ${returnReq._id}`
             });
         }
     }
@@ -291,6 +325,13 @@ const updateReturnStatus = asyncHandler(async (req, res) => {
             status: 'COMPLETED',
             createdBy: req.user._id
         });
+
+        // GST credit note reversing the refunded line
+        try {
+            await issueReturnCreditNote(order, returnReq, req.user);
+        } catch (error) {
+            console.error("Failed to issue credit note for return:", error);
+        }
     }
 
     // --- SEND EMAIL NOTIFICATIONS ---
@@ -384,7 +425,7 @@ const schedulePickup = asyncHandler(async (req, res) => {
 
     // Update Order Item
     const order = await Order.findById(returnReq.order);
-    const item = order.orderItems.find(i => i.product.toString() === returnReq.orderItem.product.toString());
+    const item = returnReq.findOrderItem(order);
     if (item) {
         item.returnStatus = 'PICKUP_SCHEDULED';
         await order.save();
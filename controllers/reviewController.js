@@ -0,0 +1,404 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const ImageAsset = require('../models/ImageAsset');
+const AuditLog = require('../models/AuditLog');
+const { variantLabel } = require('../utils/productStock');
+const { findDeliveredLine } = require('../utils/verifiedPurchase');
+const { discardImages } = require('../utils/imageProcessing');
+
+// Helper function to log audit trail
+const logAudit = async (action, performedUser, targetModel, targetId, metadata = {}) => {
+    try {
+        await AuditLog.create({
+            action,
+            performedBy: {
+                id: performedUser._id,
+                name: performedUser.name,
+                role: performedUser.role
+            },
+            targetModel,
+            targetId,
+            metadata,
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+const findReview = async (req, res) => {
+    const review = mongoose.isValidObjectId(req.params.reviewId)
+        ? await Review.findById(req.params.reviewId)
+        : null;
+
+    if (!review) {
+        res.status(404);
+        throw new Error('Review not found');
+    }
+    return review;
+};
+
+// Voters and reporters are never exposed publicly
+const toPublicReview = (review, userId) => {
+    const { helpfulVotes = [], notHelpfulVotes = [], reports, reportCount, moderatedBy, rejectionReason, ...rest } = review;
+    const votedFor = (list) => Boolean(userId) && list.some(id => id.toString() === userId);
+    return {
+        ...rest,
+        myVote: votedFor(helpfulVotes) ? 'HELPFUL' : votedFor(notHelpfulVotes) ? 'NOT_HELPFUL' : null
+    };
+};
+
+// @desc    Get published reviews for a product
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getProductReviews = asyncHandler(async (req, res) => {
+    const { sort = 'recent', rating, withPhotos } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const filter = { product: req.params.id, status: 'PUBLISHED' };
+    if (rating) filter.rating = Number(rating);
+    if (withPhotos === 'true') filter['photos.0'] = { $exists: true };
+
+    const sortOptions = {
+        recent: { createdAt: -1 },
+        helpful: { helpfulCount: -1, createdAt: -1 },
+        rating_desc: { rating: -1, createdAt: -1 },
+        rating_asc: { rating: 1, createdAt: -1 }
+    };
+
+    const [reviews, total, breakdown] = await Promise.all([
+        Review.find(filter)
+            .select('-order -orderItem')
+            .sort(sortOptions[sort] || sortOptions.recent)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Review.countDocuments(filter),
+        Review.aggregate([
+            { $match: { product: new mongoose.Types.ObjectId(String(req.params.id)), status: 'PUBLISHED' } },
+            { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const userId = req.user?._id.toString();
+
+    res.json({
+        reviews: reviews.map(review => toPublicReview(review, userId)),
+        ratingBreakdown: [5, 4, 3, 2, 1].map(stars => ({
+            rating: stars,
+            count: breakdown.find(b => b._id === stars)?.count || 0
+        })),
+        page,
+        pages: Math.ceil(total / limit),
+        total
+    });
+});
+
+// Checks and saves a new review; errors leave the response status set for asyncHandler
+const submitReview = async (req, res) => {
+    const { rating, title, comment, orderId } = req.body;
+
+    if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+        res.status(400);
+        throw new Error('Rating must be between 1 and 5');
+    }
+
+    const product = mongoose.isValidObjectId(req.params.id)
+        ? await Product.findById(req.params.id).select('_id isDeleted')
+        : null;
+
+    if (!product || product.isDeleted) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const alreadyReviewed = await Review.exists({ product: product._id, user: req.user._id });
+
+    if (alreadyReviewed) {
+        res.status(400);
+        throw new Error('Product already reviewed');
+    }
+
+    const purchase = await findDeliveredLine(req.user._id, product._id, mongoose.isValidObjectId(orderId) ? orderId : null);
+
+    if (!purchase) {
+        res.status(400);
+        throw new Error('You can review this product once your order has been delivered.');
+    }
+
+    // Photos arrive as files on this request (already resized, see processedImages), or as URLs of review
+    // images this user uploaded through /api/upload/images/review
+    const uploaded = (req.images || []).map(image => image.url);
+    const requested = [].concat(req.body.photos || []).filter(url => typeof url === 'string');
+    const assets = requested.length > 0
+        ? await ImageAsset.find({ url: { $in: requested }, kind: 'REVIEW', uploadedBy: req.user._id }).select('url').lean()
+        : [];
+
+    if (assets.length !== new Set(requested).size) {
+        res.status(400);
+        throw new Error('Review photos must be uploaded through /api/upload/images/review');
+    }
+
+    const photos = [...uploaded, ...new Set(requested)];
+
+    if (photos.length > 5) {
+        res.status(400);
+        throw new Error('Up to 5 photos per review');
+    }
+
+    try {
+        return await Review.create({
+            product: product._id,
+            user: req.user._id,
+            name: req.user.name,
+            order: purchase.order._id,
+            orderItem: purchase.line._id,
+            variantLabel: variantLabel(purchase.line) || undefined,
+            isVerifiedPurchase: true,
+            rating: Number(rating),
+            title,
+            comment,
+            photos
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            res.status(400);
+            throw new Error(Object.values(error.errors).map(e => e.message).join(', '));
+        }
+        // A second submission that raced past the check above
+        if (error.code === 11000) {
+            res.status(400);
+            throw new Error('Product already reviewed');
+        }
+        throw error;
+    }
+};
+
+// @desc    Create new review for a delivered purchase, with optional photos
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createProductReview = asyncHandler(async (req, res) => {
+    let review;
+    try {
+        review = await submitReview(req, res);
+    } catch (error) {
+        // Photos sent with a rejected review were already resized by reviewPhotos
+        await discardImages(req.images);
+        throw error;
+    }
+
+    res.status(201).json({
+        message: 'Review submitted. It will appear once it has been approved.',
+        review: toPublicReview(review.toObject(), req.user._id.toString())
+    });
+});
+
+// @desc    Vote a review helpful or not helpful (voting the same way again removes the vote)
+// @route   POST /api/products/reviews/:reviewId/vote
+// @access  Private
+const voteReview = asyncHandler(async (req, res) => {
+    const { helpful } = req.body;
+
+    if (typeof helpful !== 'boolean') {
+        res.status(400);
+        throw new Error('Please specify helpful: true or false');
+    }
+
+    const review = await findReview(req, res);
+
+    if (review.status !== 'PUBLISHED') {
+        res.status(404);
+        throw new Error('Review not found');
+    }
+
+    if (review.user.toString() === req.user._id.toString()) {
+        res.status(400);
+        throw new Error('You cannot vote on your own review');
+    }
+
+    const userId = req.user._id;
+    const [target, other] = helpful ? ['helpfulVotes', 'notHelpfulVotes'] : ['notHelpfulVotes', 'helpfulVotes'];
+    const alreadyVoted = review[target].some(id => id.equals(userId));
+
+    // One pipeline update moves the vote and recounts, so concurrent votes cannot skew the counts
+    const updated = await Review.findOneAndUpdate(
+        { _id: review._id },
+        [
+            {
+                $set: {
+                    [other]: { $setDifference: [`$${other}`, [userId]] },
+                    [target]: alreadyVoted
+                        ? { $setDifference: [`$${target}`, [userId]] }
+                        : { $setUnion: [`$${target}`, [userId]] }
+                }
+            },
+            { $set: { helpfulCount: { $size: '$helpfulVotes' }, notHelpfulCount: { $size: '$notHelpfulVotes' } } }
+        ],
+        { new: true, updatePipeline: true, timestamps: false }
+    );
+
+    res.json({
+        _id: updated._id,
+        helpfulCount: updated.helpfulCount,
+        notHelpfulCount: updated.notHelpfulCount,
+        myVote: alreadyVoted ? null : helpful ? 'HELPFUL' : 'NOT_HELPFUL'
+    });
+});
+
+// @desc    Report a review as abusive
+// @route   POST /api/products/reviews/:reviewId/report
+// @access  Private
+const reportReview = asyncHandler(async (req, res) => {
+    const { reason, note } = req.body;
+
+    const review = await findReview(req, res);
+
+    if (review.status !== 'PUBLISHED') {
+        res.status(404);
+        throw new Error('Review not found');
+    }
+
+    if (review.reports.some(report => report.user.equals(req.user._id))) {
+        res.status(400);
+        throw new Error('You have already reported this review');
+    }
+
+    review.reports.push({ user: req.user._id, reason, note });
+    review.reportCount = review.reports.length;
+
+    // Enough reports take the review down until a moderator looks at it
+    const sentToModeration = review.reportCount >= Review.REPORT_REVIEW_THRESHOLD;
+    if (sentToModeration) review.status = 'PENDING';
+
+    try {
+        await review.save();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        res.status(400);
+        throw new Error('Please choose a valid report reason');
+    }
+
+    if (sentToModeration) await Review.syncProductRating(review.product);
+
+    res.json({ message: 'Thanks, our team will look into this review.' });
+});
+
+// @desc    Get reviews for moderation (pending first; reported reviews at the top)
+// @route   GET /api/admin/product-reviews/customer-reviews
+// @access  Private/Admin
+const getReviewsForModeration = asyncHandler(async (req, res) => {
+    const { status = 'PENDING', reported, productId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (reported === 'true') filter.reportCount = { $gt: 0 };
+    if (productId) filter.product = productId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, totalCount] = await Promise.all([
+        Review.find(filter)
+            .select('-helpfulVotes -notHelpfulVotes')
+            .populate('product', 'name image')
+            .populate('user', 'name email')
+            .populate('moderatedBy', 'name')
+            .sort({ reportCount: -1, createdAt: status === 'PENDING' ? 1 : -1 }) // Oldest first while queued
+            .skip(skip)
+            .limit(parseInt(limit)),
+        Review.countDocuments(filter)
+    ]);
+
+    res.json({
+        reviews,
+        page: parseInt(page),
+        pages: Math.ceil(totalCount / parseInt(limit)),
+        total: totalCount
+    });
+});
+
+// @desc    Publish a review and recalculate the product rating
+// @route   PUT /api/admin/product-reviews/customer-reviews/:reviewId/approve
+// @access  Private/Admin
+const approveReview = asyncHandler(async (req, res) => {
+    const { clearReports } = req.body;
+
+    const review = await findReview(req, res);
+
+    if (review.status === 'PUBLISHED') {
+        res.status(400);
+        throw new Error('Review is already published');
+    }
+
+    review.status = 'PUBLISHED';
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.rejectionReason = undefined;
+    // Reports a moderator has dismissed should not send the review straight back to the queue
+    if (clearReports !== false) {
+        review.reports = [];
+        review.reportCount = 0;
+    }
+    await review.save();
+
+    const summary = await Review.syncProductRating(review.product);
+
+    await logAudit('PRODUCT_CUSTOMER_REVIEW_APPROVED', req.user, 'PRODUCT', review.product, {
+        reviewId: review._id,
+        ...summary
+    });
+
+    res.json(review);
+});
+
+// @desc    Reject (or take down) a review and recalculate the product rating
+// @route   PUT /api/admin/product-reviews/customer-reviews/:reviewId/reject
+// @access  Private/Admin
+const rejectReview = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason) {
+        res.status(400);
+        throw new Error('Rejection reason is required');
+    }
+
+    const review = await findReview(req, res);
+
+    if (review.status === 'REJECTED') {
+        res.status(400);
+        throw new Error('Review is already rejected');
+    }
+
+    review.status = 'REJECTED';
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.rejectionReason = reason;
+    await review.save();
+
+    const summary = await Review.syncProductRating(review.product);
+
+    await logAudit('PRODUCT_CUSTOMER_REVIEW_REJECTED', req.user, 'PRODUCT', review.product, {
+        reviewId: review._id,
+        reason,
+        ...summary
+    });
+
+    res.json(review);
+});
+
+module.exports = {
+    getProductReviews,
+    createProductReview,
+    voteReview,
+    reportReview,
+    getReviewsForModeration,
+    approveReview,
+    rejectReview
+};
@@ -0,0 +1,181 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const SaleEvent = require('../models/SaleEvent');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Seller = require('../models/Seller');
+const Setting = require('../models/Setting');
+
+// Product and seller targets must be real ids; categories may be given by id, slug or name
+const resolveTargets = async (res, { products, categories, sellers }) => {
+    const targets = {};
+
+    if (products !== undefined) {
+        const ids = [].concat(products || []);
+        const found = ids.every(id => mongoose.isValidObjectId(id))
+            ? await Product.countDocuments({ _id: { $in: ids }, isDeleted: { $ne: true } })
+            : -1;
+        if (found !== new Set(ids.map(String)).size) {
+            res.status(400);
+            throw new Error('One or more sale products were not found');
+        }
+        targets.products = ids;
+    }
+
+    if (categories !== undefined) {
+        targets.categories = [];
+        for (const value of [].concat(categories || [])) {
+            const category = await Category.resolve(value);
+            if (!category) {
+                res.status(400);
+                throw new Error(`Category not found: ${value}`);
+            }
+            targets.categories.push(category._id);
+        }
+    }
+
+    if (sellers !== undefined) {
+        const ids = [].concat(sellers || []);
+        const found = ids.every(id => mongoose.isValidObjectId(id))
+            ? await Seller.countDocuments({ _id: { $in: ids } })
+            : -1;
+        if (found !== new Set(ids.map(String)).size) {
+            res.status(400);
+            throw new Error('One or more sale sellers were not found');
+        }
+        targets.sellers = ids;
+    }
+
+    return targets;
+};
+
+// Validation errors from the model (dates, markdown, targets) are the caller's to fix
+const saveSaleEvent = async (res, saleEvent) => {
+    try {
+        return await saleEvent.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            res.status(400);
+            throw new Error(Object.values(error.errors).map(e => e.message).join(', '));
+        }
+        throw error;
+    }
+};
+
+// @desc    Create a sale event
+// @route   POST /api/sale-events
+// @access  Private/Admin
+const createSaleEvent = asyncHandler(async (req, res) => {
+    const { name, description, startsAt, endsAt, discountType, discountValue, isActive, showInBanner } = req.body;
+
+    const saleEvent = new SaleEvent({
+        name,
+        description,
+        startsAt,
+        endsAt,
+        discountType,
+        discountValue,
+        isActive,
+        showInBanner,
+        ...await resolveTargets(res, req.body),
+        createdBy: req.user._id
+    });
+
+    const createdSaleEvent = await saveSaleEvent(res, saleEvent);
+    res.status(201).json(createdSaleEvent);
+});
+
+// @desc    Get all sale events with their current status
+// @route   GET /api/sale-events
+// @access  Private/Admin
+const getSaleEvents = asyncHandler(async (req, res) => {
+    const now = new Date();
+    const saleEvents = await SaleEvent.find({})
+        .populate('categories', 'name slug')
+        .populate('sellers', 'businessName')
+        .populate('createdBy', 'name')
+        .sort({ startsAt: -1 });
+
+    const withStatus = saleEvents.map(saleEvent => ({ ...saleEvent.toObject(), status: saleEvent.getStatus(now) }));
+    res.json(req.query.status ? withStatus.filter(saleEvent => saleEvent.status === req.query.status) : withStatus);
+});
+
+// @desc    Get sale events running now, for banner display
+// @route   GET /api/sale-events/active
+// @access  Public
+const getActiveSaleEvents = asyncHandler(async (req, res) => {
+    const settings = await Setting.findOne();
+    if (settings && settings.isSpecialOffersEnabled === false) {
+        return res.json([]);
+    }
+
+    const saleEvents = await SaleEvent.findRunning()
+        .where({ showInBanner: true })
+        .populate('categories', 'name slug')
+        .select('name description startsAt endsAt discountType discountValue categories')
+        .sort({ endsAt: 1 });
+    res.json(saleEvents);
+});
+
+// @desc    Get a sale event
+// @route   GET /api/sale-events/:id
+// @access  Private/Admin
+const getSaleEventById = asyncHandler(async (req, res) => {
+    const saleEvent = await SaleEvent.findById(req.params.id)
+        .populate('products', 'name image price discountPrice')
+        .populate('categories', 'name slug')
+        .populate('sellers', 'businessName')
+        .populate('createdBy', 'name');
+
+    if (!saleEvent) {
+        res.status(404);
+        throw new Error('Sale event not found');
+    }
+
+    res.json({ ...saleEvent.toObject(), status: saleEvent.getStatus() });
+});
+
+// @desc    Update a sale event
+// @route   PUT /api/sale-events/:id
+// @access  Private/Admin
+const updateSaleEvent = asyncHandler(async (req, res) => {
+    const saleEvent = await SaleEvent.findById(req.params.id);
+
+    if (!saleEvent) {
+        res.status(404);
+        throw new Error('Sale event not found');
+    }
+
+    // Update fields if provided
+    ['name', 'description', 'startsAt', 'endsAt', 'discountType', 'discountValue', 'isActive', 'showInBanner'].forEach(field => {
+        if (req.body[field] !== undefined) saleEvent[field] = req.body[field];
+    });
+    Object.assign(saleEvent, await resolveTargets(res, req.body));
+
+    const updatedSaleEvent = await saveSaleEvent(res, saleEvent);
+    res.json(updatedSaleEvent);
+});
+
+// @desc    Delete a sale event
+// @route   DELETE /api/sale-events/:id
+// @access  Private/Admin
+const deleteSaleEvent = asyncHandler(async (req, res) => {
+    const saleEvent = await SaleEvent.findById(req.params.id);
+
+    if (saleEvent) {
+        await saleEvent.deleteOne();
+        res.json({ message: 'Sale event removed' });
+    } else {
+        res.status(404);
+        throw new Error('Sale event not found');
+    }
+});
+
+module.exports = {
+    createSaleEvent,
+    getSaleEvents,
+    getActiveSaleEvents,
+    getSaleEventById,
+    updateSaleEvent,
+    deleteSaleEvent
+};
@@ -2,7 +2,12 @@ const asyncHandler = require('express-async-handler');
 const Seller = require('../models/Seller');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const Order = require('../models/Order');
+const ProductEditProposal = require('../models/ProductEditProposal');
+const { transitionSubOrder } = require('../utils/orderLifecycle');
+const importProductCatalog = require('../utils/productImport');
+const { queueBackInStock } = require('../utils/backInStock');
 
 // @desc    Register new seller / Become a seller
 // @route   POST /api/sellers/register
@@ -424,16 +429,27 @@ const createSellerProduct = asyncHandler(async (req, res) => {
         category,
         brand,
         countInStock,
+        lowStockThreshold,
         image,
         images,
         colors,
+        variants,
         specifications,
         isCodAvailable,
         estimatedDeliveryDays,
         returnPolicy,
+        hsnCode,
+        gstRate,
         submitForReview: shouldSubmit
     } = req.body;
 
+    // Category may be sent as id, slug or name; products store the id
+    const productCategory = await Category.resolve(category);
+    if (!productCategory) {
+        res.status(400);
+        throw new Error(`Category not found: ${category}`);
+    }
+
     const product = await Product.create({
         user: req.user._id,
         seller: seller._id,
@@ -442,16 +458,20 @@ const createSellerProduct = asyncHandler(async (req, res) => {
         description,
         price,
         discountPrice: discountPrice || 0,
-        category,
+        category: productCategory._id,
         brand,
         countInStock: countInStock || 0,
+        lowStockThreshold: lowStockThreshold !== undefined && lowStockThreshold !== '' ? lowStockThreshold : null,
         image,
         images: images || [],
         colors: colors || [],
+        variants: variants || [], // countInStock becomes their total on save
         specifications: specifications || [],
         isCodAvailable: isCodAvailable !== false,
         estimatedDeliveryDays: estimatedDeliveryDays || 7,
         returnPolicy: returnPolicy || { isReturnable: true, returnWindowDays: 7, returnType: 'REFUND' },
+        hsnCode,
+        gstRate: gstRate !== undefined && gstRate !== '' ? gstRate : null,
         listingStatus: shouldSubmit ? 'UNDER_REVIEW' : 'DRAFT',
         isLive: false,
         reviewInfo: shouldSubmit ? { submittedAt: new Date() } : {}
@@ -465,6 +485,56 @@ const createSellerProduct = asyncHandler(async (req, res) => {
     res.status(201).json(product);
 });
 
+// @desc    Bulk create/update own products from CSV or JSON (?dryRun=true to validate only)
+// @route   POST /api/sellers/products/import
+// @access  Private (Approved Seller)
+const importSellerProducts = asyncHandler(async (req, res) => {
+    const seller = await Seller.findOne({ user: req.user._id });
+
+    if (!seller) {
+        res.status(404);
+        throw new Error('Seller not found');
+    }
+
+    if (!seller.canAddProducts) {
+        res.status(403);
+        throw new Error('You are not authorized to add products');
+    }
+
+    const dryRun = req.query.dryRun === 'true' || String(req.body?.dryRun) === 'true';
+    const submitForReview = String(req.body?.submitForReview) === 'true';
+
+    let parsed;
+    try {
+        parsed = importProductCatalog.readImportRecords({ file: req.file, body: req.body });
+    } catch (error) {
+        res.status(error.statusCode || 400);
+        throw error;
+    }
+
+    const report = await importProductCatalog(parsed.records, { user: req.user, seller, dryRun, submitForReview });
+    report.unknownColumns = parsed.unknownColumns;
+
+    if (report.invalid > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+            message: `${report.invalid} product(s) have errors${dryRun ? '' : '; nothing was imported'}`,
+            ...report
+        });
+    }
+
+    if (report.failed > 0) {
+        return res.status(409).json({ message: 'The import failed and was rolled back; nothing was imported', ...report });
+    }
+
+    if (report.created > 0) {
+        await Seller.findByIdAndUpdate(seller._id, {
+            $inc: { 'metrics.totalProducts': report.created }
+        });
+    }
+
+    res.status(dryRun ? 200 : 201).json(report);
+});
+
 // @desc    Update a product
 // @route   PUT /api/sellers/products/:id
 // @access  Private (Seller - own products only)
@@ -495,13 +565,17 @@ const updateSellerProduct = asyncHandler(async (req, res) => {
     let allowedUpdates = [];
 
     // Always allow price and stock updates regardless of status
-    const priceStockFields = ['price', 'discountPrice', 'countInStock'];
+    const priceStockFields = ['price', 'discountPrice', 'countInStock', 'lowStockThreshold'];
+
+    // Existing variants can be restocked or repriced at any time; adding or reshaping them is content
+    const variantPriceStockFields = ['price', 'discountPrice', 'countInStock'];
 
     // Fields that require re-approval (Content)
     const contentFields = [
         'name', 'description', 'category', 'brand',
-        'image', 'images', 'colors', 'specifications',
-        'isCodAvailable', 'estimatedDeliveryDays', 'returnPolicy'
+        'image', 'images', 'colors', 'variants', 'specifications',
+        'isCodAvailable', 'estimatedDeliveryDays', 'returnPolicy',
+        'hsnCode', 'gstRate'
     ];
 
     if (['DRAFT', 'REJECTED'].includes(product.listingStatus)) {
@@ -514,16 +588,41 @@ const updateSellerProduct = asyncHandler(async (req, res) => {
         // Check if user is trying to edit restricted fields
         const attemptedUpdates = Object.keys(updates);
         const hasRestrictedUpdates = attemptedUpdates.some(field =>
-            contentFields.includes(field) && updates[field] !== undefined
+            field !== 'variants' && contentFields.includes(field) && updates[field] !== undefined
         );
 
         if (hasRestrictedUpdates) {
             res.status(400);
-            throw new Error('You can only update Price and Stock for live products. To update other details, please contact support or delete and recreate.');
+            throw new Error('You can only update Price and Stock for live products. To change other details, submit an edit proposal for review.');
+        }
+
+        if (Array.isArray(updates.variants)) {
+            for (const change of updates.variants) {
+                const variant = change._id && product.variants.id(change._id);
+                if (!variant) {
+                    res.status(400);
+                    throw new Error('New variants need review. You can only update price and stock of existing variants on live products.');
+                }
+                variantPriceStockFields.forEach(field => {
+                    if (change[field] !== undefined) variant[field] = change[field];
+                });
+            }
         }
     }
 
+    if (allowedUpdates.includes('category') && updates.category !== undefined) {
+        const productCategory = await Category.resolve(updates.category);
+        if (!productCategory) {
+            res.status(400);
+            throw new Error(`Category not found: ${updates.category}`);
+        }
+        product.category = productCategory._id;
+    }
+
     allowedUpdates.forEach(field => {
+        // Variant products take their stock from the variants; category is resolved above
+        if (field === 'countInStock' && product.variants.length > 0) return;
+        if (field === 'category') return;
         if (updates[field] !== undefined) {
             product[field] = updates[field];
         }
@@ -539,7 +638,13 @@ const updateSellerProduct = asyncHandler(async (req, res) => {
         };
     }
 
+    product._updatedBy = req.user._id; // Stock ledger actor
     const updatedProduct = await product.save();
+
+    if (updates.countInStock !== undefined || updates.variants !== undefined) {
+        queueBackInStock(updatedProduct._id);
+    }
+
     res.json(updatedProduct);
 });
 
@@ -585,6 +690,152 @@ const submitProductForReview = asyncHandler(async (req, res) => {
     });
 });
 
+// Seller record and one of their products, or the matching 404/403
+const findOwnedProduct = async (req, res) => {
+    const seller = await Seller.findOne({ user: req.user._id });
+
+    if (!seller) {
+        res.status(404);
+        throw new Error('Seller not found');
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product || product.isDeleted) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    if (product.seller.toString() !== seller._id.toString()) {
+        res.status(403);
+        throw new Error('You do not have access to this product');
+    }
+
+    return { seller, product };
+};
+
+// @desc    Propose content changes to a live product (reviewed before they go live)
+// @route   POST /api/sellers/products/:id/proposals
+// @access  Private (Seller)
+const proposeProductEdit = asyncHandler(async (req, res) => {
+    const { seller, product } = await findOwnedProduct(req, res);
+    const { changes, note } = req.body;
+
+    if (['DRAFT', 'REJECTED'].includes(product.listingStatus)) {
+        res.status(400);
+        throw new Error('This product is not live yet. Edit it directly and submit it for review.');
+    }
+
+    if (!['APPROVED', 'DELISTED'].includes(product.listingStatus)) {
+        res.status(400);
+        throw new Error(`Edits cannot be proposed while the product is ${product.listingStatus.toLowerCase().replace('_', ' ')}`);
+    }
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+        res.status(400);
+        throw new Error('Changes are required');
+    }
+
+    const unknownFields = Object.keys(changes).filter(field => !ProductEditProposal.PROPOSABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        res.status(400);
+        throw new Error(`These fields cannot be proposed: ${unknownFields.join(', ')}. Price and stock can be updated directly.`);
+    }
+
+    const proposed = { ...changes };
+
+    if (proposed.category !== undefined) {
+        const productCategory = await Category.resolve(proposed.category);
+        if (!productCategory) {
+            res.status(400);
+            throw new Error(`Category not found: ${proposed.category}`);
+        }
+        proposed.category = productCategory._id;
+    }
+
+    if (proposed.variants !== undefined) {
+        if (!Array.isArray(proposed.variants) || proposed.variants.some(v => !v || !v.sku)) {
+            res.status(400);
+            throw new Error('Variants must be a list, and every variant needs a SKU');
+        }
+        proposed.variants = proposed.variants.map(v => ({ ...v, sku: String(v.sku).trim().toUpperCase() }));
+    }
+
+    if (await ProductEditProposal.exists({ product: product._id, status: 'PENDING' })) {
+        res.status(400);
+        throw new Error('This product already has an edit proposal awaiting review. Withdraw it to submit a new one.');
+    }
+
+    const livePlain = product.toObject();
+    const proposal = new ProductEditProposal({
+        product: product._id,
+        seller: seller._id,
+        submittedBy: req.user._id,
+        changes: proposed,
+        original: Object.fromEntries(Object.keys(proposed).map(field => [field, livePlain[field] === undefined ? null : livePlain[field]])),
+        sellerNote: note
+    });
+
+    // Validate against a copy so the live listing is untouched
+    const preview = proposal.applyTo(Product.hydrate(livePlain));
+    try {
+        await preview.validate();
+    } catch (error) {
+        res.status(400);
+        throw new Error(error.message);
+    }
+
+    const diff = proposal.getDiff(product);
+    if (diff.length === 0) {
+        res.status(400);
+        throw new Error('The proposed values match the live product');
+    }
+
+    await proposal.save();
+
+    res.status(201).json({ ...proposal.toObject(), diff });
+});
+
+// @desc    Get edit proposals for a product
+// @route   GET /api/sellers/products/:id/proposals
+// @access  Private (Seller)
+const getProductEditProposals = asyncHandler(async (req, res) => {
+    const { product } = await findOwnedProduct(req, res);
+
+    const proposals = await ProductEditProposal.find({ product: product._id })
+        .populate('reviewedBy', 'name')
+        .sort({ createdAt: -1 });
+
+    res.json(proposals.map(proposal => ({
+        ...proposal.toObject(),
+        diff: proposal.status === 'PENDING' ? proposal.getDiff(product) : undefined
+    })));
+});
+
+// @desc    Withdraw a pending edit proposal
+// @route   DELETE /api/sellers/products/:id/proposals/:proposalId
+// @access  Private (Seller)
+const withdrawProductEditProposal = asyncHandler(async (req, res) => {
+    const { product } = await findOwnedProduct(req, res);
+
+    const proposal = await ProductEditProposal.findOne({ _id: req.params.proposalId, product: product._id });
+
+    if (!proposal) {
+        res.status(404);
+        throw new Error('Edit proposal not found');
+    }
+
+    if (proposal.status !== 'PENDING') {
+        res.status(400);
+        throw new Error('Only pending proposals can be withdrawn');
+    }
+
+    proposal.status = 'WITHDRAWN';
+    await proposal.save();
+
+    res.json({ message: 'Edit proposal withdrawn', proposal });
+});
+
 // @desc    Delete (soft) a product
 // @route   DELETE /api/sellers/products/:id
 // @access  Private (Seller)
@@ -640,18 +891,21 @@ const getSellerOrders = asyncHandler(async (req, res) => {
         throw new Error('Seller not found');
     }
 
-    // Get products owned by this seller
+    // Get products owned by this seller (legacy orders placed before sub-orders existed)
     const sellerProductIds = await Product.find({ seller: seller._id }).distinct('_id');
 
-    // Find orders that contain seller's products
+    // Split orders are matched on the seller's own shipment, legacy orders on their items
     const filter = {
-        'orderItems.product': { $in: sellerProductIds }
+        $or: [
+            { subOrders: { $elemMatch: { seller: seller._id, ...(status ? { status } : {}) } } },
+            {
+                'subOrders.0': { $exists: false },
+                'orderItems.product': { $in: sellerProductIds },
+                ...(status ? { status } : {})
+            }
+        ]
     };
 
-    if (status) {
-        filter.status = status;
-    }
-
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const [orders, totalCount] = await Promise.all([
@@ -664,12 +918,21 @@ const getSellerOrders = asyncHandler(async (req, res) => {
         Order.countDocuments(filter)
     ]);
 
-    // Filter order items to only show seller's products
+    // Only expose the seller's own shipment and items
     const filteredOrders = orders.map(order => {
         const orderObj = order.toObject();
-        orderObj.orderItems = orderObj.orderItems.filter(item =>
-            item.product && sellerProductIds.some(id => id.toString() === item.product._id.toString())
-        );
+        const subOrder = orderObj.subOrders.find(s => s.seller && s.seller.toString() === seller._id.toString());
+
+        if (subOrder) {
+            const itemIds = subOrder.items.map(id => id.toString());
+            orderObj.orderItems = orderObj.orderItems.filter(item => itemIds.includes(item._id.toString()));
+            orderObj.subOrder = subOrder;
+        } else {
+            orderObj.orderItems = orderObj.orderItems.filter(item =>
+                item.product && sellerProductIds.some(id => id.toString() === item.product._id.toString())
+            );
+        }
+        delete orderObj.subOrders;
         return orderObj;
     });
 
@@ -681,6 +944,53 @@ const getSellerOrders = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Update the status of the seller's own shipment (sub-order)
+// @route   PUT /api/sellers/orders/:id/sub-orders/:subOrderId/status
+// @access  Private (Seller)
+const updateSellerSubOrderStatus = asyncHandler(async (req, res) => {
+    const { status, note, courier } = req.body;
+
+    const seller = await Seller.findOne({ user: req.user._id });
+
+    if (!seller) {
+        res.status(404);
+        throw new Error('Seller not found');
+    }
+
+    // Sellers handle dispatch; cancellations, returns and refunds stay with admins
+    const sellerStatuses = ['READY_TO_SHIP', 'SHIPPED', 'OUT_FOR_DELIVERY', 'DELIVERED'];
+    if (!sellerStatuses.includes(status)) {
+        res.status(400);
+        throw new Error(`Sellers can only set shipment status to ${sellerStatuses.join(', ')}`);
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    const subOrder = order.subOrders.id(req.params.subOrderId);
+    if (!subOrder || !subOrder.seller || subOrder.seller.toString() !== seller._id.toString()) {
+        res.status(404);
+        throw new Error('Shipment not found');
+    }
+
+    try {
+        const updatedOrder = await transitionSubOrder(order, subOrder._id, status, {
+            actor: req.user,
+            role: 'seller',
+            note,
+            courier
+        });
+        res.json(updatedOrder.subOrders.id(subOrder._id));
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
+});
+
 module.exports = {
     registerSeller,
     getSellerProfile,
@@ -691,8 +1001,13 @@ module.exports = {
     getSellerDashboardStats,
     getSellerProducts,
     createSellerProduct,
+    importSellerProducts,
     updateSellerProduct,
     submitProductForReview,
+    proposeProductEdit,
+    getProductEditProposals,
+    withdrawProductEditProposal,
     deleteSellerProduct,
-    getSellerOrders
+    getSellerOrders,
+    updateSellerSubOrderStatus
 };
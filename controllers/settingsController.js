@@ -26,16 +26,26 @@ const updateSettings = asyncHandler(async (req, res) => {
         'areReturnsActive', 'isChatbotEnabled', 'isGlobalStockActive',
         'isStockCountVisible', 'isSpecialOffersEnabled',
         'companyName', 'companyEmail', 'companyPhone', 'companyAddress',
-        'companyGST', 'companyPAN',
+        'companyGST', 'companyPAN', 'invoicePrefix', 'invoiceNumberPadding', 'creditNotePrefix',
         'currency', 'emailNotifications', 'lowBalanceAlert', 'lowBalanceThreshold',
         'paymentGateways',
-        'gstEnabled', 'gstRate', 'tdsEnabled', 'tdsRate', 'shippingCharge', 'freeShippingThreshold'
+        'gstEnabled', 'gstRate', 'tdsEnabled', 'tdsRate', 'shippingCharge', 'freeShippingThreshold',
+        'paymentHoldMinutes', 'paymentReminderMinutes',
+        'isGiftWrapEnabled', 'giftWrapCharge'
     ];
 
+    // Document numbers are 'PREFIX/FY/000123'; a '/' in the prefix would break parsing them back
+    ['invoicePrefix', 'creditNotePrefix'].forEach(field => {
+        if (req.body[field] !== undefined && String(req.body[field]).includes('/')) {
+            res.status(400);
+            throw new Error(`${field === 'invoicePrefix' ? 'Invoice' : 'Credit note'} prefix cannot contain "/"`);
+        }
+    });
+
     fieldsToUpdate.forEach(field => {
         if (req.body[field] !== undefined) {
             // Prevent negative values for specific numeric fields
-            if (['gstRate', 'tdsRate', 'shippingCharge', 'freeShippingThreshold'].includes(field)) {
+            if (['gstRate', 'tdsRate', 'shippingCharge', 'freeShippingThreshold', 'paymentHoldMinutes', 'paymentReminderMinutes', 'invoiceNumberPadding', 'giftWrapCharge'].includes(field)) {
                 settings[field] = Math.max(0, req.body[field]);
             } else {
                 settings[field] = req.body[field];
@@ -18,9 +18,13 @@ const fixIndex = async () => {
             console.log('Index might not exist or already dropped:', err.message);
         }
 
-        console.log('Creating sparse unique index for invoiceNumber...');
-        await collection.createIndex({ invoiceNumber: 1 }, { unique: true, sparse: true });
-        console.log('New sparse unique index created');
+        // Must match the index declared in models/Order.js
+        console.log('Creating partial unique index for invoiceNumber...');
+        await collection.createIndex(
+            { invoiceNumber: 1 },
+            { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+        );
+        console.log('New partial unique index created');
 
         process.exit(0);
     } catch (error) {
@@ -38,6 +38,20 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 });
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalProtect = asyncHandler(async (req, res, next) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        try {
+            const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+            const user = await User.findById(decoded.id).select('-password');
+            if (user && user.isActive !== false) req.user = user;
+        } catch (error) {
+            // An invalid or expired token is treated as a guest
+        }
+    }
+    next();
+});
+
 const admin = asyncHandler(async (req, res, next) => {
     const allowedRoles = ['admin', 'super_admin', 'finance', 'seller_admin'];
     if (req.user && allowedRoles.includes(req.user.role)) {
@@ -175,6 +189,7 @@ const verifySellerOwnership = (resourceType) => asyncHandler(async (req, res, ne
 
 module.exports = {
     protect,
+    optionalProtect,
     admin,
     superAdmin,
     checkPermission,
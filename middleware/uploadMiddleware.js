@@ -2,6 +2,8 @@ const multer = require('multer');
 const path = require('path');
 
 const fs = require('fs');
+const processImage = require('../utils/imageProcessing');
+const { discardImages } = processImage;
 
 const storage = multer.diskStorage({
     destination(req, file, cb) {
@@ -38,4 +40,95 @@ const upload = multer({
     },
 });
 
+// Catalog import files (CSV/JSON) are parsed in memory, never written to disk
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5000000 }, // 5MB
+    fileFilter: function (req, file, cb) {
+        if (/\.(csv|json)$/i.test(file.originalname)) {
+            return cb(null, true);
+        }
+        cb(new Error(`Import file must be .csv or .json. Got: ${path.extname(file.originalname)}`));
+    },
+});
+
+// Optional single 'file' field; upload errors are the client's fault, so they become 400s
+const importFile = (req, res, next) => {
+    importUpload.single('file')(req, res, (err) => {
+        if (err) {
+            res.status(400);
+            return next(err);
+        }
+        next();
+    });
+};
+
+// Catalog and review images; originals are replaced by processed variants (utils/imageProcessing)
+const imageUpload = multer({
+    storage,
+    limits: { fileSize: 20000000, files: 10 }, // 20MB each, 10 images
+    fileFilter: function (req, file, cb) {
+        if (/\.(jpe?g|png|gif|webp|avif)$/i.test(file.originalname) && /^image\/(jpeg|jpg|png|gif|webp|avif)$/.test(file.mimetype)) {
+            return cb(null, true);
+        }
+        cb(new Error(`Images must be JPG, PNG, GIF, WebP or AVIF. Got: ${file.mimetype}`));
+    },
+});
+
+// Optional image files under `field`, resized into variants with metadata stripped; the resulting
+// image assets are on req.images. Upload and decoding errors become 400s.
+const processedImages = (kind, field, maxCount) => (req, res, next) => {
+    imageUpload.array(field, maxCount)(req, res, async (err) => {
+        if (err) {
+            res.status(400);
+            return next(err);
+        }
+
+        // One at a time: resizing is CPU-bound
+        req.images = [];
+        const files = req.files || [];
+        try {
+            for (const file of files) {
+                req.images.push(await processImage(file, { kind, user: req.user }));
+            }
+            next();
+        } catch (error) {
+            // Renditions already written for this batch would otherwise be orphaned
+            await discardImages(req.images);
+            req.images = [];
+            await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+            res.status(error.statusCode || 500);
+            next(error);
+        }
+    });
+};
+
+// Runs after `upload` on the general upload routes: images among the uploaded files are processed like
+// catalog images, so no original with its EXIF/GPS data is kept. Each such file gets `file.image` (the
+// ImageAsset); documents and videos are left as they are.
+const processUploadedImages = async (req, res, next) => {
+    const files = req.files || (req.file ? [req.file] : []);
+    const images = files.filter(file => file.mimetype.startsWith('image/'));
+    const processed = [];
+    try {
+        for (const file of images) {
+            file.image = await processImage(file, { kind: 'OTHER', user: req.user });
+            processed.push(file.image);
+        }
+        next();
+    } catch (error) {
+        await discardImages(processed);
+        await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+        res.status(error.statusCode || 500);
+        next(error);
+    }
+};
+
+// Optional 'photos' files on a review
+const reviewPhotos = processedImages('REVIEW', 'photos', 5);
+
 module.exports = upload;
+module.exports.importFile = importFile;
+module.exports.reviewPhotos = reviewPhotos;
+module.exports.processedImages = processedImages;
+module.exports.processUploadedImages = processUploadedImages;
@@ -0,0 +1,71 @@
+// One-off migration for hierarchical categories:
+//  - categories get a slug, parent and ancestors, and lose the global unique index on name
+//  - products that store a category *name* are pointed at the category's _id
+//    (categories that only existed as product strings are created at the top level)
+// Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('./models/Category');
+dotenv.config();
+
+const migrateCategories = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to MongoDB');
+
+        const db = mongoose.connection.db;
+        const categories = db.collection('categories');
+        const products = db.collection('products');
+
+        // Names are only unique among siblings now
+        try {
+            await categories.dropIndex('name_1');
+            console.log('Dropped unique index on categories.name');
+        } catch (err) {
+            console.log('Index name_1 might not exist or already dropped:', err.message);
+        }
+
+        // 1. Existing (flat) categories become top-level categories with slugs
+        const legacyCategories = await categories.find({ slug: { $exists: false } }).toArray();
+        for (const category of legacyCategories) {
+            const slug = await Category.generateSlug(category.name, null, category._id);
+            await categories.updateOne(
+                { _id: category._id },
+                { $set: { slug, parent: null, ancestors: [] } }
+            );
+            console.log(`Category "${category.name}" -> slug "${slug}"`);
+        }
+        await Category.syncIndexes();
+
+        // 2. Products still holding a category name
+        const names = await products.distinct('category', { category: { $type: 'string' } });
+        console.log(`Found ${names.length} category name(s) on products`);
+
+        for (const name of names) {
+            let category = await Category.resolve(name);
+            if (!category) {
+                category = await Category.create({
+                    name: name.trim(),
+                    slug: await Category.generateSlug(name, null),
+                    parent: null,
+                    ancestors: []
+                });
+                console.log(`Created missing category "${category.name}"`);
+            }
+
+            const result = await products.updateMany(
+                { category: name },
+                { $set: { category: category._id } }
+            );
+            console.log(`"${name}" -> ${category._id} (${result.modifiedCount} product(s))`);
+        }
+
+        console.log('Category migration complete');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migrateCategories();
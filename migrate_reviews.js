@@ -0,0 +1,64 @@
+// One-off migration for standalone reviews:
+//  - reviews embedded in products (product.reviews) are copied to the reviews collection as PUBLISHED,
+//    keeping their dates; they were never tied to an order line, so they are not marked verified purchases
+//  - the embedded array is removed and the product's rating / numReviews recalculated from published reviews
+// Reviews already copied (same product and user) are skipped, so this is safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Review = require('./models/Review');
+dotenv.config();
+
+const migrateReviews = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to MongoDB');
+
+        const products = mongoose.connection.db.collection('products');
+        const cursor = products.find({ 'reviews.0': { $exists: true } }).project({ name: 1, reviews: 1 });
+        let copied = 0;
+        let skipped = 0;
+
+        for await (const product of cursor) {
+            for (const legacy of product.reviews) {
+                const exists = await Review.exists({ product: product._id, user: legacy.user });
+                if (exists) {
+                    skipped++;
+                    continue;
+                }
+
+                await Review.collection.insertOne({
+                    product: product._id,
+                    user: legacy.user,
+                    name: legacy.name,
+                    isVerifiedPurchase: false,
+                    rating: Math.min(Math.max(Math.round(legacy.rating), 1), 5),
+                    comment: legacy.comment,
+                    photos: [],
+                    status: 'PUBLISHED',
+                    helpfulVotes: [],
+                    notHelpfulVotes: [],
+                    helpfulCount: 0,
+                    notHelpfulCount: 0,
+                    reports: [],
+                    reportCount: 0,
+                    createdAt: legacy.createdAt || new Date(),
+                    updatedAt: legacy.updatedAt || legacy.createdAt || new Date()
+                });
+                copied++;
+            }
+
+            await products.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+            const { numReviews } = await Review.syncProductRating(product._id);
+            console.log(`"${product.name}": ${numReviews} published review(s)`);
+        }
+
+        await Review.syncIndexes();
+        console.log(`Review migration complete: ${copied} copied, ${skipped} already present`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migrateReviews();
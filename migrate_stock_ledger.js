@@ -0,0 +1,44 @@
+// One-off migration for the stock ledger:
+//  - every product with no ledger entries yet gets OPENING_BALANCE entries for the stock it holds now
+//    (one per variant, plus one for stock held on the product itself)
+// Products that already have entries are left alone, so this is safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Product = require('./models/Product');
+const StockMovement = require('./models/StockMovement');
+dotenv.config();
+
+const migrateStockLedger = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to MongoDB');
+
+        const withHistory = new Set((await StockMovement.distinct('product')).map(String));
+        const products = await Product.find({}).select('name countInStock variants');
+        let opened = 0;
+
+        for (const product of products) {
+            if (withHistory.has(product._id.toString())) continue;
+
+            const buckets = StockMovement.stockBuckets(product);
+            for (const [key, quantity] of Object.entries(buckets)) {
+                if (quantity === 0) continue;
+                await StockMovement.record(product, {
+                    variant: key || null,
+                    quantity,
+                    reason: 'OPENING_BALANCE',
+                    note: 'Stock on hand when the ledger was introduced'
+                });
+            }
+            opened++;
+        }
+
+        console.log(`Opening balances recorded for ${opened} product(s)`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migrateStockLedger();
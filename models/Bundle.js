@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Component of a bundle. Products sold in sizes/colours are picked by the shopper unless a variant is fixed here.
+const bundleItemSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Component quantity must be at least 1']
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+}, { _id: false });
+
+// Combo offer sold as one cart line (e.g. kurta + dupatta + leggings). At checkout it expands into
+// one order line per component, each carrying its share of the bundle price.
+const bundleSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a bundle name'],
+        trim: true
+    },
+    description: { type: String },
+    image: { type: String },
+    items: [bundleItemSchema],
+    // FIXED sells a set at `price`; PERCENTAGE takes `discountPercentage` off the components' own prices
+    pricingType: {
+        type: String,
+        enum: ['FIXED', 'PERCENTAGE'],
+        required: true
+    },
+    price: { type: Number, min: 0 },
+    discountPercentage: { type: Number, min: 0 },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+bundleSchema.index({ isActive: 1, createdAt: -1 });
+bundleSchema.index({ 'items.product': 1 });
+
+bundleSchema.pre('validate', function () {
+    if (this.items.length < 2) {
+        this.invalidate('items', 'A bundle needs at least two components');
+    }
+    if (new Set(this.items.map(item => String(item.product))).size !== this.items.length) {
+        this.invalidate('items', 'Each product can only appear once in a bundle; use the quantity instead');
+    }
+    if (this.pricingType === 'FIXED' && !(this.price > 0)) {
+        this.invalidate('price', 'Fixed-price bundles need a price above zero');
+    }
+    if (this.pricingType === 'PERCENTAGE' && !(this.discountPercentage > 0 && this.discountPercentage < 100)) {
+        this.invalidate('discountPercentage', 'Bundle discount must be between 0 and 100 percent');
+    }
+});
+
+module.exports = mongoose.model('Bundle', bundleSchema);
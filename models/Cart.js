@@ -10,7 +10,7 @@ const cartSchema = mongoose.Schema({
         product: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Product',
-            required: true
+            required: function () { return !this.bundle; } // Bundle lines carry their products in components
         },
         name: { type: String, required: true },
         image: { type: String, required: true },
@@ -24,7 +24,23 @@ const cartSchema = mongoose.Schema({
         color: {
             type: String,
             required: false
-        }
+        },
+        variant: { type: mongoose.Schema.Types.ObjectId }, // Product variant, when sold by size/colour
+        sku: { type: String },
+        size: { type: String },
+        saleEvent: { type: mongoose.Schema.Types.ObjectId, ref: 'SaleEvent' }, // Sale the current price comes from
+        // Bundle bought as one line: price is per set, quantity counts sets, countInStock is whole sets available
+        bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle' },
+        components: [{
+            _id: false,
+            product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+            variant: { type: mongoose.Schema.Types.ObjectId },
+            name: { type: String },
+            sku: { type: String },
+            size: { type: String },
+            color: { type: String },
+            quantity: { type: Number, required: true } // Units per set
+        }]
     }]
 }, {
     timestamps: true
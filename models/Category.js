@@ -1,10 +1,27 @@
 const mongoose = require('mongoose');
+const ImageAsset = require('./ImageAsset');
+
+// Lower-case, hyphenated URL segment: "Women's Ethnic Wear" -> "womens-ethnic-wear"
+const slugify = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
 
 const categorySchema = mongoose.Schema({
     name: {
         type: String,
         required: true,
-        unique: true
+        trim: true // Unique among siblings (checked in categoryController), not globally
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
     },
     description: {
         type: String
@@ -12,12 +29,101 @@ const categorySchema = mongoose.Schema({
     image: {
         type: String
     },
+    // Resized renditions of `image` when it was uploaded through /api/upload/images
+    imageVariants: {
+        type: ImageAsset.imageSetSchema,
+        default: null
+    },
     order: {
         type: Number,
         default: 0
-    }
+    },
+    // Default reorder point for products in this category; null falls back to the parent's
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null // null for top-level categories
+    },
+    // Root-first chain above this category (Women > Ethnic for Sarees), kept denormalised
+    // so breadcrumbs and subtree queries need no recursion
+    ancestors: [{
+        _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+        name: { type: String },
+        slug: { type: String }
+    }]
 }, {
     timestamps: true
 });
 
+categorySchema.index({ parent: 1, order: 1 }); // Children of a category, in display order
+categorySchema.index({ 'ancestors._id': 1 }); // Subtree queries
+
+categorySchema.pre('save', async function () {
+    if (this.isModified('image')) {
+        const [set] = this.image ? await ImageAsset.findSets([this.image]) : [];
+        this.imageVariants = set || null;
+    }
+});
+
+// Breadcrumb trail ending at this category
+categorySchema.methods.getBreadcrumbs = function () {
+    return [
+        ...this.ancestors.map(a => ({ _id: a._id, name: a.name, slug: a.slug })),
+        { _id: this._id, name: this.name, slug: this.slug }
+    ];
+};
+
+// Look a category up by id, slug or (case-insensitive) name
+categorySchema.statics.resolve = async function (value) {
+    if (!value) return null;
+    if (value._id) value = value._id;
+    if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+        const byId = await this.findById(value);
+        if (byId) return byId;
+    }
+
+    const text = String(value).trim();
+    const bySlug = await this.findOne({ slug: slugify(text) });
+    if (bySlug) return bySlug;
+
+    // Names repeat across branches (Men > Ethnic, Women > Ethnic); prefer the shallowest match
+    const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const byName = await this.find({ name: { $regex: new RegExp(`^${escaped}$`, 'i') } });
+    return byName.sort((a, b) => a.ancestors.length - b.ancestors.length)[0] || null;
+};
+
+// The given categories plus everything beneath them
+categorySchema.statics.getSubtreeIds = async function (ids) {
+    const roots = [].concat(ids || []).map(id => new mongoose.Types.ObjectId(String(id)));
+    if (roots.length === 0) return [];
+
+    const descendants = await this.find({ 'ancestors._id': { $in: roots } }).select('_id').lean();
+    return [...roots, ...descendants.map(d => d._id)];
+};
+
+// A slug no other category uses; clashes fall back to "parent-child", then a counter
+categorySchema.statics.generateSlug = async function (name, parent, excludeId) {
+    const base = slugify(name) || 'category';
+    const candidates = [base];
+    if (parent?.slug) candidates.push(`${parent.slug}-${base}`);
+
+    const isTaken = async (slug) => Boolean(await this.exists({ slug, ...(excludeId ? { _id: { $ne: excludeId } } : {}) }));
+
+    for (const candidate of candidates) {
+        if (!await isTaken(candidate)) return candidate;
+    }
+
+    const fallback = candidates[candidates.length - 1];
+    for (let suffix = 2; ; suffix++) {
+        if (!await isTaken(`${fallback}-${suffix}`)) return `${fallback}-${suffix}`;
+    }
+};
+
+categorySchema.statics.slugify = slugify;
+
 module.exports = mongoose.model('Category', categorySchema);
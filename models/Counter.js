@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Named atomic sequences (e.g. invoice series per financial year), incremented with $inc
+const counterSchema = mongoose.Schema({
+    _id: {
+        type: String, // Sequence key, e.g. 'invoice:2026-27'
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    },
+    // Numbers handed back after their document failed to save; issued again before seq moves on
+    released: {
+        type: [Number],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
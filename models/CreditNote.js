@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// GST credit note: reverses (part of) an issued invoice when money goes back to the customer
+const creditNoteSchema = mongoose.Schema({
+    creditNoteNumber: {
+        type: String,
+        required: true,
+        unique: true // Sequential per financial year (utils/invoiceNumber)
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Order',
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    invoiceNumber: {
+        type: String,
+        required: true // Original invoice being credited
+    },
+    subOrder: {
+        type: mongoose.Schema.Types.ObjectId // Set when a single shipment was cancelled
+    },
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['ORDER_CANCELLATION', 'SHIPMENT_CANCELLATION', 'ITEM_CANCELLATION', 'RETURN']
+    },
+    reason: { type: String },
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId }, // _id of the orderItems entry
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        name: { type: String, required: true },
+        hsnCode: { type: String },
+        qty: { type: Number, required: true },
+        unitPrice: { type: Number, required: true },
+        taxRate: { type: Number, default: 0 },
+        taxableValue: { type: Number, default: 0 },
+        taxAmount: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    }],
+    taxRate: { type: Number, default: 0 }, // Store rate at checkout; lines carry their own
+    taxableValue: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    shippingAmount: { type: Number, default: 0 }, // Untaxed charges refunded (shipping, gift wrap)
+    totalAmount: { type: Number, required: true },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+creditNoteSchema.index({ issuedAt: -1 }); // Finance listing by period
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
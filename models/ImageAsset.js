@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One resized rendition of an image, in every format it was encoded to
+const sizeSchema = mongoose.Schema({
+    width: { type: Number },
+    height: { type: Number },
+    avif: { type: String },
+    webp: { type: String },
+    jpeg: { type: String }
+}, { _id: false });
+
+// Variant URLs for one image, as stored on products and categories next to the plain URL
+const imageSetSchema = mongoose.Schema({
+    url: { type: String, required: true }, // Same value as the plain image URL
+    width: { type: Number },
+    height: { type: Number },
+    variants: {
+        thumbnail: sizeSchema, // Cart, search suggestions
+        listing: sizeSchema, // Product cards
+        zoom: sizeSchema // Product page and zoom
+    }
+}, { _id: false });
+
+// Uploaded image after processing (utils/imageProcessing). The original file is not kept.
+const imageAssetSchema = mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['PRODUCT', 'REVIEW', 'CATEGORY', 'OTHER'], // OTHER: images sent to the general /api/upload routes
+        required: true
+    },
+    url: { type: String, required: true }, // Largest rendition as JPEG, usable wherever a single URL is expected
+    width: { type: Number }, // Original dimensions, upright
+    height: { type: Number },
+    variants: {
+        thumbnail: sizeSchema,
+        listing: sizeSchema,
+        zoom: sizeSchema
+    },
+    format: { type: String }, // Format of the uploaded original
+    originalBytes: { type: Number },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+imageAssetSchema.index({ url: 1 }, { unique: true });
+
+// Variant sets for the given URLs, in the same order; URLs that were not processed here are skipped
+imageAssetSchema.statics.findSets = async function (urls) {
+    const assets = await this.find({ url: { $in: urls } }).select('url width height variants').lean();
+    const byUrl = new Map(assets.map(({ _id, ...set }) => [set.url, set]));
+    return urls.map(url => byUrl.get(url)).filter(Boolean);
+};
+
+module.exports = mongoose.model('ImageAsset', imageAssetSchema);
+module.exports.imageSetSchema = imageSetSchema;
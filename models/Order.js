@@ -1,5 +1,45 @@
 const mongoose = require('mongoose');
 
+const ORDER_STATUSES = ['CREATED', 'PAID', 'PAYMENT_FAILED', 'READY_TO_SHIP', 'SHIPPED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED', 'RETURNED', 'REFUNDED'];
+
+// Per-seller fulfilment group. Each seller ships, invoices and is paid commission independently;
+// the parent order status is derived from these (see utils/orderLifecycle).
+const subOrderSchema = mongoose.Schema({
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        default: null // null means platform fulfilled
+    },
+    items: [{
+        type: mongoose.Schema.Types.ObjectId // _id of the orderItems entries in this shipment
+    }],
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        default: 'CREATED'
+    },
+    courier: {
+        name: String,
+        trackingId: String,
+        shippedAt: Date,
+        labelUrl: String
+    },
+    invoiceNumber: { type: String },
+    // Share of the parent order pricing allocated to this shipment
+    itemsPrice: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    taxPrice: { type: Number, default: 0 },
+    shippingPrice: { type: Number, default: 0 },
+    giftWrapPrice: { type: Number, default: 0 },
+    totalPrice: { type: Number, default: 0 },
+    commissionRate: { type: Number, default: 0 },
+    commissionAmount: { type: Number, default: 0 },
+    deliveredAt: { type: Date },
+    cancelledAt: { type: Date }
+}, {
+    timestamps: true
+});
+
 const orderSchema = mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -7,9 +47,7 @@ const orderSchema = mongoose.Schema({
         ref: 'User'
     },
     invoiceNumber: {
-        type: String,
-        // unique and sparse removed to prevent E11000 index clashes on null/undefined values
-        // Uniqueness is practically handled by the INV-RANDOM generator in controller
+        type: String // Sequential per financial year (utils/invoiceNumber), assigned when the order is paid
     },
     orderItems: [{
         name: { type: String, required: true },
@@ -21,6 +59,31 @@ const orderSchema = mongoose.Schema({
             required: true,
             ref: 'Product'
         },
+        variant: { type: mongoose.Schema.Types.ObjectId }, // _id of the product variant, when sold by size/colour
+        sku: { type: String },
+        size: { type: String },
+        saleEvent: { type: mongoose.Schema.Types.ObjectId, ref: 'SaleEvent' }, // Sale the line was priced under, if any
+        // Set on lines bought as part of a bundle; lines from the same bundle purchase share a bundleGroup
+        bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle' },
+        bundleName: { type: String },
+        bundleGroup: { type: mongoose.Schema.Types.ObjectId },
+        seller: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Seller',
+            default: null
+        },
+        hsnCode: { type: String },
+        taxRate: { type: Number }, // GST % charged on this line at checkout
+        // qty is what remains to be fulfilled; cancelledQty keeps the cancelled part on record
+        cancelledQty: {
+            type: Number,
+            default: 0
+        },
+        cancellation: {
+            reason: String,
+            cancelledAt: Date,
+            refundAmount: { type: Number, default: 0 } // Prorated refund for the cancelled quantity
+        },
         color: {
             type: String,
             required: false
@@ -36,8 +99,10 @@ const orderSchema = mongoose.Schema({
         }
     }],
     shippingAddress: {
+        fullName: { type: String }, // Recipient, when picked from the address book
         address: { type: String, required: true },
         city: { type: String, required: true },
+        state: { type: String }, // Place of supply; decides CGST+SGST vs IGST on the invoice
         postalCode: { type: String, required: true },
         country: { type: String, required: true },
         phoneNumber: { type: String, required: true, trim: true }
@@ -46,11 +111,33 @@ const orderSchema = mongoose.Schema({
         type: String,
         required: true
     },
+    // Set at checkout from the validated payment method. Orders placed before it existed do not have it.
+    isCod: {
+        type: Boolean
+    },
     paymentResult: { // Result from Stripe/Razorpay
         id: { type: String },
         status: { type: String },
         update_time: { type: String },
-        email_address: { type: String }
+        email_address: { type: String },
+        gateway: { type: String }
+    },
+    // Pricing below is always computed server-side by utils/calculateOrderQuote
+    itemsPrice: {
+        type: Number,
+        required: true,
+        default: 0.0
+    },
+    discountAmount: {
+        type: Number,
+        default: 0.0
+    },
+    coupon: {
+        code: String,
+        discountPercentage: Number
+    },
+    taxRate: {
+        type: Number // GST % applied at checkout, reused when the order is re-priced
     },
     taxPrice: {
         type: Number,
@@ -62,6 +149,10 @@ const orderSchema = mongoose.Schema({
         required: true,
         default: 0.0
     },
+    giftWrapPrice: {
+        type: Number,
+        default: 0.0
+    },
     totalPrice: {
         type: Number,
         required: true,
@@ -69,10 +160,17 @@ const orderSchema = mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['CREATED', 'PAID', 'PAYMENT_FAILED', 'READY_TO_SHIP', 'SHIPPED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED', 'RETURNED', 'REFUNDED'],
+        enum: ORDER_STATUSES,
         default: 'CREATED',
         index: true
     },
+    subOrders: [subOrderSchema],
+    gift: {
+        isGift: { type: Boolean, default: false },
+        recipientName: { type: String, trim: true },
+        message: { type: String, trim: true, maxlength: 250 },
+        giftWrap: { type: Boolean, default: false }
+    },
     paymentInfo: {
         id: String,
         status: String,
@@ -117,9 +215,20 @@ const orderSchema = mongoose.Schema({
     },
     expectedDeliveryDate: {
         type: Date
+    },
+    paymentReminderSentAt: {
+        type: Date // Set once the "complete your payment" email has gone out for an unpaid order
     }
 }, {
     timestamps: true
 });
 
+orderSchema.index({ 'subOrders.seller': 1 }); // Seller order listing
+orderSchema.index({ status: 1, createdAt: 1 }); // Unpaid order expiry sweep
+// Unique only among orders that have been invoiced, so unpaid orders without a number never clash
+orderSchema.index(
+    { invoiceNumber: 1 },
+    { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Order', orderSchema);
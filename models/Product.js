@@ -1,17 +1,6 @@
 const mongoose = require('mongoose');
-
-const reviewSchema = mongoose.Schema({
-    name: { type: String, required: true },
-    rating: { type: Number, required: true },
-    comment: { type: String, required: true },
-    user: {
-        type: mongoose.Schema.Types.ObjectId,
-        required: true,
-        ref: 'User'
-    },
-}, {
-    timestamps: true
-});
+const StockMovement = require('./StockMovement');
+const ImageAsset = require('./ImageAsset');
 
 // Product Approval History Schema
 const productApprovalHistorySchema = mongoose.Schema({
@@ -22,6 +11,41 @@ const productApprovalHistorySchema = mongoose.Schema({
     notes: { type: String }
 });
 
+// Sellable size x colour combination with its own SKU, stock and optional price override
+const variantSchema = mongoose.Schema({
+    size: { type: String, trim: true },
+    color: { type: String, trim: true },
+    sku: {
+        type: String,
+        required: [true, 'Every variant needs a SKU'],
+        trim: true,
+        uppercase: true
+    },
+    barcode: { type: String, trim: true },
+    price: {
+        type: Number,
+        min: 0,
+        default: null // null uses the product price
+    },
+    discountPrice: {
+        type: Number,
+        min: 0,
+        default: null // null uses the product discountPrice
+    },
+    countInStock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Stock cannot be negative']
+    },
+    images: [{
+        type: String
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
 const productSchema = mongoose.Schema({
     // Creator - Admin or Seller
     user: {
@@ -52,19 +76,22 @@ const productSchema = mongoose.Schema({
     images: [{
         type: String
     }],
+    // Resized renditions (thumbnail, listing, zoom) of `image` and `images` uploaded through /api/upload/images,
+    // matched by url; images from elsewhere have none
+    imageVariants: [ImageAsset.imageSetSchema],
     brand: {
         type: String,
         required: true
     },
     category: {
-        type: String,
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
         required: true
     },
     description: {
         type: String,
         required: true
     },
-    reviews: [reviewSchema],
     price: {
         type: Number,
         required: true,
@@ -80,6 +107,14 @@ const productSchema = mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Reorder point: owners are alerted when stock (per variant, if any) falls to this level.
+    // null uses the category's threshold.
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Summary of published reviews (models/Review), kept in step by Review.syncProductRating
     rating: {
         type: Number,
         required: true,
@@ -94,6 +129,16 @@ const productSchema = mongoose.Schema({
         type: Number,
         default: 0
     },
+    // GST classification printed on tax invoices
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    gstRate: {
+        type: Number,
+        min: 0,
+        default: null // null uses the store-wide rate from Setting
+    },
     isCodAvailable: {
         type: Boolean,
         required: true,
@@ -106,6 +151,8 @@ const productSchema = mongoose.Schema({
     colors: [{
         type: String
     }],
+    // When present, stock lives on the variants and countInStock is their total
+    variants: [variantSchema],
     specifications: [{
         heading: { type: String },
         items: [{
@@ -169,6 +216,18 @@ const productSchema = mongoose.Schema({
         flaggedAt: { type: Date },
         flaggedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
     },
+    // Result of the last stock reconciliation against the ledger
+    stockCheck: {
+        status: { type: String, enum: ['OK', 'MISMATCH'] },
+        checkedAt: { type: Date },
+        discrepancies: [{
+            _id: false,
+            variant: { type: mongoose.Schema.Types.ObjectId },
+            sku: { type: String },
+            ledgerBalance: { type: Number },
+            countInStock: { type: Number }
+        }]
+    },
     // Quality Score (for ranking)
     qualityScore: {
         type: Number,
@@ -190,13 +249,77 @@ const productSchema = mongoose.Schema({
 // OPTIMIZATION: Indexes for faster search and filtering
 productSchema.index({ name: 'text', description: 'text', brand: 'text' }); // Full-Text Search
 productSchema.index({ category: 1 }); // Filter by Category
+productSchema.index({ brand: 1 }); // Brand facet / filter
 productSchema.index({ price: 1 });    // Sort/Filter by Price
 productSchema.index({ rating: -1 });  // Sort by Rating (High to Low)
 productSchema.index({ createdAt: -1 }); // Sort by Newest
 productSchema.index({ seller: 1 });    // Filter by Seller
+productSchema.index({ 'stockCheck.status': 1 }); // Reconciliation report
 productSchema.index({ listingStatus: 1 }); // Filter by Status
 productSchema.index({ isLive: 1, listingStatus: 1 }); // Compound for live products
 productSchema.index({ ownerType: 1 }); // Filter Platform vs Seller
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }); // SKUs are unique across the catalog
+
+// SKUs and size/colour pairs must not repeat within a product (the index only guards across products)
+productSchema.pre('validate', function () {
+    const skus = new Set();
+    const combinations = new Set();
+    for (const variant of this.variants) {
+        const combination = `${(variant.size || '').toLowerCase()}|${(variant.color || '').toLowerCase()}`;
+        if (skus.has(variant.sku)) {
+            this.invalidate('variants', `Duplicate SKU ${variant.sku}`);
+        }
+        if (combinations.has(combination)) {
+            this.invalidate('variants', `Duplicate variant ${[variant.size, variant.color].filter(Boolean).join(' / ')}`);
+        }
+        skus.add(variant.sku);
+        combinations.add(combination);
+    }
+});
+
+// Keep the product-level stock and colour list in step with the variants
+productSchema.pre('save', function () {
+    if (this.variants.length > 0 && this.isModified('variants')) {
+        this.countInStock = this.variants.reduce((acc, variant) => acc + (variant.countInStock || 0), 0);
+        this.colors = [...new Set(this.variants.map(variant => variant.color).filter(Boolean))];
+    }
+});
+
+productSchema.pre('save', async function () {
+    if (this.isModified('image') || this.isModified('images')) {
+        this.imageVariants = await ImageAsset.findSets([...new Set([this.image, ...this.images].filter(Boolean))]);
+    }
+});
+
+// Stock edited through save() (create, product updates, imports) is written to the stock ledger.
+// Atomic $inc paths in utils/productStock record their own movements.
+productSchema.post('init', function () {
+    if (this.isSelected('countInStock') && this.isSelected('variants')) {
+        this.$locals.stockBuckets = StockMovement.stockBuckets(this);
+    }
+});
+
+productSchema.pre('save', function () {
+    this.$locals.wasNew = this.isNew;
+});
+
+productSchema.post('save', async function () {
+    const before = this.$locals.wasNew ? {} : this.$locals.stockBuckets;
+    if (!before) return; // Loaded without stock fields, so stock was not edited
+
+    const after = StockMovement.stockBuckets(this);
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const quantity = (after[key] || 0) - (before[key] || 0);
+        if (quantity === 0) continue;
+        await StockMovement.record(this, {
+            variant: key || null,
+            quantity,
+            reason: this._stockChangeReason || (this.$locals.wasNew ? 'INITIAL_STOCK' : 'PRODUCT_UPDATE'),
+            actor: this._updatedBy || (this.$locals.wasNew ? this.user : undefined)
+        });
+    }
+    this.$locals.stockBuckets = after;
+});
 
 // Pre-save middleware to add to approval history
 productSchema.pre('save', function () {
@@ -236,4 +359,17 @@ productSchema.methods.canBeEdited = function (userId, userRole) {
     return false;
 };
 
+// Variant a customer picked, by id or by size/colour. Inactive variants cannot be bought.
+productSchema.methods.findVariant = function ({ variant, size, color } = {}) {
+    if (this.variants.length === 0) return null;
+
+    const match = variant
+        ? this.variants.id(variant)
+        : this.variants.find(v =>
+            (v.size || '').toLowerCase() === (size || '').toLowerCase() &&
+            (v.color || '').toLowerCase() === (color || '').toLowerCase());
+
+    return match && match.isActive !== false ? match : null;
+};
+
 module.exports = mongoose.model('Product', productSchema);
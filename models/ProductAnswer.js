@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Seller or admin answer to a ProductQuestion. Answers are moderated before they go public.
+const productAnswerSchema = mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductQuestion',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        default: null
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: { type: String, required: true },
+    responderRole: {
+        type: String,
+        enum: ['SELLER', 'ADMIN'],
+        required: true
+    },
+    answer: {
+        type: String,
+        required: [true, 'Please enter an answer'],
+        trim: true,
+        maxlength: [2000, 'Answers are limited to 2000 characters']
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'APPROVED', 'REJECTED'],
+        default: 'PENDING'
+    },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: { type: Date },
+    rejectionReason: { type: String },
+    // Verified buyers who found the answer helpful
+    upvotes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    upvoteCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+productAnswerSchema.index({ question: 1, status: 1, upvoteCount: -1 });
+productAnswerSchema.index({ status: 1, createdAt: 1 }); // Moderation queue
+
+// Keep the question's public answer count in step after a moderation decision
+productAnswerSchema.statics.syncAnswerCount = async function (questionId) {
+    const ProductQuestion = mongoose.model('ProductQuestion');
+    const answerCount = await this.countDocuments({ question: questionId, status: 'APPROVED' });
+    await ProductQuestion.updateOne({ _id: questionId }, { answerCount });
+    return answerCount;
+};
+
+module.exports = mongoose.model('ProductAnswer', productAnswerSchema);
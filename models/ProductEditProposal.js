@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// Content a seller can change on a live product only through a reviewed proposal.
+// Price and stock are not listed: sellers update those directly at any time.
+const PROPOSABLE_FIELDS = [
+    'name', 'description', 'category', 'brand',
+    'image', 'images', 'colors', 'variants', 'specifications',
+    'isCodAvailable', 'estimatedDeliveryDays', 'returnPolicy',
+    'hsnCode', 'gstRate'
+];
+
+// Variant price and stock stay with the live listing; a proposal only reshapes variants
+const VARIANT_PRICE_STOCK_FIELDS = ['price', 'discountPrice', 'countInStock'];
+
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const isSame = (a, b) => JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b));
+
+// Value at "field" or, for variants, at ["variants", sku, key]
+const readField = (source, [field, sku, key]) => {
+    if (field !== 'variants' || !sku) return source ? source[field] : undefined;
+    const variant = ((source && source.variants) || []).find(v => v.sku === sku);
+    return key && variant ? variant[key] : variant;
+};
+
+const productEditProposalSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Proposed values keyed by product field; variants are matched to the live ones by SKU
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Live values of the same fields at submission, so reviewers can tell if the product moved on since
+    original: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    sellerNote: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN'],
+        default: 'PENDING'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    rejectionReason: {
+        type: String
+    },
+    adminNotes: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+productEditProposalSchema.index({ product: 1 }, { unique: true, partialFilterExpression: { status: 'PENDING' } }); // One open proposal per product
+productEditProposalSchema.index({ status: 1, createdAt: 1 }); // Review queue
+productEditProposalSchema.index({ seller: 1, createdAt: -1 });
+
+// Write the proposed values onto a product document (the live one on approval, a copy for validation)
+productEditProposalSchema.methods.applyTo = function (product) {
+    Object.entries(this.changes || {}).forEach(([field, value]) => {
+        if (field !== 'variants') {
+            product[field] = value;
+            return;
+        }
+
+        // Matching by SKU keeps existing variant _ids, which carts and orders point at
+        value.forEach(change => {
+            const existing = product.variants.find(v => v.sku === change.sku);
+            if (existing) {
+                Object.keys(change)
+                    .filter(key => key !== '_id' && !VARIANT_PRICE_STOCK_FIELDS.includes(key))
+                    .forEach(key => { existing[key] = change[key]; });
+            } else {
+                product.variants.push(change);
+            }
+        });
+    });
+    return product;
+};
+
+/**
+ * Field-by-field comparison of the proposal against the product as it is now.
+ * Variant changes are listed per SKU ("variants.TS-M-BLU.color"); unchanged values are left out.
+ *
+ * @param {Document|Object} product - Current product
+ * @returns {Array} [{ field, from, to, changedSinceSubmission }]
+ */
+productEditProposalSchema.methods.getDiff = function (product) {
+    const current = toPlain(product);
+    const entries = [];
+
+    const compare = (path, proposed) => {
+        const from = readField(current, path);
+        if (isSame(from, proposed)) return;
+        entries.push({
+            field: path.filter(Boolean).join('.'),
+            from: toPlain(from),
+            to: toPlain(proposed),
+            changedSinceSubmission: !isSame(readField(this.original, path), from)
+        });
+    };
+
+    Object.entries(this.changes || {}).forEach(([field, value]) => {
+        if (field !== 'variants') {
+            compare([field], value);
+            return;
+        }
+
+        value.forEach(change => {
+            if (!readField(current, ['variants', change.sku])) {
+                compare(['variants', change.sku], change);
+                return;
+            }
+            Object.keys(change)
+                .filter(key => !['_id', 'sku', ...VARIANT_PRICE_STOCK_FIELDS].includes(key))
+                .forEach(key => compare(['variants', change.sku, key], change[key]));
+        });
+    });
+
+    return entries;
+};
+
+productEditProposalSchema.statics.PROPOSABLE_FIELDS = PROPOSABLE_FIELDS;
+
+module.exports = mongoose.model('ProductEditProposal', productEditProposalSchema);
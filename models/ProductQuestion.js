@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Shopper question on a product page (sizing, fabric, care...). Answers live in ProductAnswer.
+const productQuestionSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Copied from the product so sellers can list questions on their catalog
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        default: null // null means platform product, answered by admins
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: { type: String, required: true },
+    question: {
+        type: String,
+        required: [true, 'Please enter your question'],
+        trim: true,
+        maxlength: [500, 'Questions are limited to 500 characters']
+    },
+    // Approved answers; only questions with at least one are shown publicly
+    answerCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+productQuestionSchema.index({ product: 1, answerCount: 1, createdAt: -1 }); // Public listing
+productQuestionSchema.index({ seller: 1, answerCount: 1, createdAt: -1 }); // Seller inbox
+
+module.exports = mongoose.model('ProductQuestion', productQuestionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const relatedSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    score: { type: Number, required: true }, // Co-occurrence normalised by each item's popularity
+    count: { type: Number, required: true } // Orders / shoppers the two items share
+}, { _id: false });
+
+// Precomputed recommendations for one product, rebuilt periodically by utils/recommendations
+const productRecommendationSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        unique: true
+    },
+    // Items that appear in the same orders
+    boughtTogether: [relatedSchema],
+    // Items the same shoppers bought or wishlisted
+    alsoViewed: [relatedSchema],
+    // Sales over the ranking window, for "top products"
+    unitsSold: { type: Number, default: 0 },
+    orderCount: { type: Number, default: 0 },
+    computedAt: { type: Date, required: true }
+});
+
+productRecommendationSchema.index({ unitsSold: -1, orderCount: -1 });
+
+module.exports = mongoose.model('ProductRecommendation', productRecommendationSchema);
@@ -12,6 +12,7 @@ const returnRequestSchema = mongoose.Schema({
         ref: 'User'
     },
     orderItem: {
+        itemId: { type: mongoose.Schema.Types.ObjectId }, // _id of the orderItems entry
         product: {
             type: mongoose.Schema.Types.ObjectId,
             required: true,
@@ -20,7 +21,11 @@ const returnRequestSchema = mongoose.Schema({
         name: { type: String, required: true },
         image: { type: String, required: true },
         price: { type: Number, required: true },
-        qty: { type: Number, required: true }
+        qty: { type: Number, required: true },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        sku: { type: String },
+        size: { type: String },
+        color: { type: String }
     },
     reason: {
         type: String,
@@ -66,4 +71,11 @@ const returnRequestSchema = mongoose.Schema({
     timestamps: true
 });
 
+// The order line this return is for. Older requests predate itemId and are matched by product.
+returnRequestSchema.methods.findOrderItem = function (order) {
+    if (!order) return null;
+    if (this.orderItem.itemId) return order.orderItems.id(this.orderItem.itemId);
+    return order.orderItems.find(i => i.product.toString() === this.orderItem.product.toString());
+};
+
 module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
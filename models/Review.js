@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const ImageAsset = require('./ImageAsset');
+
+// Reaching this many reports pulls a published review back into the moderation queue
+const REPORT_REVIEW_THRESHOLD = 3;
+
+const reportSchema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['SPAM', 'OFFENSIVE', 'IRRELEVANT', 'FAKE', 'OTHER'],
+        required: true
+    },
+    note: { type: String, trim: true, maxlength: 500 },
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Customer review of a product, tied to the delivered order line it was bought on
+const reviewSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: { type: String, required: true },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId // _id of the orderItems entry that was delivered
+    },
+    variantLabel: { type: String }, // e.g. "M / Blue", shown next to the review
+    // True when the review is linked to a delivered order line (legacy reviews may not be)
+    isVerifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Please add a rating'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+    },
+    title: { type: String, trim: true, maxlength: 120 },
+    comment: {
+        type: String,
+        required: [true, 'Please add a comment'],
+        trim: true,
+        maxlength: [5000, 'Reviews are limited to 5000 characters']
+    },
+    photos: {
+        type: [String],
+        validate: [photos => photos.length <= 5, 'Up to 5 photos per review']
+    },
+    photoVariants: [ImageAsset.imageSetSchema], // Resized renditions of the photos, matched by url
+
+    // Only PUBLISHED reviews are shown and counted in Product.rating / numReviews
+    status: {
+        type: String,
+        enum: ['PENDING', 'PUBLISHED', 'REJECTED'],
+        default: 'PENDING'
+    },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: { type: Date },
+    rejectionReason: { type: String },
+    // Helpful / not helpful votes from other customers
+    helpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    notHelpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    helpfulCount: { type: Number, default: 0 },
+    notHelpfulCount: { type: Number, default: 0 },
+    reports: [reportSchema],
+    reportCount: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true }); // One review per customer per product
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 }); // Public listing
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+reviewSchema.index({ status: 1, reportCount: -1, createdAt: 1 }); // Moderation queue
+
+reviewSchema.pre('save', async function () {
+    if (this.isModified('photos')) {
+        this.photoVariants = await ImageAsset.findSets(this.photos);
+    }
+});
+
+reviewSchema.statics.REPORT_REVIEW_THRESHOLD = REPORT_REVIEW_THRESHOLD;
+
+// Recalculate Product.rating / numReviews from published reviews only
+reviewSchema.statics.syncProductRating = async function (productId) {
+    const [summary] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'PUBLISHED' } },
+        { $group: { _id: null, rating: { $avg: '$rating' }, numReviews: { $sum: 1 } } }
+    ]);
+
+    const rating = summary ? summary.rating : 0;
+    const numReviews = summary ? summary.numReviews : 0;
+
+    // updateOne skips the product save hooks (ledger, approval history); only the summary changes
+    await mongoose.model('Product').updateOne({ _id: productId }, { rating, numReviews }, { timestamps: false });
+    return { rating, numReviews };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
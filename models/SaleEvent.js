@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Named, time-boxed markdown campaign. Prices are never rewritten: checkout and the catalog
+// work out the sale price while the event is running (see loadSalePricing in calculateOrderQuote).
+const saleEventSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    discountType: {
+        type: String,
+        enum: ['PERCENTAGE', 'FLAT'],
+        required: true
+    },
+    // Percent off, or an amount off, the list price
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // A product is on sale if it matches any target; categories include their subcategories
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }],
+    isActive: {
+        type: Boolean,
+        default: true // Switch an event off early without deleting it
+    },
+    showInBanner: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+saleEventSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+saleEventSchema.pre('validate', function () {
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'A sale must end after it starts');
+    }
+    if (this.discountType === 'PERCENTAGE' && this.discountValue >= 100) {
+        this.invalidate('discountValue', 'A percentage markdown must be below 100');
+    }
+    if (this.products.length === 0 && this.categories.length === 0 && this.sellers.length === 0) {
+        this.invalidate('products', 'Choose at least one product, category or seller for the sale');
+    }
+});
+
+// SCHEDULED, RUNNING, ENDED or DISABLED at the given moment
+saleEventSchema.methods.getStatus = function (now = new Date()) {
+    if (!this.isActive) return 'DISABLED';
+    if (now < this.startsAt) return 'SCHEDULED';
+    if (now >= this.endsAt) return 'ENDED';
+    return 'RUNNING';
+};
+
+saleEventSchema.statics.findRunning = function (now = new Date()) {
+    return this.find({ isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } });
+};
+
+module.exports = mongoose.model('SaleEvent', saleEventSchema);
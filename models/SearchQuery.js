@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One row per normalised search term, so merchandisers can see demand and the gaps in the catalog
+const searchQuerySchema = mongoose.Schema({
+    query: {
+        type: String,
+        required: true,
+        unique: true // Lower-cased, whitespace collapsed
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    zeroResultCount: {
+        type: Number,
+        default: 0
+    },
+    lastResultCount: {
+        type: Number,
+        default: 0
+    },
+    lastSearchedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+searchQuerySchema.index({ count: -1 }); // Popular searches
+searchQuerySchema.index({ zeroResultCount: -1 }); // Searches the catalog cannot answer
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
@@ -44,6 +44,12 @@ const settingSchema = mongoose.Schema({
     companyGST: { type: String, default: '22AAAAA0000A1Z5' },
     companyPAN: { type: String, default: 'AAAAA0000A' },
 
+    // Invoice series: <prefix>/<financial year>/<zero-padded sequence>, e.g. BFD/2026-27/000123
+    // Prefixes are the first part of 'PREFIX/FY/000123', which is split on '/' to release a number
+    invoicePrefix: { type: String, default: 'BFD', trim: true, match: [/^[^/]*$/, 'Invoice prefix cannot contain "/"'] },
+    invoiceNumberPadding: { type: Number, default: 6, min: 0 },
+    creditNotePrefix: { type: String, default: 'BFD-CN', trim: true, match: [/^[^/]*$/, 'Credit note prefix cannot contain "/"'] }, // Credit notes run a separate series
+
     // Finance Settings
     currency: { type: String, default: 'INR' },
 
@@ -75,7 +81,14 @@ const settingSchema = mongoose.Schema({
     tdsEnabled: { type: Boolean, default: false },
     tdsRate: { type: Number, default: 10, min: 0 },
     shippingCharge: { type: Number, default: 50, min: 0 },
-    freeShippingThreshold: { type: Number, default: 1000, min: 0 }
+    freeShippingThreshold: { type: Number, default: 1000, min: 0 },
+    isGiftWrapEnabled: { type: Boolean, default: true },
+    giftWrapCharge: { type: Number, default: 49, min: 0 }, // Flat add-on per gift-wrapped order
+
+    // Unpaid online orders hold their stock for this long before they are cancelled (0 = never expire)
+    paymentHoldMinutes: { type: Number, default: 30, min: 0 },
+    // How long before expiry the "complete your payment" reminder is sent (0 = no reminder)
+    paymentReminderMinutes: { type: Number, default: 10, min: 0 }
 }, {
     timestamps: true
 });
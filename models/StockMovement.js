@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Append-only inventory ledger: one entry per stock movement, never edited or removed.
+// Summing a product's entries gives the stock it should have (see utils/stockReconciliation).
+const stockMovementSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Variant whose stock moved; null for stock held on the product itself
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: { type: String },
+    reason: {
+        type: String,
+        enum: [
+            'OPENING_BALANCE',   // Stock on hand when the ledger was introduced
+            'INITIAL_STOCK',     // Product or variant created
+            'SALE',              // Reserved by a new order
+            'ORDER_ROLLBACK',    // Order creation failed after stock was reserved
+            'CANCELLATION',      // Order or line cancelled
+            'RETURN',            // Return approved with restock
+            'MANUAL_ADJUSTMENT', // Admin stock correction
+            'PRODUCT_UPDATE',    // Stock edited as part of a product update
+            'IMPORT'             // Bulk catalog import
+        ],
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true // Signed: negative takes stock out
+    },
+    balance: {
+        type: Number,
+        required: true // Stock of this variant (or product) after the movement
+    },
+    productBalance: {
+        type: Number // Product total after the movement
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Empty for system movements
+    },
+    note: { type: String }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// The ledger is history: entries can be added, never rewritten
+const rejectChange = function () {
+    throw new Error('Stock ledger entries cannot be changed or deleted');
+};
+stockMovementSchema.pre('save', function () {
+    if (!this.isNew) rejectChange();
+});
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+// Stock per ledger bucket: each variant, plus whatever is held on the product itself ('' key)
+stockMovementSchema.statics.stockBuckets = function (product) {
+    const variants = product.variants || [];
+    const buckets = { '': (product.countInStock || 0) - variants.reduce((acc, v) => acc + (v.countInStock || 0), 0) };
+    variants.forEach(v => { buckets[v._id.toString()] = v.countInStock || 0; });
+    return buckets;
+};
+
+/**
+ * Append a ledger entry for a stock change that has already been applied.
+ * A failed write is logged, not thrown: the stock has already moved, and reconciliation flags the gap.
+ *
+ * @param {Document|Object} product - Product as it is after the change
+ * @param {Object} movement - { variant, quantity, reason, order, returnRequest, actor, note }
+ */
+stockMovementSchema.statics.record = async function (product, { variant, quantity, reason, order, returnRequest, actor, note }) {
+    const variantDoc = variant ? (product.variants || []).find(v => v._id.equals(variant)) : null;
+    try {
+        // Written in the product's transaction when it was saved in one (see utils/productImport)
+        await this.create([{
+            product: product._id,
+            variant: variant || null,
+            sku: variantDoc?.sku,
+            reason,
+            quantity,
+            balance: variant ? (variantDoc?.countInStock ?? 0) : this.stockBuckets(product)[''],
+            productBalance: product.countInStock,
+            order,
+            returnRequest,
+            performedBy: actor?._id || actor,
+            note
+        }], { session: product.$session?.() || undefined });
+    } catch (error) {
+        console.error(`[Stock Ledger] Failed to record ${reason} of ${quantity} for product ${product._id}:`, error.message);
+    }
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
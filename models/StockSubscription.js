@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// "Notify me when back in stock" request for one product, variant or colour
+const stockSubscriptionSchema = mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null // Set for products sold in variants
+    },
+    color: {
+        type: String,
+        trim: true // Colour picked on a product without variants, for the email
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Empty for guests who only left an email
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: ['ACTIVE', 'NOTIFIED', 'UNSUBSCRIBED'],
+        default: 'ACTIVE'
+    },
+    // Secret for the one-click unsubscribe link in every email
+    unsubscribeToken: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomBytes(24).toString('hex')
+    },
+    notifiedAt: { type: Date },
+    // First order for this item placed after the notification (conversion tracking)
+    purchasedAt: { type: Date },
+    purchaseOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }
+}, {
+    timestamps: true
+});
+
+// One waiting subscription per person and item
+stockSubscriptionSchema.index(
+    { product: 1, variant: 1, color: 1, email: 1 },
+    { unique: true, partialFilterExpression: { status: 'ACTIVE' } }
+);
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+stockSubscriptionSchema.index({ email: 1, status: 1, notifiedAt: -1 });
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -1,6 +1,37 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Saved address book entry; snapshotted into Order.shippingAddress at checkout
+const addressSchema = mongoose.Schema({
+    label: {
+        type: String,
+        enum: ['Home', 'Work', 'Other'],
+        default: 'Home'
+    },
+    fullName: { type: String, required: true, trim: true },
+    phoneNumber: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^(\+91[\-\s]?)?[6-9]\d{9}$/, 'Please add a valid 10-digit mobile number']
+    },
+    street: { type: String, required: true, trim: true },
+    addressLine2: { type: String, default: '', trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    postalCode: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^[1-9]\d{5}$/, 'Please add a valid 6-digit pincode']
+    },
+    country: { type: String, default: 'India', trim: true },
+    isDefaultShipping: { type: Boolean, default: false },
+    isDefaultBilling: { type: Boolean, default: false }
+}, {
+    timestamps: true
+});
+
 const userSchema = mongoose.Schema({
     name: {
         type: String,
@@ -24,6 +55,7 @@ const userSchema = mongoose.Schema({
         country: { type: String, default: '' },
         phoneNumber: { type: String, default: '' }
     },
+    addresses: [addressSchema],
     isEmailVerified: {
         type: Boolean,
         default: false
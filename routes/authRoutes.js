@@ -32,6 +32,12 @@ const {
     createUser,
     getUserFullDetails
 } = require('../controllers/userController');
+const {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress
+} = require('../controllers/addressController');
 const { protect, admin, superAdmin, checkPermission } = require('../middleware/authMiddleware');
 const upload = require('../middleware/uploadMiddleware');
 
@@ -72,6 +78,14 @@ router.put('/update-phone', protect, updatePhone);  // Phone verification for Go
 router.get('/wishlist', protect, getWishlist);
 router.post('/wishlist/:id', protect, toggleWishlist);
 
+// Address book
+router.route('/addresses')
+    .get(protect, getAddresses)
+    .post(protect, addAddress);
+router.route('/addresses/:addressId')
+    .put(protect, updateAddress)
+    .delete(protect, deleteAddress);
+
 // =======================
 // ADMIN ROUTES (Strict RBAC: Super Admin Only for User Management)
 // =======================
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getBundles,
+    getAllBundles,
+    getBundleById,
+    createBundle,
+    updateBundle,
+    deleteBundle
+} = require('../controllers/bundleController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+router.route('/')
+    .get(getBundles)
+    .post(protect, admin, createBundle);
+
+router.get('/all', protect, admin, getAllBundles);
+
+router.route('/:id')
+    .get(getBundleById)
+    .put(protect, admin, updateBundle)
+    .delete(protect, admin, deleteBundle);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const {
     getCategories,
+    getCategoryTree,
+    getCategory,
     createCategory,
     updateCategory,
     deleteCategory
@@ -12,7 +14,10 @@ router.route('/')
     .get(protect, getCategories)
     .post(protect, superAdmin, createCategory);
 
+router.get('/tree', getCategoryTree);
+
 router.route('/:id')
+    .get(getCategory)
     .put(protect, superAdmin, updateCategory)
     .delete(protect, superAdmin, deleteCategory);
 
@@ -6,6 +6,7 @@ const {
     addFinancialRecord,
     deleteFinancialRecord
 } = require('../controllers/financialController');
+const { getCreditNotes } = require('../controllers/creditNoteController');
 const { protect, admin, finance, checkPermission } = require('../middleware/authMiddleware');
 
 const hasFinanceAccess = (req, res, next) => {
@@ -27,6 +28,9 @@ router.route('/')
 router.route('/stats')
     .get(protect, hasFinanceAccess, getFinancialStats);
 
+router.route('/credit-notes')
+    .get(protect, hasFinanceAccess, getCreditNotes);
+
 router.route('/:id')
     .delete(protect, hasFinanceAccess, deleteFinancialRecord);
 
@@ -2,24 +2,32 @@ const express = require('express');
 const router = express.Router();
 const {
     addOrderItems,
+    getOrderQuote,
     getOrderById,
     updateOrderToPaid,
     getMyOrders,
     createPaymentIntent,
     getOrders,
     updateOrderToDelivered,
+    markCodOrderPaid,
     cancelOrder,
+    cancelOrderItem,
     getOrderByInvoiceNumber,
     updateOrderEstimatedDelivery,
     updateOrderStatus,
+    updateSubOrderStatus,
     getOrderAuditLogs,
     updateOrdersStatusBulk,
     getOrderStats,
-    getOrderInvoice
+    getOrderInvoice,
+    getSubOrderInvoice,
+    getSubOrderPackingSlip
 } = require('../controllers/orderController');
+const { getOrderCreditNotes, downloadCreditNote } = require('../controllers/creditNoteController');
 const { protect, admin, checkPermission } = require('../middleware/authMiddleware');
 
 router.route('/').post(protect, addOrderItems).get(protect, checkPermission('orders'), getOrders);
+router.route('/quote').post(protect, getOrderQuote);
 router.route('/myorders').get(protect, getMyOrders);
 router.route('/bulk-status').post(protect, checkPermission('orders'), updateOrdersStatusBulk);
 router.route('/create-payment-intent').post(protect, createPaymentIntent);
@@ -28,10 +36,17 @@ router.route('/analytics/stats').get(protect, admin, getOrderStats);
 router.route('/:id').get(protect, getOrderById);
 router.route('/:id/invoice').get(protect, getOrderInvoice);
 router.route('/:id/pay').put(protect, updateOrderToPaid);
+router.route('/:id/cod-payment').put(protect, checkPermission('orders'), markCodOrderPaid);
 router.route('/:id/deliver').put(protect, checkPermission('orders'), updateOrderToDelivered);
 router.route('/:id/delivery-date').put(protect, checkPermission('orders'), updateOrderEstimatedDelivery);
 router.route('/:id/cancel').put(protect, checkPermission('orders'), cancelOrder);
+router.route('/:id/items/:itemId/cancel').put(protect, cancelOrderItem);
 router.route('/:id/status').put(protect, checkPermission('orders'), updateOrderStatus);
+router.route('/:id/sub-orders/:subOrderId/status').put(protect, checkPermission('orders'), updateSubOrderStatus);
+router.route('/:id/sub-orders/:subOrderId/invoice').get(protect, getSubOrderInvoice);
+router.route('/:id/sub-orders/:subOrderId/packing-slip').get(protect, checkPermission('orders'), getSubOrderPackingSlip);
+router.route('/:id/credit-notes').get(protect, getOrderCreditNotes);
+router.route('/:id/credit-notes/:creditNoteId/pdf').get(protect, downloadCreditNote);
 router.route('/:id/audit').get(protect, checkPermission('orders'), getOrderAuditLogs);
 
 module.exports = router;
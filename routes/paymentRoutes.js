@@ -20,6 +20,6 @@ router.get('/cashfree/status/:orderId', protect, getPaymentStatus);
 
 // Webhooks (Public)
 router.post('/cashfree/webhook', cashfreeWebhook);
-router.post('/instamojo/webhook', instamojoWebhook);
+router.post('/instamojo/webhook', express.urlencoded({ extended: false }), instamojoWebhook); // Instamojo posts form data
 
 module.exports = router;
@@ -9,8 +9,22 @@ const {
     unblockProduct,
     requestProductChanges,
     getProductReviewStats,
-    bulkApproveProducts
+    bulkApproveProducts,
+    getEditProposals,
+    getEditProposalById,
+    approveEditProposal,
+    rejectEditProposal
 } = require('../controllers/productReviewController');
+const {
+    getReviewsForModeration,
+    approveReview,
+    rejectReview
+} = require('../controllers/reviewController');
+const {
+    getAnswersForModeration,
+    approveAnswer,
+    rejectAnswer
+} = require('../controllers/productQuestionController');
 const { protect, admin, superAdmin } = require('../middleware/authMiddleware');
 
 // All routes require admin or super admin
@@ -19,6 +33,22 @@ router.use(protect);
 // Stats
 router.get('/stats', admin, getProductReviewStats);
 
+// Seller edit proposals for live products (registered before /:id)
+router.get('/proposals', admin, getEditProposals);
+router.get('/proposals/:proposalId', admin, getEditProposalById);
+router.put('/proposals/:proposalId/approve', admin, approveEditProposal);
+router.put('/proposals/:proposalId/reject', admin, rejectEditProposal);
+
+// Customer review moderation queue
+router.get('/customer-reviews', admin, getReviewsForModeration);
+router.put('/customer-reviews/:reviewId/approve', admin, approveReview);
+router.put('/customer-reviews/:reviewId/reject', admin, rejectReview);
+
+// Q&A answer moderation queue
+router.get('/answers', admin, getAnswersForModeration);
+router.put('/answers/:answerId/approve', admin, approveAnswer);
+router.put('/answers/:answerId/reject', admin, rejectAnswer);
+
 // List and Details (Admin can view)
 router.get('/', admin, getProductsForReview);
 router.get('/:id', admin, getProductReviewById);
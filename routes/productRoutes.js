@@ -2,32 +2,71 @@ const express = require('express');
 const router = express.Router();
 const {
     getProducts,
+    searchProducts,
+    suggestProducts,
     getProductById,
     createProduct,
     deleteProduct,
     updateProduct,
     getTopProducts,
-    createProductReview,
     updateStockManual,
-    getRelatedProducts
+    getStockHistory,
+    subscribeBackInStock,
+    unsubscribeBackInStock,
+    getRelatedProducts,
+    getFrequentlyBoughtTogether,
+    importProducts
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const {
+    getProductReviews,
+    createProductReview,
+    voteReview,
+    reportReview
+} = require('../controllers/reviewController');
+const {
+    getProductQuestions,
+    askProductQuestion,
+    answerProductQuestion,
+    upvoteAnswer,
+    removeAnswerUpvote
+} = require('../controllers/productQuestionController');
+const { protect, optionalProtect, admin } = require('../middleware/authMiddleware');
+const { importFile, reviewPhotos } = require('../middleware/uploadMiddleware');
 
 router.route('/')
     .get(protect, getProducts)
     .post(protect, admin, createProduct);
 
+router.post('/import', protect, admin, importFile, importProducts);
+
 router.get('/public', getProducts);
+router.get('/search', searchProducts);
+router.get('/suggest', suggestProducts);
 
 router.get('/top', getTopProducts);
+router.get('/notify-me/unsubscribe/:token', unsubscribeBackInStock);
+router.post('/reviews/:reviewId/vote', protect, voteReview);
+router.post('/reviews/:reviewId/report', protect, reportReview);
+router.post('/questions/:questionId/answers', protect, answerProductQuestion);
+router.route('/questions/answers/:answerId/upvote')
+    .post(protect, upvoteAnswer)
+    .delete(protect, removeAnswerUpvote);
 router
     .route('/:id')
     .get(getProductById)
     .delete(protect, admin, deleteProduct)
     .put(protect, admin, updateProduct);
 
-router.route('/:id/reviews').post(protect, createProductReview);
+router.route('/:id/reviews')
+    .get(optionalProtect, getProductReviews)
+    .post(protect, reviewPhotos, createProductReview);
+router.route('/:id/questions')
+    .get(optionalProtect, getProductQuestions)
+    .post(protect, askProductQuestion);
 router.route('/:id/stock').patch(protect, admin, updateStockManual);
+router.route('/:id/stock-history').get(protect, admin, getStockHistory);
 router.get('/:id/related', getRelatedProducts);
+router.get('/:id/bought-together', getFrequentlyBoughtTogether);
+router.post('/:id/notify-me', optionalProtect, subscribeBackInStock);
 
 module.exports = router;
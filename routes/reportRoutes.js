@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const {
     getDashboardStats,
+    getSearchQueryReport,
+    getStockReconciliationReport,
+    runStockReconciliation,
+    runRecommendations,
+    getLowStockReport,
+    getBackInStockReport,
     downloadSalesReport,
     downloadComplaintReport,
     downloadOrderReport,
@@ -12,6 +18,13 @@ const {
 const { protect, admin } = require('../middleware/authMiddleware');
 
 router.route('/dashboard').get(protect, admin, getDashboardStats);
+router.route('/search-queries').get(protect, admin, getSearchQueryReport);
+router.route('/stock-reconciliation')
+    .get(protect, admin, getStockReconciliationReport)
+    .post(protect, admin, runStockReconciliation);
+router.route('/recommendations').post(protect, admin, runRecommendations);
+router.route('/low-stock').get(protect, admin, getLowStockReport);
+router.route('/back-in-stock').get(protect, admin, getBackInStockReport);
 router.route('/sales/download').get(protect, admin, downloadSalesReport);
 router.route('/complaints/download').get(protect, admin, downloadComplaintReport);
 router.route('/orders/download').get(protect, admin, downloadOrderReport);
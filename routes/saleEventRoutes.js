@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createSaleEvent,
+    getSaleEvents,
+    getActiveSaleEvents,
+    getSaleEventById,
+    updateSaleEvent,
+    deleteSaleEvent
+} = require('../controllers/saleEventController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+router.route('/')
+    .post(protect, admin, createSaleEvent)
+    .get(protect, admin, getSaleEvents);
+
+router.get('/active', getActiveSaleEvents);
+
+router.route('/:id')
+    .get(protect, admin, getSaleEventById)
+    .put(protect, admin, updateSaleEvent)
+    .delete(protect, admin, deleteSaleEvent);
+
+module.exports = router;
@@ -10,12 +10,20 @@ const {
     getSellerDashboardStats,
     getSellerProducts,
     createSellerProduct,
+    importSellerProducts,
     updateSellerProduct,
     submitProductForReview,
+    proposeProductEdit,
+    getProductEditProposals,
+    withdrawProductEditProposal,
     deleteSellerProduct,
-    getSellerOrders
+    getSellerOrders,
+    updateSellerSubOrderStatus
 } = require('../controllers/sellerController');
+const { getStockHistory } = require('../controllers/productController');
+const { getSellerQuestions } = require('../controllers/productQuestionController');
 const { protect, seller, approvedSeller, verifySellerOwnership } = require('../middleware/authMiddleware');
+const { importFile } = require('../middleware/uploadMiddleware');
 
 // All routes require authentication
 router.use(protect);
@@ -36,11 +44,22 @@ router.get('/dashboard/stats', seller, getSellerDashboardStats);
 // Products (requires approved seller)
 router.get('/products', seller, getSellerProducts);
 router.post('/products', approvedSeller, createSellerProduct);
+router.post('/products/import', approvedSeller, importFile, importSellerProducts);
 router.put('/products/:id', verifySellerOwnership('product'), updateSellerProduct);
 router.post('/products/:id/submit', verifySellerOwnership('product'), submitProductForReview);
+router.get('/products/:id/stock-history', verifySellerOwnership('product'), getStockHistory);
 router.delete('/products/:id', verifySellerOwnership('product'), deleteSellerProduct);
 
+// Edit proposals for live products
+router.post('/products/:id/proposals', verifySellerOwnership('product'), proposeProductEdit);
+router.get('/products/:id/proposals', verifySellerOwnership('product'), getProductEditProposals);
+router.delete('/products/:id/proposals/:proposalId', verifySellerOwnership('product'), withdrawProductEditProposal);
+
+// Customer questions on the seller's products
+router.get('/questions', seller, getSellerQuestions);
+
 // Orders
 router.get('/orders', seller, getSellerOrders);
+router.put('/orders/:id/sub-orders/:subOrderId/status', seller, updateSellerSubOrderStatus);
 
 module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/uploadMiddleware');
+const { processedImages, processUploadedImages } = upload;
+const { protect, admin, seller } = require('../middleware/authMiddleware');
+
+// Images come back as their processed rendition (metadata stripped); other files as uploaded
+const fileUrl = (file) => file.image ? file.image.url : `/uploads/${file.filename}`;
 
 // Single file upload with error handling
-router.post('/', (req, res) => {
+router.post('/', (req, res, next) => {
     upload.single('file')(req, res, (err) => {
         if (err) {
             console.error('[UPLOAD ERROR]', err.message);
@@ -12,18 +17,33 @@ router.post('/', (req, res) => {
         if (!req.file) {
             return res.status(400).json({ message: 'No file uploaded' });
         }
-        console.log('[UPLOAD SUCCESS]', req.file.filename);
-        res.json({ url: `/uploads/${req.file.filename}` });
+        processUploadedImages(req, res, (error) => {
+            if (error) return next(error);
+            console.log('[UPLOAD SUCCESS]', req.file.filename);
+            res.json({ url: fileUrl(req.file) });
+        });
     });
 });
 
-router.post('/multiple', upload.array('files', 5), (req, res) => {
+router.post('/multiple', upload.array('files', 5), processUploadedImages, (req, res) => {
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ message: 'No files uploaded' });
     }
-    const filePaths = req.files.map(file => `/uploads/${file.filename}`);
+    const filePaths = req.files.map(fileUrl);
     res.json({ urls: filePaths });
 });
 
-module.exports = router;
+// Product, category and review images: resized variants (thumbnail, listing, zoom) in AVIF/WebP/JPEG,
+// metadata stripped. `urls` go in Product.images / Category.image; the variant sets are picked up on save.
+const sendImages = (req, res) => {
+    if (!req.images || req.images.length === 0) {
+        return res.status(400).json({ message: 'No images uploaded' });
+    }
+    res.json({ urls: req.images.map(image => image.url), images: req.images });
+};
 
+router.post('/images/product', protect, seller, processedImages('PRODUCT', 'images', 10), sendImages);
+router.post('/images/category', protect, admin, processedImages('CATEGORY', 'images', 10), sendImages);
+router.post('/images/review', protect, processedImages('REVIEW', 'images', 5), sendImages);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Product = require('./models/Product');
+const Category = require('./models/Category');
 const User = require('./models/User');
 const connectDB = require('./config/db');
 
@@ -118,8 +119,20 @@ const importData = async () => {
 
         const adminUserId = adminUser._id;
 
+        // Products reference categories by id; create any the sample data needs
+        const categoryIds = {};
+        for (const name of [...new Set(products.map(product => product.category))]) {
+            const slug = Category.slugify(name);
+            const category = await Category.findOneAndUpdate(
+                { slug },
+                { $setOnInsert: { name: name.charAt(0).toUpperCase() + name.slice(1), slug, parent: null, ancestors: [] } },
+                { upsert: true, new: true }
+            );
+            categoryIds[name] = category._id;
+        }
+
         const sampleProducts = products.map(product => {
-            return { ...product, user: adminUserId };
+            return { ...product, category: categoryIds[product.category], user: adminUserId };
         });
 
         await Product.insertMany(sampleProducts);
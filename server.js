@@ -139,6 +139,8 @@ app.use('/api/chat', require('./routes/chatRoutes'));
 
 app.use('/api/complaints', require('./routes/complaintRoutes'));
 app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/sale-events', require('./routes/saleEventRoutes'));
+app.use('/api/bundles', require('./routes/bundleRoutes'));
 app.use('/api/contact', require('./routes/contactRoutes'));
 app.use('/api/settings', require('./routes/settingsRoutes'));
 app.use('/api/sellers', require('./routes/sellerRoutes'));
@@ -168,6 +170,15 @@ const PORT = process.env.PORT || 5001;
 const startServer = async () => {
     await connectDB(); // ⬅️ if this fails, server will NOT start
 
+    // Cancel unpaid online orders once their payment hold runs out
+    require('./utils/expireUnpaidOrders').startPaymentHoldJob();
+
+    // Flag products whose stock no longer matches the stock ledger
+    require('./utils/stockReconciliation').startStockReconciliationJob();
+
+    // Rebuild "bought together", "also viewed" and top-seller rankings
+    require('./utils/recommendations').startRecommendationJob();
+
     server.listen(PORT, () => {
         console.log(
             `🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`
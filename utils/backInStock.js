@@ -0,0 +1,126 @@
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
+const sendEmail = require('./sendEmail');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:5001';
+
+// Emails go out in batches with a pause between them, so a popular restock does not flood the mail provider
+const BATCH_SIZE = 50;
+const BATCH_PAUSE_MS = 2000;
+
+// An order counts as a conversion if it comes within this many days of the email
+const CONVERSION_WINDOW_DAYS = 14;
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Is the subscribed item buyable right now?
+const isAvailable = (product, subscription) => {
+    if (product.isStockEnabled === false) return true;
+    if (!subscription.variant) return product.countInStock > 0;
+    const variant = product.findVariant({ variant: subscription.variant });
+    return Boolean(variant && variant.countInStock > 0);
+};
+
+const sendBackInStockEmail = async (product, subscription) => {
+    const variant = subscription.variant ? product.variants.id(subscription.variant) : null;
+    const label = [variant?.size, variant ? variant.color : subscription.color].filter(Boolean).join(' / ');
+    const itemName = `${product.name}${label ? ` (${label})` : ''}`;
+
+    await sendEmail({
+        to: subscription.email,
+        subject: `Back in Stock: ${itemName}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Good news, it's back!</h2>
+                <p><strong>${itemName}</strong> is back in stock. Popular items can sell out again quickly.</p>
+                <div style="margin: 20px 0;">
+                    <a href="${FRONTEND_URL}/product/${product._id}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Shop Now</a>
+                </div>
+                <p style="font-size: 12px; color: #6B7280;">You asked us to tell you when this item was available.
+                    <a href="${BACKEND_URL}/api/products/notify-me/unsubscribe/${subscription.unsubscribeToken}">Unsubscribe</a></p>
+            </div>
+        `
+    });
+};
+
+/**
+ * Email everyone waiting on a product whose item is now available, in batches.
+ * Each subscription is claimed (ACTIVE -> NOTIFIED) before its email is sent, so overlapping
+ * restocks never email anyone twice. Subscribers to items still out of stock keep waiting.
+ *
+ * @param {ObjectId|String} productId - Product that was just restocked
+ * @returns {Promise<Object>} { notified, failed }
+ */
+const notifyBackInStock = async (productId) => {
+    const result = { notified: 0, failed: 0 };
+
+    const product = await Product.findById(productId);
+    if (!product || product.isDeleted || product.isLive === false || product.listingStatus !== 'APPROVED') return result;
+
+    const waiting = await StockSubscription.find({ product: product._id, status: 'ACTIVE' })
+        .sort({ createdAt: 1 }) // First come, first told
+        .select('_id variant');
+    const due = waiting.filter(subscription => isAvailable(product, subscription));
+
+    for (let start = 0; start < due.length; start += BATCH_SIZE) {
+        if (start > 0) await pause(BATCH_PAUSE_MS);
+
+        for (const { _id } of due.slice(start, start + BATCH_SIZE)) {
+            const subscription = await StockSubscription.findOneAndUpdate(
+                { _id, status: 'ACTIVE' },
+                { status: 'NOTIFIED', notifiedAt: new Date() },
+                { new: true }
+            );
+            if (!subscription) continue; // Unsubscribed or claimed by another run
+
+            try {
+                await sendBackInStockEmail(product, subscription);
+                result.notified++;
+            } catch (error) {
+                console.error(`[Back In Stock] Email to ${subscription.email} failed:`, error.message);
+                result.failed++;
+            }
+        }
+    }
+
+    if (result.notified || result.failed) {
+        console.log(`[Back In Stock] ${product.name}: notified ${result.notified}, failed ${result.failed}`);
+    }
+    return result;
+};
+
+// Fire-and-forget wrapper for request handlers: the restock response never waits on emails
+const queueBackInStock = (productId) => {
+    notifyBackInStock(productId).catch(error => console.error('[Back In Stock] Notification run failed:', error.message));
+};
+
+/**
+ * Mark notified subscriptions as converted when the subscriber orders the item within the window.
+ *
+ * @param {Document} order - Newly placed order
+ * @param {Object} user - Buyer ({ _id, email })
+ */
+const recordBackInStockPurchases = async (order, user) => {
+    const since = new Date(Date.now() - CONVERSION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const buyer = [{ user: user._id }, ...(user.email ? [{ email: user.email.toLowerCase() }] : [])];
+
+    for (const item of order.orderItems) {
+        await StockSubscription.updateMany(
+            {
+                product: item.product,
+                ...(item.variant ? { variant: item.variant } : {}),
+                status: 'NOTIFIED',
+                notifiedAt: { $gte: since },
+                purchasedAt: { $exists: false },
+                $or: buyer
+            },
+            { purchasedAt: new Date(), purchaseOrder: order._id }
+        );
+    }
+};
+
+module.exports = notifyBackInStock;
+module.exports.queueBackInStock = queueBackInStock;
+module.exports.recordBackInStockPurchases = recordBackInStockPurchases;
+module.exports.isAvailable = isAvailable;
@@ -0,0 +1,110 @@
+const Seller = require('../models/Seller');
+const { roundPrice } = require('./calculateOrderQuote');
+
+// Split an amount across groups in proportion to their weights.
+// The last group absorbs the rounding remainder so the parts always add up to the whole.
+const allocate = (amount, weights) => {
+    const totalWeight = weights.reduce((acc, w) => acc + w, 0);
+    let remaining = roundPrice(amount);
+
+    return weights.map((weight, index) => {
+        if (index === weights.length - 1) return roundPrice(remaining);
+        const share = totalWeight > 0 ? roundPrice(amount * weight / totalWeight) : 0;
+        remaining -= share;
+        return share;
+    });
+};
+
+/**
+ * Group an order's items into per-seller fulfilment groups (sub-orders).
+ * Discount, tax, shipping and gift wrap are allocated in proportion to each group's items subtotal,
+ * and seller commission is charged on the discounted subtotal.
+ *
+ * Call on an unsaved Order document so the orderItems already carry their _ids.
+ *
+ * @param {Document} order - Order document with priced orderItems
+ * @returns {Promise<Array>} Sub-order objects ready to assign to order.subOrders
+ */
+const buildSubOrders = async (order) => {
+    const groups = new Map();
+
+    order.orderItems.forEach(item => {
+        const key = item.seller ? item.seller.toString() : 'PLATFORM';
+        if (!groups.has(key)) {
+            groups.set(key, { seller: item.seller || null, items: [], itemsPrice: 0 });
+        }
+        const group = groups.get(key);
+        group.items.push(item._id);
+        group.itemsPrice = roundPrice(group.itemsPrice + item.price * item.qty);
+    });
+
+    const sellerIds = [...groups.values()].filter(g => g.seller).map(g => g.seller);
+    const sellers = await Seller.find({ _id: { $in: sellerIds } }).select('commissionPercentage');
+    const commissionMap = {};
+    sellers.forEach(s => commissionMap[s._id.toString()] = s.commissionPercentage || 0);
+
+    const groupList = [...groups.values()];
+    const weights = groupList.map(g => g.itemsPrice);
+    const discounts = allocate(order.discountAmount || 0, weights);
+    const taxes = allocate(order.taxPrice || 0, weights);
+    const shipping = allocate(order.shippingPrice || 0, weights);
+    const giftWrap = allocate(order.giftWrapPrice || 0, weights);
+
+    return groupList.map((group, index) => {
+        const commissionRate = group.seller ? (commissionMap[group.seller.toString()] || 0) : 0;
+        const netItemsPrice = roundPrice(group.itemsPrice - discounts[index]);
+
+        return {
+            seller: group.seller,
+            items: group.items,
+            status: order.status || 'CREATED',
+            itemsPrice: group.itemsPrice,
+            discountAmount: discounts[index],
+            taxPrice: taxes[index],
+            shippingPrice: shipping[index],
+            giftWrapPrice: giftWrap[index],
+            totalPrice: roundPrice(netItemsPrice + taxes[index] + shipping[index] + giftWrap[index]),
+            commissionRate,
+            commissionAmount: roundPrice(netItemsPrice * commissionRate / 100)
+        };
+    });
+};
+
+/**
+ * Re-spread the parent order's current discount, tax, shipping and gift wrap over its existing sub-orders,
+ * e.g. after lines were cancelled. Statuses, couriers and invoice numbers are left untouched.
+ *
+ * @param {Document} order - Order document with subOrders
+ */
+const reallocateSubOrderPricing = (order) => {
+    if (!order.subOrders || order.subOrders.length === 0) return;
+
+    const itemMap = {};
+    order.orderItems.forEach(item => itemMap[item._id.toString()] = item);
+
+    const weights = order.subOrders.map(subOrder => roundPrice(subOrder.items.reduce((acc, id) => {
+        const item = itemMap[id.toString()];
+        return item ? acc + item.price * item.qty : acc;
+    }, 0)));
+
+    const discounts = allocate(order.discountAmount || 0, weights);
+    const taxes = allocate(order.taxPrice || 0, weights);
+    // Shipping and gift wrap stay with the shipments that still have something to ship
+    const shipping = allocate(order.shippingPrice || 0, weights.map(w => w > 0 ? 1 : 0));
+    const giftWrap = allocate(order.giftWrapPrice || 0, weights);
+
+    order.subOrders.forEach((subOrder, index) => {
+        const netItemsPrice = roundPrice(weights[index] - discounts[index]);
+        subOrder.itemsPrice = weights[index];
+        subOrder.discountAmount = discounts[index];
+        subOrder.taxPrice = taxes[index];
+        subOrder.shippingPrice = shipping[index];
+        subOrder.giftWrapPrice = giftWrap[index];
+        subOrder.totalPrice = roundPrice(netItemsPrice + taxes[index] + shipping[index] + giftWrap[index]);
+        subOrder.commissionAmount = roundPrice(netItemsPrice * subOrder.commissionRate / 100);
+    });
+};
+
+module.exports = buildSubOrders;
+module.exports.allocate = allocate;
+module.exports.reallocateSubOrderPricing = reallocateSubOrderPricing;
@@ -0,0 +1,428 @@
+const Product = require('../models/Product');
+const Setting = require('../models/Setting');
+const Coupon = require('../models/Coupon');
+const SaleEvent = require('../models/SaleEvent');
+const Category = require('../models/Category');
+const Bundle = require('../models/Bundle');
+const mongoose = require('mongoose');
+
+// Round currency values to 2 decimals to avoid floating point drift (e.g. 10.000000001)
+const roundPrice = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Errors raised here carry a statusCode so controllers can map them onto the response
+const quoteError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Only live, approved listings can be bought; drafts, listings under review and rejected or paused ones cannot
+const isPurchasable = (product) =>
+    Boolean(product) && !product.isDeleted && product.isLive !== false && product.listingStatus === 'APPROVED';
+
+// A discountPrice is only honoured when it is a real markdown below the list price
+const getUnitPrice = (product) => {
+    if (product.discountPrice > 0 && product.discountPrice < product.price) {
+        return product.discountPrice;
+    }
+    return product.price;
+};
+
+// A variant's own price overrides the product's; the product markdown only applies at the product price
+const getVariantPricing = (product, variant) => {
+    if (variant?.price !== null && variant?.price !== undefined) {
+        return { price: variant.price, discountPrice: variant.discountPrice || 0 };
+    }
+    return { price: product.price, discountPrice: variant?.discountPrice ?? product.discountPrice };
+};
+
+// Running sale events with what they apply to; categories are expanded to their subtrees
+const loadSaleTargets = async (settings) => {
+    const storeSettings = settings === undefined ? await Setting.findOne() : settings;
+    const events = storeSettings && storeSettings.isSpecialOffersEnabled === false ? [] : await SaleEvent.findRunning();
+
+    return Promise.all(events.map(async event => ({
+        event,
+        products: event.products,
+        categories: await Category.getSubtreeIds(event.categories),
+        sellers: event.sellers
+    })));
+};
+
+// Aggregation counterpart of roundPrice (round half up to 2 decimals; $round rounds half to even)
+const roundPriceExpression = (value) => ({ $divide: [{ $floor: { $add: [{ $multiply: [value, 100] }, 0.5] } }, 100] });
+
+// Aggregation counterpart of getUnitPrice
+const UNIT_PRICE_EXPRESSION = {
+    $cond: [
+        { $and: [{ $gt: ['$discountPrice', 0] }, { $lt: ['$discountPrice', '$price'] }] },
+        '$discountPrice',
+        '$price'
+    ]
+};
+
+/**
+ * Aggregation expression for the product-level price a customer pays right now, running sale events
+ * included, so catalog filters and sorting agree with the prices loadSalePricing shows.
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.settings] - Store settings, when the caller already loaded them
+ * @returns {Promise<Object>} Expression for $addFields / $project on Product documents
+ */
+const loadSalePriceExpression = async ({ settings } = {}) => {
+    const targets = await loadSaleTargets(settings);
+
+    const salePrices = targets.map(({ event, products, categories, sellers }) => {
+        const salePrice = roundPriceExpression(event.discountType === 'PERCENTAGE'
+            ? { $multiply: ['$price', 1 - event.discountValue / 100] }
+            : { $subtract: ['$price', event.discountValue] });
+        const applies = {
+            $or: [
+                { $in: ['$_id', products] },
+                { $in: ['$category', categories] },
+                { $in: ['$seller', sellers] }
+            ]
+        };
+        // Events that do not apply, or would give the item away, fall back to the regular price
+        return { $cond: [{ $and: [applies, { $gt: [salePrice, 0] }] }, salePrice, UNIT_PRICE_EXPRESSION] };
+    });
+
+    return salePrices.length > 0 ? { $min: [UNIT_PRICE_EXPRESSION, ...salePrices] } : UNIT_PRICE_EXPRESSION;
+};
+
+/**
+ * Pricing with running sale events applied.
+ * Loads the events live right now once, then prices any number of products against them.
+ * A sale only ever lowers a price: the best of the regular markdown and every matching event wins.
+ * With special offers switched off in settings, regular pricing is returned untouched.
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.settings] - Store settings, when the caller already loaded them
+ * @returns {Promise<Function>} (product, variant) => { price, discountPrice, saleEvent }
+ */
+const loadSalePricing = async ({ settings } = {}) => {
+    const targets = (await loadSaleTargets(settings)).map(({ event, products, categories, sellers }) => ({
+        event,
+        products: new Set(products.map(String)),
+        categories: new Set(categories.map(String)),
+        sellers: new Set(sellers.map(String))
+    }));
+
+    return (product, variant) => {
+        const pricing = getVariantPricing(product, variant);
+        let best = { ...pricing, saleEvent: null };
+
+        const categoryId = String(product.category?._id || product.category);
+        const sellerId = String(product.seller?._id || product.seller);
+        targets.forEach(({ event, products, categories, sellers }) => {
+            if (!products.has(String(product._id)) && !categories.has(categoryId) && !sellers.has(sellerId)) return;
+
+            const salePrice = roundPrice(event.discountType === 'PERCENTAGE'
+                ? pricing.price * (1 - event.discountValue / 100)
+                : pricing.price - event.discountValue);
+            // A flat markdown at or above the price would give the item away; getUnitPrice ignores it
+            if (salePrice > 0 && salePrice < getUnitPrice(best)) {
+                best = { price: pricing.price, discountPrice: salePrice, saleEvent: event };
+            }
+        });
+
+        return best;
+    };
+};
+
+/**
+ * Price one set of a bundle from its components.
+ * Each component is priced as it sells on its own (sale events included). The set sells at the bundle
+ * price, or the components' own total if that is lower, and the set price is shared across the
+ * components in proportion to their own prices, so every order line carries a fair share for
+ * invoices and per-item refunds.
+ *
+ * @param {Document} bundle - Bundle to price
+ * @param {Array} selections - [{ product, variant, size, color }] picks for components sold by size/colour
+ * @param {Object} productMap - product id -> Product document for every component
+ * @param {Function} priceFor - Pricing from loadSalePricing
+ * @param {Object} [options]
+ * @param {Boolean} [options.preview] - Price components with no pick at the product level instead of failing (catalog display)
+ * @returns {Object} { components: [{ product, variant, quantity, regularPrice, price }], regularPrice, price, countInStock }
+ *   where prices are per unit for components and per set for the bundle, and countInStock is whole sets available
+ */
+const priceBundle = (bundle, selections, productMap, priceFor, { preview = false } = {}) => {
+    if (!bundle || !bundle.isActive) {
+        throw quoteError(`Bundle not available: ${bundle?.name || 'unknown bundle'}`, 404);
+    }
+
+    const components = bundle.items.map(item => {
+        const product = productMap[String(item.product?._id || item.product)];
+        if (!isPurchasable(product)) {
+            throw quoteError(`${bundle.name} is no longer available`, 404);
+        }
+
+        const selection = [].concat(selections || []).find(s => String(s.product) === String(product._id)) || {};
+        const variant = item.variant ? product.findVariant({ variant: item.variant }) : product.findVariant(selection);
+        if (product.variants.length > 0 && !variant && !(preview && !item.variant)) {
+            throw quoteError(`Please choose an available size and colour for ${product.name} in ${bundle.name}`);
+        }
+
+        return {
+            product,
+            variant,
+            quantity: item.quantity,
+            regularPrice: roundPrice(getUnitPrice(priceFor(product, variant))),
+            countInStock: variant ? variant.countInStock : product.countInStock
+        };
+    });
+
+    const regularPrice = roundPrice(components.reduce((acc, c) => acc + c.regularPrice * c.quantity, 0));
+    const price = bundle.pricingType === 'FIXED'
+        ? Math.min(roundPrice(bundle.price), regularPrice)
+        : roundPrice(regularPrice * (1 - bundle.discountPercentage / 100));
+
+    const ratio = regularPrice > 0 ? price / regularPrice : 0;
+    components.forEach(c => { c.price = roundPrice(c.regularPrice * ratio); });
+
+    // Move the rounding remainder onto unit prices so the lines add up to the set price exactly. Every
+    // line total is a multiple of its quantity, so the remainder goes to a component whose quantity
+    // divides it, or is spread across components in whole-unit steps.
+    const linesTotal = () => roundPrice(components.reduce((acc, c) => acc + c.price * c.quantity, 0));
+    let remainderPaise = Math.round((price - linesTotal()) * 100);
+    const absorber = components.find(c => remainderPaise % c.quantity === 0 && c.price * 100 + remainderPaise / c.quantity >= 0);
+    if (absorber) {
+        absorber.price = roundPrice(absorber.price + remainderPaise / absorber.quantity / 100);
+    } else {
+        [...components].sort((a, b) => b.quantity - a.quantity).forEach(c => {
+            const step = Math.trunc(remainderPaise / c.quantity);
+            if (step === 0 || c.price * 100 + step < 0) return;
+            c.price = roundPrice(c.price + step / 100);
+            remainderPaise -= step * c.quantity;
+        });
+        // Lines still above the set price drop one more step, never charging more than advertised
+        const smallest = components.reduce((min, c) => c.quantity < min.quantity ? c : min, components[0]);
+        if (remainderPaise < 0 && smallest.price * 100 >= smallest.quantity) {
+            smallest.price = roundPrice(smallest.price - Math.ceil(-remainderPaise / smallest.quantity) / 100);
+        }
+    }
+    // The few paise the quantities cannot carry come off the set price, so cart, order and invoice still agree
+    const setPrice = linesTotal();
+
+    return {
+        components: components.map(({ countInStock, ...component }) => component),
+        regularPrice,
+        price: setPrice,
+        countInStock: Math.min(...components.map(c => Math.floor((c.countInStock || 0) / c.quantity)))
+    };
+};
+
+// GST on each line's share of the discounted subtotal, at the line's own rate
+const calculateTaxPrice = (items, discountPercentage, fallbackRate) => roundPrice(items.reduce((acc, item) => {
+    const rate = item.taxRate ?? fallbackRate;
+    return acc + item.price * item.qty * (1 - discountPercentage / 100) * rate / 100;
+}, 0));
+
+// Resolve a coupon code into a usable coupon, or throw if it cannot be applied
+const resolveCoupon = async (couponCode) => {
+    if (!couponCode) return null;
+
+    const coupon = await Coupon.findOne({ code: String(couponCode).trim().toUpperCase() });
+
+    if (!coupon || !coupon.isActive) {
+        throw quoteError('Invalid or inactive coupon');
+    }
+
+    if (new Date() > new Date(coupon.expiryDate)) {
+        throw quoteError('Coupon expired');
+    }
+
+    return coupon;
+};
+
+/**
+ * Server-side checkout pricing.
+ * Works out every number an order is saved with from the catalog and store settings,
+ * so the client never decides what it pays.
+ *
+ * @param {Object} params
+ * @param {Array} params.orderItems - [{ product, variant, qty, size, color }] as sent by the storefront;
+ *   bundle lines are sent as [{ bundle, qty, components: [{ product, variant, size, color }] }] and come back
+ *   expanded into one line per component, sharing a bundleGroup id
+ * @param {String} [params.couponCode] - Optional coupon code to apply
+ * @param {Object} [params.gift] - Gift options chosen at checkout ({ isGift, giftWrap })
+ * @returns {Promise<Object>} { orderItems, itemsPrice, discountAmount, coupon, taxRate, taxPrice, shippingPrice, giftWrapPrice, totalPrice }
+ *   where taxRate is the store rate and each order item carries its own hsnCode and taxRate
+ */
+const calculateOrderQuote = async ({ orderItems, couponCode, gift }) => {
+    if (!Array.isArray(orderItems) || orderItems.length === 0) {
+        throw quoteError('No order items');
+    }
+
+    const settings = await Setting.findOne();
+    const gstEnabled = settings ? settings.gstEnabled !== false : true;
+    const taxRate = gstEnabled ? (settings?.gstRate ?? 18) : 0;
+
+    const bundleIds = orderItems.filter(item => item.bundle).map(item => item.bundle);
+    const bundles = bundleIds.length > 0 && bundleIds.every(id => mongoose.isValidObjectId(id))
+        ? await Bundle.find({ _id: { $in: bundleIds } })
+        : [];
+    const bundleMap = {};
+    bundles.forEach(b => bundleMap[b._id.toString()] = b);
+
+    const productIds = [
+        ...orderItems.filter(item => !item.bundle).map(item => item.product),
+        ...bundles.flatMap(b => b.items.map(i => i.product))
+    ];
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = {};
+    products.forEach(p => productMap[p._id.toString()] = p);
+
+    const priceFor = await loadSalePricing({ settings });
+
+    // Shared by single products and bundle components
+    const orderLine = (product, variant, qty, price, fields = {}) => ({
+        product: product._id,
+        variant: variant?._id,
+        sku: variant?.sku,
+        size: variant?.size,
+        name: product.name,
+        image: variant?.images?.[0] || product.image,
+        price,
+        qty,
+        seller: product.seller || null,
+        hsnCode: product.hsnCode,
+        // Products without their own rate are taxed at the store rate
+        taxRate: gstEnabled ? (product.gstRate ?? taxRate) : 0,
+        ...fields
+    });
+
+    // 1. Line prices from the catalog; bundles become one line per component at their share of the bundle price
+    const pricedItems = orderItems.flatMap(item => {
+        if (item.bundle) {
+            const bundle = bundleMap[String(item.bundle)];
+            const qty = Number(item.qty);
+            if (!bundle) {
+                throw quoteError(`Bundle not found: ${item.name || item.bundle}`, 404);
+            }
+            if (!Number.isInteger(qty) || qty < 1) {
+                throw quoteError(`Invalid quantity for ${bundle.name}`);
+            }
+
+            const bundleGroup = new mongoose.Types.ObjectId();
+            return priceBundle(bundle, item.components, productMap, priceFor).components.map(component =>
+                orderLine(component.product, component.variant, component.quantity * qty, component.price, {
+                    color: component.variant?.color,
+                    bundle: bundle._id,
+                    bundleName: bundle.name,
+                    bundleGroup
+                }));
+        }
+
+        const product = productMap[String(item.product)];
+        if (!product || product.isDeleted) {
+            throw quoteError(`Product not found: ${item.name || item.product}`, 404);
+        }
+        if (!isPurchasable(product)) {
+            throw quoteError(`${product.name} is not available for purchase`);
+        }
+
+        const qty = Number(item.qty);
+        if (!Number.isInteger(qty) || qty < 1) {
+            throw quoteError(`Invalid quantity for ${product.name}`);
+        }
+
+        // Products sold in sizes/colours must be bought as one of their variants
+        const variant = product.findVariant(item);
+        if (product.variants.length > 0 && !variant) {
+            throw quoteError(`Please choose an available size and colour for ${product.name}`);
+        }
+
+        const pricing = priceFor(product, variant);
+
+        return [orderLine(product, variant, qty, roundPrice(getUnitPrice(pricing)), {
+            color: variant ? variant.color : item.color,
+            saleEvent: pricing.saleEvent?._id
+        })];
+    });
+
+    const itemsPrice = roundPrice(pricedItems.reduce((acc, item) => acc + item.price * item.qty, 0));
+
+    // 2. Coupon discount on the items subtotal
+    const coupon = await resolveCoupon(couponCode);
+    const discountAmount = coupon ? roundPrice(itemsPrice * coupon.discountPercentage / 100) : 0;
+    const discountedItemsPrice = roundPrice(itemsPrice - discountAmount);
+
+    // 3. GST on the discounted subtotal, line by line
+    const taxPrice = calculateTaxPrice(pricedItems, coupon ? coupon.discountPercentage : 0, taxRate);
+
+    // 4. Shipping is waived once the discounted subtotal reaches the threshold
+    const shippingCharge = settings?.shippingCharge ?? 50;
+    const freeShippingThreshold = settings?.freeShippingThreshold ?? 1000;
+    const shippingPrice = discountedItemsPrice >= freeShippingThreshold ? 0 : roundPrice(shippingCharge);
+
+    // 5. Gift wrap is a flat add-on for gift orders
+    let giftWrapPrice = 0;
+    if (gift?.isGift && gift?.giftWrap) {
+        if (settings && settings.isGiftWrapEnabled === false) {
+            throw quoteError('Gift wrap is currently unavailable');
+        }
+        giftWrapPrice = roundPrice(settings?.giftWrapCharge ?? 49);
+    }
+
+    const totalPrice = roundPrice(discountedItemsPrice + taxPrice + shippingPrice + giftWrapPrice);
+
+    return {
+        orderItems: pricedItems,
+        itemsPrice,
+        discountAmount,
+        coupon: coupon ? { code: coupon.code, discountPercentage: coupon.discountPercentage } : undefined,
+        taxRate,
+        taxPrice,
+        shippingPrice,
+        giftWrapPrice,
+        totalPrice
+    };
+};
+
+// Store-wide GST % an order was priced at (lines may carry their own). Orders placed before taxRate was stored infer it from the amounts charged.
+const getOrderTaxRate = (order) => {
+    if (order.taxRate !== undefined && order.taxRate !== null) return order.taxRate;
+    const taxableBase = (order.itemsPrice || 0) - (order.discountAmount || 0);
+    return taxableBase > 0 ? (order.taxPrice || 0) / taxableBase * 100 : 0;
+};
+
+/**
+ * Recalculate an existing order's totals from its stored line prices, e.g. after a partial cancellation.
+ * Uses the coupon and tax rate captured at checkout rather than today's catalog and settings.
+ * Shipping and gift wrap are never added after the fact and are dropped once nothing is left to ship.
+ *
+ * @param {Document} order - Order whose orderItems quantities have already been adjusted
+ * @returns {Object} { itemsPrice, discountAmount, taxPrice, shippingPrice, giftWrapPrice, totalPrice }
+ */
+const repriceOrder = (order) => {
+    const itemsPrice = roundPrice(order.orderItems.reduce((acc, item) => acc + item.price * item.qty, 0));
+    const discountPercentage = order.coupon?.discountPercentage || 0;
+    const discountAmount = roundPrice(itemsPrice * discountPercentage / 100);
+    const discountedItemsPrice = roundPrice(itemsPrice - discountAmount);
+
+    const taxPrice = calculateTaxPrice(order.orderItems, discountPercentage, getOrderTaxRate(order));
+
+    const hasItemsLeft = order.orderItems.some(item => item.qty > 0);
+    const shippingPrice = hasItemsLeft ? (order.shippingPrice || 0) : 0;
+    const giftWrapPrice = hasItemsLeft ? (order.giftWrapPrice || 0) : 0;
+
+    return {
+        itemsPrice,
+        discountAmount,
+        taxPrice,
+        shippingPrice,
+        giftWrapPrice,
+        totalPrice: roundPrice(discountedItemsPrice + taxPrice + shippingPrice + giftWrapPrice)
+    };
+};
+
+module.exports = calculateOrderQuote;
+module.exports.repriceOrder = repriceOrder;
+module.exports.roundPrice = roundPrice;
+module.exports.getUnitPrice = getUnitPrice;
+module.exports.getVariantPricing = getVariantPricing;
+module.exports.loadSalePricing = loadSalePricing;
+module.exports.loadSalePriceExpression = loadSalePriceExpression;
+module.exports.priceBundle = priceBundle;
+module.exports.getOrderTaxRate = getOrderTaxRate;
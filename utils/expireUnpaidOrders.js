@@ -0,0 +1,126 @@
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const sendEmail = require('./sendEmail');
+const { isCodOrder, transitionOrder } = require('./orderLifecycle');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const UNPAID_STATUSES = ['CREATED', 'PAYMENT_FAILED'];
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Online orders still waiting on payment; COD orders stay CREATED until they ship.
+// Orders from before isCod was stored do not have it, so their payment method decides (see isCodOrder).
+const findUnpaidOnlineOrders = async (createdBefore, filter = {}) => {
+    const orders = await Order.find({
+        status: { $in: UNPAID_STATUSES },
+        isPaid: false,
+        isCod: { $ne: true },
+        createdAt: { $lt: createdBefore },
+        ...filter
+    }).populate('user', 'name email');
+    return orders.filter(order => !isCodOrder(order));
+};
+
+const sendPaymentReminder = async (order, expiresAt) => {
+    try {
+        await sendEmail({
+            to: order.user.email,
+            subject: `Complete your payment: Order #${order._id}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                    <h2 style="color: #F59E0B;">Your Order is Waiting for Payment</h2>
+                    <p>Hi ${order.user.name},</p>
+                    <p>We are holding the items in your order <strong>#${order._id}</strong>, but we have not received your payment yet.</p>
+
+                    <div style="background-color: #FEF3C7; padding: 15px; margin: 20px 0; border-radius: 8px;">
+                        <p style="margin: 0;">Amount Due: <strong>Rs. ${order.totalPrice.toFixed(2)}</strong></p>
+                        <p style="margin: 5px 0 0 0;">Please complete your payment before <strong>${expiresAt.toLocaleString('en-IN')}</strong>, after which the order will be cancelled and the items released.</p>
+                    </div>
+
+                    <p style="margin-top: 20px;">
+                        <a href="${FRONTEND_URL}/order/${order._id}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Complete Payment</a>
+                    </p>
+                </div>
+            `
+        });
+        order.paymentReminderSentAt = Date.now();
+        await order.save();
+    } catch (error) {
+        console.error(`Failed to send payment reminder for order ${order._id}:`, error);
+    }
+};
+
+/**
+ * Remind customers about unpaid online orders nearing the end of the payment-hold window,
+ * and cancel the ones past it so their reserved stock goes back on sale.
+ *
+ * @returns {Promise<Object>} { reminded, expired }
+ */
+const expireUnpaidOrders = async () => {
+    const settings = await Setting.findOne();
+    const holdMinutes = settings?.paymentHoldMinutes ?? 30;
+    const reminderMinutes = settings?.paymentReminderMinutes ?? 10;
+    const result = { reminded: 0, expired: 0 };
+
+    if (!holdMinutes) return result;
+
+    const holdMs = holdMinutes * 60 * 1000;
+    const now = Date.now();
+
+    // 1. Cancel orders whose hold has run out (stock is restored by the CANCELLED transition)
+    const expiredOrders = await findUnpaidOnlineOrders(new Date(now - holdMs));
+    for (const order of expiredOrders) {
+        try {
+            await transitionOrder(order, 'CANCELLED', {
+                // Nobody acts on an expiry; the audit entry is attributed to the order's customer under a system role
+                actor: { _id: order.user?._id || order.user, name: 'System' },
+                role: 'system',
+                action: 'PAYMENT_EXPIRED',
+                reason: `Payment not completed within ${holdMinutes} minutes`
+            });
+            result.expired++;
+        } catch (error) {
+            console.error(`Failed to expire unpaid order ${order._id}:`, error.message);
+        }
+    }
+
+    // 2. Remind customers whose hold is about to run out
+    if (reminderMinutes > 0 && reminderMinutes < holdMinutes) {
+        const remindBefore = new Date(now - holdMs + reminderMinutes * 60 * 1000);
+        const dueOrders = await findUnpaidOnlineOrders(remindBefore, { paymentReminderSentAt: { $exists: false } });
+
+        for (const order of dueOrders) {
+            if (!order.user?.email) continue;
+            await sendPaymentReminder(order, new Date(order.createdAt.getTime() + holdMs));
+            result.reminded++;
+        }
+    }
+
+    return result;
+};
+
+// Run the sweep on a fixed interval for the lifetime of the server process
+const startPaymentHoldJob = (intervalMs = SWEEP_INTERVAL_MS) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { reminded, expired } = await expireUnpaidOrders();
+            if (reminded || expired) {
+                console.log(`[Payment Hold] Reminded ${reminded}, expired ${expired} unpaid orders`);
+            }
+        } catch (error) {
+            console.error('[Payment Hold] Sweep failed:', error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = expireUnpaidOrders;
+module.exports.startPaymentHoldJob = startPaymentHoldJob;
@@ -0,0 +1,142 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const Setting = require('../models/Setting');
+const { drawCompanyHeader, isInterStateSupply, splitTax } = require('./generateInvoice');
+
+const CREDIT_NOTE_TYPES = {
+    ORDER_CANCELLATION: 'Order Cancellation',
+    SHIPMENT_CANCELLATION: 'Shipment Cancellation',
+    ITEM_CANCELLATION: 'Item Cancellation',
+    RETURN: 'Product Return'
+};
+
+const generateCreditNotePDF = (creditNote, order, user) => {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const settings = await Setting.findOne();
+            const interState = isInterStateSupply(order.shippingAddress.state, settings);
+
+            const doc = new PDFDocument({ margin: 50 });
+            const buffers = [];
+
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => {
+                const pdfData = Buffer.concat(buffers);
+                resolve(pdfData);
+            });
+
+            // --- Barcode Generation ---
+            try {
+                const barcodeBuffer = await bwipjs.toBuffer({
+                    bcid: 'code128',
+                    text: creditNote.creditNoteNumber,
+                    scale: 3,
+                    height: 10,
+                    includetext: false,
+                    textxalign: 'center',
+                });
+
+                doc.image(barcodeBuffer, 400, 50, { width: 150 });
+            } catch (e) {
+                console.error("Barcode generation failed", e);
+            }
+
+            // --- Header ---
+            drawCompanyHeader(doc, settings);
+
+            // --- Credit Note Info ---
+            doc
+                .fillColor('#444444')
+                .fontSize(20)
+                .text('CREDIT NOTE', 50, 160);
+
+            doc
+                .fontSize(10)
+                .text(`Credit Note Number: ${creditNote.creditNoteNumber}`, 50, 200)
+                .text(`Credit Note Date: ${new Date(creditNote.issuedAt).toLocaleDateString()}`, 50, 215)
+                .text(`Against Invoice: ${creditNote.invoiceNumber}`, 50, 230)
+                .text(`Reason: ${CREDIT_NOTE_TYPES[creditNote.type] || creditNote.type}${creditNote.reason ? ` - ${creditNote.reason}` : ''}`, 50, 245, { width: 500 });
+
+            // --- Customer ---
+            doc
+                .fontSize(10)
+                .text(`Issued To:`, 50, 280)
+                .font('Helvetica-Bold')
+                .text(user.name, 50, 295)
+                .font('Helvetica')
+                .text(order.shippingAddress.address, 50, 310)
+                .text(`${order.shippingAddress.city}${order.shippingAddress.state ? `, ${order.shippingAddress.state}` : ''}, ${order.shippingAddress.postalCode}`, 50, 325)
+                .text(order.shippingAddress.country, 50, 340)
+                .moveDown();
+
+            // --- Table Header ---
+            const tableTop = 375;
+            doc.font('Helvetica-Bold');
+            doc.text('Item', 50, tableTop);
+            doc.text('Qty', 250, tableTop, { width: 50, align: 'right' });
+            doc.text('Taxable', 310, tableTop, { width: 90, align: 'right' });
+            doc.text('GST', 400, tableTop, { width: 90, align: 'right' });
+            doc.text('Total', 500, tableTop, { width: 90, align: 'right' });
+
+            doc.moveTo(50, tableTop + 15).lineTo(600, tableTop + 15).stroke();
+
+            // --- Items ---
+            let position = tableTop + 30;
+            doc.font('Helvetica');
+
+            creditNote.items.forEach(item => {
+                const name = item.name.length > 35 ? item.name.substring(0, 35) + '...' : item.name;
+
+                doc.text(name, 50, position);
+                doc.text(item.qty.toString(), 250, position, { width: 50, align: 'right' });
+                doc.text(`Rs. ${item.taxableValue.toFixed(2)}`, 310, position, { width: 90, align: 'right' });
+                doc.text(`Rs. ${item.taxAmount.toFixed(2)} (${item.taxRate}%)`, 400, position, { width: 90, align: 'right' });
+                doc.text(`Rs. ${item.total.toFixed(2)}`, 500, position, { width: 90, align: 'right' });
+
+                position += 20;
+            });
+
+            // --- Divider ---
+            doc.moveTo(50, position + 10).lineTo(600, position + 10).stroke();
+
+            // --- Totals ---
+            const subtotalPosition = position + 30;
+
+            doc.font('Helvetica-Bold');
+            doc.text('Taxable Value:', 380, subtotalPosition, { width: 110, align: 'right' });
+            doc.text(`Rs. ${creditNote.taxableValue.toFixed(2)}`, 500, subtotalPosition, { width: 90, align: 'right' });
+
+            // GST reversed in the same split the invoice was charged in
+            doc.font('Helvetica');
+            const { igst, cgst, sgst } = splitTax(creditNote.taxAmount, interState);
+            const taxLines = interState ? [['IGST Reversed:', igst]] : [['CGST Reversed:', cgst], ['SGST Reversed:', sgst]];
+            let totalsPosition = subtotalPosition + 15;
+            taxLines.forEach(([label, amount]) => {
+                doc.text(label, 380, totalsPosition, { width: 110, align: 'right' });
+                doc.text(`Rs. ${amount.toFixed(2)}`, 500, totalsPosition, { width: 90, align: 'right' });
+                totalsPosition += 15;
+            });
+
+            doc.text('Shipping & Charges:', 360, totalsPosition, { width: 130, align: 'right' });
+            doc.text(`Rs. ${creditNote.shippingAmount.toFixed(2)}`, 500, totalsPosition, { width: 90, align: 'right' });
+
+            doc.font('Helvetica-Bold').fontSize(12);
+            doc.text('Total Credit:', 380, totalsPosition + 20, { width: 110, align: 'right' });
+            doc.text(`Rs. ${creditNote.totalAmount.toFixed(2)}`, 500, totalsPosition + 20, { width: 90, align: 'right' });
+
+            // --- Footer ---
+            const footerY = totalsPosition + 60;
+            doc
+                .font('Helvetica')
+                .fontSize(10)
+                .text('This credit note reduces the value of the invoice referenced above.', 50, footerY, { align: 'center', width: 500 });
+
+            doc.end();
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+module.exports = generateCreditNotePDF;
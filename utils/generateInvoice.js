@@ -1,9 +1,120 @@
 const PDFDocument = require('pdfkit');
 const bwipjs = require('bwip-js');
+const Setting = require('../models/Setting');
+const Seller = require('../models/Seller');
+const { roundPrice, getOrderTaxRate } = require('./calculateOrderQuote');
+const { allocate } = require('./buildSubOrders');
+const { variantLabel } = require('./productStock');
 
-const generateInvoicePDF = (order, user) => {
+// Line name with the size/colour bought, e.g. "Cotton Kurta (M / Blue)", and the bundle it came in
+const lineName = (item) => {
+    const label = variantLabel(item);
+    const name = label ? `${item.name} (${label})` : item.name;
+    return item.bundleName ? `${name} - ${item.bundleName}` : name;
+};
+
+const normalizeState = (state) => (state || '').trim().toLowerCase();
+
+// Supplies to another state attract IGST; within the company's state they are split into CGST + SGST.
+// When either state is unknown the supply is treated as intra-state.
+const isInterStateSupply = (placeOfSupply, settings) => {
+    const companyState = normalizeState(settings?.companyAddress?.state);
+    const customerState = normalizeState(placeOfSupply);
+    return Boolean(companyState && customerState && companyState !== customerState);
+};
+
+// CGST and SGST are half each; the odd paisa goes to SGST so the parts add up to the tax charged
+const splitTax = (taxAmount, interState) => {
+    if (interState) return { igst: roundPrice(taxAmount), cgst: 0, sgst: 0 };
+    const cgst = roundPrice(taxAmount / 2);
+    return { igst: 0, cgst, sgst: roundPrice(taxAmount - cgst) };
+};
+
+// Company block shared by tax invoices and credit notes
+const drawCompanyHeader = (doc, settings) => {
+    const address = settings?.companyAddress || {};
+    const addressLines = [
+        [address.doorNo, address.street].filter(Boolean).join(', '),
+        [address.city, address.district].filter(Boolean).join(', '),
+        [address.state, address.pincode].filter(Boolean).join(' - ')
+    ].filter(Boolean);
+
+    doc
+        .fillColor('#444444')
+        .fontSize(20)
+        .text((settings?.companyName || 'Barlina Fashion Design').toUpperCase(), 50, 57, { width: 340 })
+        .fontSize(9);
+
+    let y = 82;
+    addressLines.forEach(line => {
+        doc.text(line, 50, y);
+        y += 12;
+    });
+    if (settings?.companyGST) {
+        doc.text(`GSTIN: ${settings.companyGST}`, 50, y);
+        y += 12;
+    }
+    if (settings?.companyPAN) {
+        doc.text(`PAN: ${settings.companyPAN}`, 50, y);
+    }
+};
+
+// Each line's taxable value and GST. Totals are spread back over the lines so they match the order exactly.
+const buildInvoiceLines = (order) => {
+    const items = order.orderItems.filter(item => item.qty > 0);
+    const fallbackRate = getOrderTaxRate(order);
+
+    const lineValues = items.map(item => roundPrice(item.price * item.qty));
+    const taxableValues = allocate(roundPrice((order.itemsPrice || 0) - (order.discountAmount || 0)), lineValues);
+    const taxAmounts = allocate(order.taxPrice || 0, items.map((item, index) => taxableValues[index] * (item.taxRate ?? fallbackRate)));
+
+    return items.map((item, index) => ({
+        item,
+        taxRate: item.taxRate ?? roundPrice(fallbackRate),
+        taxableValue: taxableValues[index],
+        taxAmount: taxAmounts[index]
+    }));
+};
+
+// Gift message block printed on price-hidden documents. Returns the y position after it.
+const drawGiftMessage = (doc, order, y) => {
+    if (!order.gift?.isGift) return y;
+
+    doc.font('Helvetica-Bold').fontSize(11).text('A gift for you', 50, y);
+    doc.font('Helvetica').fontSize(10);
+    if (order.gift.recipientName) {
+        doc.text(`To: ${order.gift.recipientName}`, 50, y + 16);
+    }
+    if (order.gift.message) {
+        doc.font('Helvetica-Oblique').text(`"${order.gift.message}"`, 50, y + 32, { width: 500 });
+    }
+    doc.font('Helvetica');
+    return doc.y + 10;
+};
+
+/**
+ * Tax invoice for an order (or a shipment shaped like one).
+ * With hidePrices the same document becomes a gift receipt: no amounts, ship-to recipient and gift message.
+ *
+ * @param {Object} order - Order document or plain order-shaped object
+ * @param {Object} user - Buyer ({ name, phoneNumber })
+ * @param {Object} [options]
+ * @param {Boolean} [options.hidePrices=false] - Leave every amount off the document
+ * @returns {Promise<Buffer>}
+ */
+const generateInvoicePDF = (order, user, { hidePrices = false } = {}) => {
     return new Promise(async (resolve, reject) => {
         try {
+            const settings = await Setting.findOne();
+            const lines = buildInvoiceLines(order);
+            const interState = isInterStateSupply(order.shippingAddress.state, settings);
+
+            // Marketplace lines show who actually sold them
+            const sellerIds = [...new Set(lines.filter(l => l.item.seller).map(l => l.item.seller.toString()))];
+            const sellers = await Seller.find({ _id: { $in: sellerIds } }).select('businessName gstin');
+            const sellerMap = {};
+            sellers.forEach(s => sellerMap[s._id.toString()] = s);
+
             const doc = new PDFDocument({ margin: 50 });
             const buffers = [];
 
@@ -31,101 +142,231 @@ const generateInvoicePDF = (order, user) => {
             }
 
             // --- Header ---
-            doc
-                .fillColor('#444444')
-                .fontSize(20)
-                .text('BARLINA FASHION DESIGN', 50, 57)
-                .fontSize(10)
-                .text('123 Fashion Street', 50, 80)
-                .text('Chennai, TN, 600017', 50, 95)
-                .moveDown();
+            drawCompanyHeader(doc, settings);
 
             // --- Invoice Info ---
             doc
                 .fillColor('#444444')
                 .fontSize(20)
-                .text('INVOICE', 50, 160);
+                .text(hidePrices ? 'GIFT RECEIPT' : 'TAX INVOICE', 50, 160);
 
             doc
                 .fontSize(10)
-                .text(`Invoice Number: ${order.invoiceNumber || order._id}`, 50, 200)
-                .text(`Invoice Date: ${new Date(order.paidAt || Date.now()).toLocaleDateString()}`, 50, 215);
+                .text(`Invoice Number: ${order.invoiceNumber || order._id}`, 50, 190)
+                .text(`Invoice Date: ${new Date(order.paidAt || Date.now()).toLocaleDateString()}`, 50, 205)
+                .text(`Place of Supply: ${order.shippingAddress.state || settings?.companyAddress?.state || 'N/A'}`, 50, 220);
 
-            // --- Billing Address ---
+            // --- Billing Address (the gift recipient when prices are hidden) ---
+            const recipientName = order.gift?.recipientName || order.shippingAddress.fullName || user.name;
             doc
                 .fontSize(10)
-                .text(`Bill To:`, 50, 250)
+                .text(hidePrices ? 'Ship To:' : 'Bill To:', 50, 245)
                 .font('Helvetica-Bold')
-                .text(user.name, 50, 265)
+                .text(hidePrices ? recipientName : user.name, 50, 260)
                 .font('Helvetica')
-                .text(order.shippingAddress.address, 50, 280)
-                .text(`${order.shippingAddress.city}, ${order.shippingAddress.postalCode}`, 50, 295)
-                .text(order.shippingAddress.country, 50, 310)
-                .text(user.phoneNumber || '', 50, 325) // Added Phone Number
+                .text(order.shippingAddress.address, 50, 275)
+                .text(`${order.shippingAddress.city}${order.shippingAddress.state ? `, ${order.shippingAddress.state}` : ''}, ${order.shippingAddress.postalCode}`, 50, 290)
+                .text(order.shippingAddress.country, 50, 305)
+                .text(hidePrices ? '' : (user.phoneNumber || ''), 50, 320) // Added Phone Number
                 .moveDown();
 
             // --- Table Header ---
             const tableTop = 350;
-            doc.font('Helvetica-Bold');
+            doc.font('Helvetica-Bold').fontSize(9);
             doc.text('Item', 50, tableTop);
-            doc.text('Quantity', 300, tableTop, { width: 90, align: 'right' });
-            doc.text('Price', 400, tableTop, { width: 90, align: 'right' });
-            doc.text('Total', 500, tableTop, { width: 90, align: 'right' });
+            doc.text('HSN', 215, tableTop, { width: 50 });
+            doc.text('Qty', 265, tableTop, { width: 30, align: 'right' });
+            if (!hidePrices) {
+                doc.text('Rate', 300, tableTop, { width: 60, align: 'right' });
+                doc.text('Taxable', 365, tableTop, { width: 65, align: 'right' });
+                doc.text('GST', 435, tableTop, { width: 60, align: 'right' });
+                doc.text('Total', 500, tableTop, { width: 62, align: 'right' });
+            }
 
-            doc.moveTo(50, tableTop + 15).lineTo(600, tableTop + 15).stroke();
+            doc.moveTo(50, tableTop + 15).lineTo(562, tableTop + 15).stroke();
 
             // --- Items ---
-            let position = tableTop + 30;
+            let position = tableTop + 25;
             doc.font('Helvetica');
 
-            order.orderItems.forEach(item => {
-                const name = item.name.length > 40 ? item.name.substring(0, 40) + '...' : item.name;
+            // Lines cancelled before shipment are not billed
+            lines.forEach(({ item, taxRate, taxableValue, taxAmount }) => {
+                if (position > 700) {
+                    doc.addPage();
+                    position = 50;
+                }
 
-                doc.text(name, 50, position);
-                doc.text(item.qty.toString(), 300, position, { width: 90, align: 'right' });
-                doc.text(`Rs. ${item.price.toFixed(2)}`, 400, position, { width: 90, align: 'right' });
-                doc.text(`Rs. ${(item.price * item.qty).toFixed(2)}`, 500, position, { width: 90, align: 'right' });
+                const fullName = lineName(item);
+                const name = fullName.length > 32 ? fullName.substring(0, 32) + '...' : fullName;
 
-                position += 20;
+                doc.fontSize(9);
+                doc.text(name, 50, position, { width: 160 });
+                doc.text(item.hsnCode || '-', 215, position, { width: 50 });
+                doc.text(item.qty.toString(), 265, position, { width: 30, align: 'right' });
+                if (!hidePrices) {
+                    doc.text(`Rs. ${item.price.toFixed(2)}`, 300, position, { width: 60, align: 'right' });
+                    doc.text(`Rs. ${taxableValue.toFixed(2)}`, 365, position, { width: 65, align: 'right' });
+                    doc.text(`${taxRate}%`, 435, position, { width: 60, align: 'right' });
+                    doc.text(`Rs. ${roundPrice(taxableValue + taxAmount).toFixed(2)}`, 500, position, { width: 62, align: 'right' });
+                }
+
+                const seller = item.seller && sellerMap[item.seller.toString()];
+                if (seller) {
+                    position += 12;
+                    doc.fontSize(7).fillColor('#777777')
+                        .text(`Sold by: ${seller.businessName}${seller.gstin ? ` | GSTIN: ${seller.gstin}` : ''}`, 50, position, { width: 300 })
+                        .fillColor('#444444');
+                }
+
+                position += 18;
             });
 
             // --- Divider ---
-            doc.moveTo(50, position + 10).lineTo(600, position + 10).stroke();
+            doc.moveTo(50, position + 5).lineTo(562, position + 5).stroke();
+
+            if (hidePrices) {
+                drawGiftMessage(doc, order, position + 25);
+                doc.end();
+                return;
+            }
 
             // --- Totals ---
-            const subtotalPosition = position + 30;
+            if (position > 600) {
+                doc.addPage();
+                position = 30;
+            }
+            let totalsPosition = position + 20;
+            const totalLine = (label, value) => {
+                doc.text(label, 330, totalsPosition, { width: 160, align: 'right' });
+                doc.text(value, 500, totalsPosition, { width: 62, align: 'right' });
+                totalsPosition += 15;
+            };
 
-            doc.font('Helvetica-Bold');
-            doc.text('Subtotal:', 400, subtotalPosition, { width: 90, align: 'right' });
-            doc.text(`Rs. ${order.itemsPrice ? order.itemsPrice.toFixed(2) : order.totalPrice.toFixed(2)}`, 500, subtotalPosition, { width: 90, align: 'right' });
+            doc.font('Helvetica-Bold').fontSize(10);
+            totalLine('Subtotal:', `Rs. ${(order.itemsPrice || 0).toFixed(2)}`);
 
             doc.font('Helvetica');
-            doc.text('Tax:', 400, subtotalPosition + 15, { width: 90, align: 'right' });
-            doc.text(`Rs. ${order.taxPrice ? order.taxPrice.toFixed(2) : '0.00'}`, 500, subtotalPosition + 15, { width: 90, align: 'right' });
+            if (order.discountAmount > 0) {
+                totalLine(`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}:`, `- Rs. ${order.discountAmount.toFixed(2)}`);
+            }
+            totalLine('Taxable Value:', `Rs. ${roundPrice((order.itemsPrice || 0) - (order.discountAmount || 0)).toFixed(2)}`);
+
+            const { igst, cgst, sgst } = splitTax(order.taxPrice || 0, interState);
+            if (interState) {
+                totalLine('IGST:', `Rs. ${igst.toFixed(2)}`);
+            } else {
+                totalLine('CGST:', `Rs. ${cgst.toFixed(2)}`);
+                totalLine('SGST:', `Rs. ${sgst.toFixed(2)}`);
+            }
 
-            doc.text('Shipping:', 400, subtotalPosition + 30, { width: 90, align: 'right' });
-            doc.text(`Rs. ${order.shippingPrice ? order.shippingPrice.toFixed(2) : '0.00'}`, 500, subtotalPosition + 30, { width: 90, align: 'right' });
+            totalLine('Shipping:', `Rs. ${(order.shippingPrice || 0).toFixed(2)}`);
+            if (order.giftWrapPrice > 0) {
+                totalLine('Gift Wrap:', `Rs. ${order.giftWrapPrice.toFixed(2)}`);
+            }
 
             doc.font('Helvetica-Bold').fontSize(12);
-            doc.text('Total:', 400, subtotalPosition + 50, { width: 90, align: 'right' });
-            doc.text(`Rs. ${order.totalPrice.toFixed(2)}`, 500, subtotalPosition + 50, { width: 90, align: 'right' });
+            totalsPosition += 5;
+            totalLine('Total:', `Rs. ${order.totalPrice.toFixed(2)}`);
 
             // --- Payment Details ---
             doc.font('Helvetica').fontSize(10);
-            doc.text(`Payment Method: ${order.paymentMethod}`, 50, subtotalPosition + 70);
-            doc.text(`Payment Date: ${new Date(order.paidAt || Date.now()).toLocaleString()}`, 50, subtotalPosition + 85);
+            doc.text(`Payment Method: ${order.paymentMethod}`, 50, totalsPosition + 10);
+            doc.text(`Payment Date: ${new Date(order.paidAt || Date.now()).toLocaleString()}`, 50, totalsPosition + 25);
 
             // --- Footer ---
-            const footerY = subtotalPosition + 110;
+            const footerY = totalsPosition + 55;
             doc
                 .font('Helvetica')
+                .fontSize(9)
+                .text('This is a computer generated invoice and does not require a signature.', 50, footerY, { align: 'center', width: 500 })
+                .text('Thank you.', 50, footerY + 14, { align: 'center', width: 500 });
+
+            doc.end();
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+/**
+ * Packing slip that travels inside the parcel. Gift orders never show prices.
+ *
+ * @param {Object} order - Order document or a shipment shaped like one
+ * @returns {Promise<Buffer>}
+ */
+const generatePackingSlipPDF = (order) => {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const settings = await Setting.findOne();
+            const hidePrices = Boolean(order.gift?.isGift);
+            const items = order.orderItems.filter(item => item.qty > 0);
+
+            const doc = new PDFDocument({ margin: 50 });
+            const buffers = [];
+
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            drawCompanyHeader(doc, settings);
+
+            doc
+                .fillColor('#444444')
+                .fontSize(20)
+                .text('PACKING SLIP', 50, 160);
+
+            doc
                 .fontSize(10)
-                .text('Thank you.', 50, footerY, { align: 'center', width: 500 });
+                .text(`Order: ${order._id}`, 50, 190)
+                .text(`Invoice Number: ${order.invoiceNumber || 'N/A'}`, 50, 205);
 
+            const shipTo = order.gift?.isGift && order.gift.recipientName
+                ? order.gift.recipientName
+                : (order.shippingAddress.fullName || '');
+            doc
+                .text('Ship To:', 50, 230)
+                .font('Helvetica-Bold')
+                .text(shipTo, 50, 245)
+                .font('Helvetica')
+                .text(order.shippingAddress.address, 50, 260)
+                .text(`${order.shippingAddress.city}${order.shippingAddress.state ? `, ${order.shippingAddress.state}` : ''}, ${order.shippingAddress.postalCode}`, 50, 275)
+                .text(order.shippingAddress.country, 50, 290);
 
+            const tableTop = 325;
+            doc.font('Helvetica-Bold').fontSize(9);
+            doc.text('Item', 50, tableTop);
+            doc.text('HSN', 300, tableTop, { width: 60 });
+            doc.text('Qty', 380, tableTop, { width: 40, align: 'right' });
+            if (!hidePrices) {
+                doc.text('Amount', 450, tableTop, { width: 100, align: 'right' });
+            }
+            doc.moveTo(50, tableTop + 15).lineTo(562, tableTop + 15).stroke();
 
-            doc.end();
+            let position = tableTop + 25;
+            doc.font('Helvetica');
+            items.forEach(item => {
+                if (position > 700) {
+                    doc.addPage();
+                    position = 50;
+                }
+                doc.text(`${lineName(item)}${item.sku ? ` [${item.sku}]` : ''}`, 50, position, { width: 240 });
+                doc.text(item.hsnCode || '-', 300, position, { width: 60 });
+                doc.text(item.qty.toString(), 380, position, { width: 40, align: 'right' });
+                if (!hidePrices) {
+                    doc.text(`Rs. ${roundPrice(item.price * item.qty).toFixed(2)}`, 450, position, { width: 100, align: 'right' });
+                }
+                position += 18;
+            });
 
+            doc.moveTo(50, position + 5).lineTo(562, position + 5).stroke();
+
+            if (order.gift?.giftWrap) {
+                doc.font('Helvetica-Bold').fontSize(10).text('Gift wrap this parcel', 50, position + 15);
+                position += 15;
+            }
+            drawGiftMessage(doc, order, position + 25);
+
+            doc.end();
         } catch (error) {
             reject(error);
         }
@@ -133,3 +374,7 @@ const generateInvoicePDF = (order, user) => {
 };
 
 module.exports = generateInvoicePDF;
+module.exports.generatePackingSlipPDF = generatePackingSlipPDF;
+module.exports.drawCompanyHeader = drawCompanyHeader;
+module.exports.isInterStateSupply = isInterStateSupply;
+module.exports.splitTax = splitTax;
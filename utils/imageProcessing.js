@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const ImageAsset = require('../models/ImageAsset');
+
+const IMAGE_DIR = path.join(process.cwd(), 'uploads', 'images');
+
+// Longest edge of each rendition; smaller originals are never enlarged
+const SIZES = { thumbnail: 200, listing: 600, zoom: 1600 };
+
+// Modern formats first; JPEG is the fallback for older browsers and emails
+const FORMATS = {
+    avif: { ext: 'avif', options: { quality: 50, effort: 2 } },
+    webp: { ext: 'webp', options: { quality: 80 } },
+    jpeg: { ext: 'jpg', options: { quality: 82, mozjpeg: true } }
+};
+
+/**
+ * Turn an uploaded image into resized renditions (thumbnail, listing, zoom) in AVIF, WebP and JPEG.
+ * Images are turned upright from their EXIF orientation and written without any metadata (EXIF, GPS,
+ * camera details); the original upload is deleted either way.
+ *
+ * @param {Object} file - Multer file saved to disk ({ path, size })
+ * @param {Object} [options]
+ * @param {String} [options.kind] - PRODUCT, REVIEW or CATEGORY
+ * @param {Object} [options.user] - Uploader
+ * @returns {Promise<Object>} The ImageAsset: { _id, url, width, height, variants: { thumbnail, listing, zoom } }
+ *   where each variant is { width, height, avif, webp, jpeg }; errors carry statusCode 400 for unreadable images
+ */
+const processImage = async (file, { kind = 'PRODUCT', user } = {}) => {
+    const id = new mongoose.Types.ObjectId();
+    const dir = path.join(IMAGE_DIR, id.toString());
+    const variants = {};
+    let metadata;
+
+    try {
+        metadata = await sharp(file.path).metadata();
+        await fs.mkdir(dir, { recursive: true });
+
+        for (const [name, edge] of Object.entries(SIZES)) {
+            const resized = sharp(file.path)
+                .rotate() // Applies the EXIF orientation; metadata is not copied to the output
+                .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true });
+
+            variants[name] = {};
+            for (const [format, { ext, options }] of Object.entries(FORMATS)) {
+                const output = format === 'jpeg' ? resized.clone().flatten({ background: '#ffffff' }) : resized.clone();
+                const info = await output.toFormat(format, options).toFile(path.join(dir, `${name}.${ext}`));
+                variants[name].width = info.width;
+                variants[name].height = info.height;
+                variants[name][format] = `/uploads/images/${id}/${name}.${ext}`;
+            }
+        }
+    } catch (error) {
+        await fs.rm(dir, { recursive: true, force: true });
+        const unreadable = new Error(`Could not process image ${file.originalname}: ${error.message}`);
+        unreadable.statusCode = 400;
+        throw unreadable;
+    } finally {
+        // Originals still carry their metadata, so they are never kept
+        await fs.rm(file.path, { force: true });
+    }
+
+    // Orientations 5-8 are stored on their side
+    const upright = metadata.orientation >= 5
+        ? { width: metadata.height, height: metadata.width }
+        : { width: metadata.width, height: metadata.height };
+
+    try {
+        const asset = await ImageAsset.create({
+            _id: id,
+            kind,
+            url: variants.zoom.jpeg,
+            ...upright,
+            variants,
+            format: metadata.format,
+            originalBytes: file.size,
+            uploadedBy: user?._id
+        });
+        return asset.toObject();
+    } catch (error) {
+        await fs.rm(dir, { recursive: true, force: true });
+        throw error;
+    }
+};
+
+/**
+ * Remove processed images that ended up unused (a rejected request, a batch that failed partway):
+ * their renditions on disk and their ImageAsset records.
+ *
+ * @param {Array} images - Image assets returned by processImage
+ */
+const discardImages = async (images = []) => {
+    if (images.length === 0) return;
+    await Promise.all(images.map(image => fs.rm(path.join(IMAGE_DIR, image._id.toString()), { recursive: true, force: true })));
+    await ImageAsset.deleteMany({ _id: { $in: images.map(image => image._id) } });
+};
+
+module.exports = processImage;
+module.exports.discardImages = discardImages;
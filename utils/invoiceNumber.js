@@ -0,0 +1,90 @@
+const Counter = require('../models/Counter');
+const Setting = require('../models/Setting');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Each document series runs its own sequence under its own prefix
+const SERIES_PREFIXES = {
+    invoice: { field: 'invoicePrefix', fallback: 'BFD' },
+    creditNote: { field: 'creditNotePrefix', fallback: 'BFD-CN' }
+};
+
+// Indian financial year (April - March) a date falls in, e.g. '2026-27'
+const getFinancialYear = (date = new Date()) => {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const sequenceKey = (series, financialYear) => `${series}:${financialYear}`;
+
+/**
+ * Take the next number in a document series for the financial year of `date`.
+ * Released numbers are reissued first (lowest first), otherwise the counter is incremented. Both are
+ * atomic, so concurrent payments never share a number.
+ *
+ * @param {String} [series='invoice'] - Counter series
+ * @param {Date} [date] - Document date (defaults to now)
+ * @returns {Promise<String>} e.g. 'BFD/2026-27/000123'
+ */
+const nextDocumentNumber = async (series = 'invoice', date = new Date()) => {
+    const settings = await Setting.findOne();
+    const { field, fallback } = SERIES_PREFIXES[series];
+    const prefix = settings?.[field] || fallback;
+    const padding = settings?.invoiceNumberPadding ?? 6;
+    const financialYear = getFinancialYear(date);
+
+    const key = sequenceKey(series, financialYear);
+    const format = (seq) => `${prefix}/${financialYear}/${String(seq).padStart(padding, '0')}`;
+
+    const reused = await Counter.findOneAndUpdate(
+        { _id: key, 'released.0': { $exists: true } },
+        { $pop: { released: -1 } }
+    );
+    if (reused) {
+        return format(reused.released[0]);
+    }
+
+    const counter = await Counter.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return format(counter.seq);
+};
+
+/**
+ * Hand a number back when the document it was taken for could not be saved, so the series stays gap-free.
+ * The latest number just rolls the counter back; an older one (others were taken since) is kept for reuse.
+ *
+ * @param {String} documentNumber - Number returned by nextDocumentNumber
+ * @param {String} [series='invoice'] - Counter series it was taken from
+ */
+const releaseDocumentNumber = async (documentNumber, series = 'invoice') => {
+    const parts = String(documentNumber).split('/');
+    const seq = Number(parts.pop());
+    const financialYear = parts.pop();
+    if (!financialYear || !Number.isInteger(seq)) return;
+
+    const key = sequenceKey(series, financialYear);
+    const rolledBack = await Counter.updateOne({ _id: key, seq }, { $inc: { seq: -1 } });
+    if (rolledBack.modifiedCount === 0) {
+        await Counter.updateOne({ _id: key, seq: { $gt: seq } }, { $push: { released: { $each: [seq], $sort: 1 } } });
+    }
+};
+
+const nextInvoiceNumber = (date) => nextDocumentNumber('invoice', date);
+const releaseInvoiceNumber = (invoiceNumber) => releaseDocumentNumber(invoiceNumber, 'invoice');
+const nextCreditNoteNumber = (date) => nextDocumentNumber('creditNote', date);
+const releaseCreditNoteNumber = (creditNoteNumber) => releaseDocumentNumber(creditNoteNumber, 'creditNote');
+
+module.exports = {
+    getFinancialYear,
+    nextDocumentNumber,
+    releaseDocumentNumber,
+    nextInvoiceNumber,
+    releaseInvoiceNumber,
+    nextCreditNoteNumber,
+    releaseCreditNoteNumber
+};
@@ -0,0 +1,97 @@
+const CreditNote = require('../models/CreditNote');
+const { roundPrice, getOrderTaxRate } = require('./calculateOrderQuote');
+const { allocate } = require('./buildSubOrders');
+const { nextCreditNoteNumber, releaseCreditNoteNumber } = require('./invoiceNumber');
+
+/**
+ * Issue a GST credit note against an order's invoice for money going back to the customer.
+ * The refunded amount is split over the credited lines by value and the tax is backed out
+ * at the rate each line was invoiced at, so the note reverses exactly what was charged.
+ *
+ * Orders that were never invoiced (unpaid) get no credit note.
+ *
+ * @param {Document} order - Order document the refund belongs to
+ * @param {Object} params
+ * @param {String} params.type - ORDER_CANCELLATION | SHIPMENT_CANCELLATION | ITEM_CANCELLATION | RETURN
+ * @param {Array} params.lines - [{ item, qty }] where item is an orderItems subdocument
+ * @param {Number} params.amount - Total being refunded, tax and shipping included
+ * @param {Number} [params.shippingAmount=0] - Part of the amount that is refunded untaxed charges (shipping, gift wrap)
+ * @param {ObjectId} [params.subOrder] - Cancelled shipment, if any
+ * @param {ObjectId} [params.returnRequest] - Refunded return, if any
+ * @param {String} [params.reason] - Reason printed on the note
+ * @param {Object} [params.actor] - User issuing the note
+ * @returns {Promise<Document|null>} The created credit note, or null if none was due
+ */
+const issueCreditNote = async (order, { type, lines, amount, shippingAmount = 0, subOrder, returnRequest, reason, actor }) => {
+    if (!order.invoiceNumber || !(amount > 0)) return null;
+
+    const taxRate = getOrderTaxRate(order);
+    const shipping = roundPrice(Math.min(shippingAmount, amount));
+    const lineTotals = allocate(roundPrice(amount - shipping), lines.map(({ item, qty }) => item.price * qty));
+
+    const items = lines.map(({ item, qty }, index) => {
+        const lineTaxRate = item.taxRate ?? taxRate;
+        const taxableValue = roundPrice(lineTotals[index] / (1 + lineTaxRate / 100));
+        return {
+            orderItem: item._id,
+            product: item.product,
+            name: item.name,
+            hsnCode: item.hsnCode,
+            qty,
+            unitPrice: item.price,
+            taxRate: lineTaxRate,
+            taxableValue,
+            taxAmount: roundPrice(lineTotals[index] - taxableValue),
+            total: lineTotals[index]
+        };
+    });
+
+    const creditNoteNumber = await nextCreditNoteNumber();
+    try {
+        return await CreditNote.create({
+            creditNoteNumber,
+            order: order._id,
+            user: order.user?._id || order.user,
+            invoiceNumber: order.invoiceNumber,
+            subOrder,
+            returnRequest,
+            type,
+            reason,
+            items,
+            taxRate: roundPrice(taxRate),
+            taxableValue: roundPrice(items.reduce((acc, i) => acc + i.taxableValue, 0)),
+            taxAmount: roundPrice(items.reduce((acc, i) => acc + i.taxAmount, 0)),
+            shippingAmount: shipping,
+            totalAmount: roundPrice(amount),
+            createdBy: actor?._id
+        });
+    } catch (error) {
+        await releaseCreditNoteNumber(creditNoteNumber);
+        throw error;
+    }
+};
+
+/**
+ * Credit note for a refunded return. Issued at most once per return request.
+ *
+ * @param {Document} order - Order the return belongs to
+ * @param {Document} returnReq - ReturnRequest that was refunded
+ * @param {Object} actor - User who refunded it
+ * @returns {Promise<Document|null>}
+ */
+const issueReturnCreditNote = async (order, returnReq, actor) => {
+    const item = returnReq.findOrderItem(order);
+    if (!item || await CreditNote.exists({ returnRequest: returnReq._id })) return null;
+
+    return issueCreditNote(order, {
+        type: 'RETURN',
+        lines: [{ item, qty: returnReq.orderItem.qty }],
+        amount: returnReq.refundAmount,
+        returnRequest: returnReq._id,
+        reason: `Return ${returnReq._id}: ${returnReq.reason}`,
+        actor
+    });
+};
+
+module.exports = issueCreditNote;
+module.exports.issueReturnCreditNote = issueReturnCreditNote;
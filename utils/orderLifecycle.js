@@ -0,0 +1,875 @@
+const AuditLog = require('../models/AuditLog');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const FinancialRecord = require('../models/FinancialRecord');
+const sendEmail = require('./sendEmail');
+const { repriceOrder, roundPrice } = require('./calculateOrderQuote');
+const { allocate, reallocateSubOrderPricing } = require('./buildSubOrders');
+const { nextInvoiceNumber, releaseInvoiceNumber } = require('./invoiceNumber');
+const issueCreditNote = require('./issueCreditNote');
+const { releaseStock } = require('./productStock');
+
+// Get frontend URL from environment or default to localhost
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Central transition table for Order.status: current status -> statuses it may move to
+const ORDER_TRANSITIONS = {
+    CREATED: ['PAID', 'PAYMENT_FAILED', 'READY_TO_SHIP', 'CANCELLED'],
+    PAYMENT_FAILED: ['PAID', 'CANCELLED'],
+    PAID: ['READY_TO_SHIP', 'CANCELLED'],
+    READY_TO_SHIP: ['SHIPPED', 'CANCELLED'],
+    SHIPPED: ['OUT_FOR_DELIVERY', 'DELIVERED', 'RETURNED'],
+    OUT_FOR_DELIVERY: ['DELIVERED', 'RETURNED'],
+    DELIVERED: ['RETURNED'],
+    RETURNED: ['REFUNDED'],
+    CANCELLED: ['REFUNDED'],
+    REFUNDED: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// How far along fulfilment a status is. The parent status of a split order is its least progressed sub-order.
+const STATUS_RANK = {
+    CREATED: 0,
+    PAYMENT_FAILED: 0,
+    PAID: 1,
+    READY_TO_SHIP: 2,
+    SHIPPED: 3,
+    OUT_FOR_DELIVERY: 4,
+    DELIVERED: 5,
+    RETURNED: 6,
+    REFUNDED: 7
+};
+
+// Payment is settled once for the whole order, so sub-orders never move to these on their own
+const PARENT_ONLY_STATUSES = ['PAID', 'PAYMENT_FAILED'];
+
+// Statuses in which individual lines can still be cancelled
+const PRE_SHIPMENT_STATUSES = ['CREATED', 'PAYMENT_FAILED', 'PAID', 'READY_TO_SHIP'];
+
+// Errors raised here carry a statusCode so controllers can map them onto the response
+const lifecycleError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Cash on delivery orders are settled at the door, so they never wait on an online payment.
+// Checkout sends a free-text method; these are the ways it spells COD once case, spaces and punctuation
+// are dropped ("COD", "Cash on Delivery", "COD (Cash on Delivery)", "CashOnDelivery").
+const COD_PAYMENT_METHODS = ['cod', 'cashondelivery', 'codcashondelivery'];
+const isCodPaymentMethod = (paymentMethod) =>
+    COD_PAYMENT_METHODS.includes(String(paymentMethod || '').toLowerCase().replace(/[^a-z]/g, ''));
+
+// isCod is stored at checkout; orders placed before it existed only have the method to go on
+const isCodOrder = (order) => order.isCod ?? isCodPaymentMethod(order.paymentMethod);
+
+// Guards run after the table check. Each returns a rejection reason, or null when the move is allowed.
+const TRANSITION_GUARDS = {
+    READY_TO_SHIP: (order) => (order.isPaid || isCodOrder(order))
+        ? null
+        : 'Order must be paid before it can be marked READY_TO_SHIP (unless COD)',
+    SHIPPED: (order, { courier, subOrder }) => {
+        const existing = subOrder ? subOrder.courier : order.courier;
+        const name = courier?.name || existing?.name;
+        const trackingId = courier?.trackingId || existing?.trackingId;
+        return (name && trackingId) ? null : 'Courier name and tracking ID are required to mark an order SHIPPED';
+    },
+    CANCELLED: (order, { subOrder }) => {
+        if (subOrder) return null;
+        const dispatched = (order.subOrders || []).some(s => s.status !== 'CANCELLED' && STATUS_RANK[s.status] >= STATUS_RANK.SHIPPED);
+        return dispatched ? 'Some shipments have already been dispatched. Cancel the remaining shipments individually.' : null;
+    },
+    REFUNDED: (order) => order.isPaid ? null : 'Only paid orders can be refunded'
+};
+
+// Legacy orders may not have a status yet; derive it from the old flags
+const getCurrentStatus = (order) => {
+    if (order.status) return order.status;
+    if (order.isCancelled) return 'CANCELLED';
+    if (order.isDelivered) return 'DELIVERED';
+    if (order.isPaid) return 'PAID';
+    return 'CREATED';
+};
+
+/**
+ * Check whether an order may move to a new status.
+ * @returns {String|null} Rejection reason, or null if the transition is allowed
+ */
+const getTransitionError = (order, toStatus, context = {}) => {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        return 'Invalid status value';
+    }
+
+    const fromStatus = getCurrentStatus(order);
+    if (!ORDER_TRANSITIONS[fromStatus].includes(toStatus)) {
+        return `Cannot change order status from ${fromStatus} to ${toStatus}`;
+    }
+
+    const guard = TRANSITION_GUARDS[toStatus];
+    return guard ? guard(order, context) : null;
+};
+
+/**
+ * Check whether one sub-order (shipment) may move to a new status.
+ * Uses the same table as the parent; guards see the parent order for payment state.
+ * @returns {String|null} Rejection reason, or null if the transition is allowed
+ */
+const getSubOrderTransitionError = (order, subOrder, toStatus, context = {}) => {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        return 'Invalid status value';
+    }
+
+    if (PARENT_ONLY_STATUSES.includes(toStatus)) {
+        return 'Payment status is tracked on the parent order';
+    }
+
+    if (!ORDER_TRANSITIONS[subOrder.status].includes(toStatus)) {
+        return `Cannot change shipment status from ${subOrder.status} to ${toStatus}`;
+    }
+
+    const guard = TRANSITION_GUARDS[toStatus];
+    return guard ? guard(order, { ...context, subOrder }) : null;
+};
+
+/**
+ * Derive the parent status from its sub-orders: CANCELLED only when every shipment is cancelled,
+ * otherwise the least progressed of the remaining shipments.
+ * @returns {String|null} Derived status, or null for orders that were never split
+ */
+const deriveOrderStatus = (order) => {
+    const subOrders = order.subOrders || [];
+    if (subOrders.length === 0) return null;
+
+    const active = subOrders.filter(s => s.status !== 'CANCELLED');
+    if (active.length === 0) return 'CANCELLED';
+
+    return active.reduce((least, s) => STATUS_RANK[s.status] < STATUS_RANK[least] ? s.status : least, active[0].status);
+};
+
+const getSubOrderItems = (order, subOrder) => {
+    const ids = subOrder.items.map(id => id.toString());
+    return order.orderItems.filter(item => ids.includes(item._id.toString()));
+};
+
+const mergeCourier = (target, courier) => {
+    if (!courier) return;
+    ['name', 'trackingId', 'shippedAt', 'labelUrl'].forEach(field => {
+        if (courier[field] !== undefined) target.courier[field] = courier[field];
+    });
+};
+
+// Sync legacy flags and timestamps that mirror the status
+const applyStatusFlags = (order, status) => {
+    if (status === 'PAID') {
+        order.isPaid = true;
+        if (!order.paidAt) order.paidAt = Date.now();
+    }
+    if (status === 'DELIVERED') {
+        order.isDelivered = true;
+        if (!order.deliveredAt) order.deliveredAt = Date.now();
+    }
+    if (status === 'CANCELLED') {
+        order.isCancelled = true;
+        if (!order.cancelledAt) order.cancelledAt = Date.now();
+    }
+};
+
+const applySubOrderFlags = (subOrder, status) => {
+    if (status === 'SHIPPED' && !subOrder.courier?.shippedAt) subOrder.courier.shippedAt = Date.now();
+    if (status === 'DELIVERED' && !subOrder.deliveredAt) subOrder.deliveredAt = Date.now();
+    if (status === 'CANCELLED' && !subOrder.cancelledAt) subOrder.cancelledAt = Date.now();
+};
+
+// Push a parent-level change down to the shipments it covers, never moving a shipment backwards
+const cascadeToSubOrders = (order, toStatus, courier) => {
+    (order.subOrders || []).forEach(subOrder => {
+        if (subOrder.status === 'CANCELLED') return;
+
+        const shouldMove = toStatus === 'CANCELLED'
+            ? true
+            : STATUS_RANK[subOrder.status] < STATUS_RANK[toStatus];
+
+        if (shouldMove) {
+            subOrder.status = toStatus;
+            if (toStatus === 'SHIPPED' && !subOrder.courier?.name) mergeCourier(subOrder, courier || order.courier);
+            applySubOrderFlags(subOrder, toStatus);
+        }
+    });
+};
+
+// Re-derive the parent status from its shipments. Returns the change, or null if there was none.
+const syncDerivedStatus = (order) => {
+    const from = getCurrentStatus(order);
+    const to = deriveOrderStatus(order);
+    if (!to || to === from) return null;
+
+    order.status = to;
+    applyStatusFlags(order, to);
+    return { from, to };
+};
+
+/**
+ * Take quantities off order lines and re-price the order from its stored line prices.
+ * The drop in order total is what the customer is owed; it is prorated onto the lines by value.
+ *
+ * @param {Document} order - Order document (mutated, not saved)
+ * @param {Array} lines - [{ item, qty }] where item is an orderItems subdocument
+ * @param {String} [reason] - Cancellation reason stored on each line
+ * @returns {Number} Refund amount (0 for unpaid orders, which simply owe less)
+ */
+const cancelLines = (order, lines, reason) => {
+    const previousTotal = order.totalPrice;
+
+    lines.forEach(({ item, qty }) => {
+        item.qty -= qty;
+        item.cancelledQty = (item.cancelledQty || 0) + qty;
+        item.cancellation.reason = reason;
+        item.cancellation.cancelledAt = Date.now();
+    });
+
+    const totals = repriceOrder(order);
+    Object.keys(totals).forEach(key => order[key] = totals[key]);
+    reallocateSubOrderPricing(order);
+
+    const refundAmount = order.isPaid ? Math.max(0, roundPrice(previousTotal - order.totalPrice)) : 0;
+    const shares = allocate(refundAmount, lines.map(({ item, qty }) => item.price * qty));
+    lines.forEach(({ item }, index) => {
+        item.cancellation.refundAmount = roundPrice((item.cancellation.refundAmount || 0) + shares[index]);
+    });
+    order.cancellation.refundAmount = roundPrice((order.cancellation.refundAmount || 0) + refundAmount);
+
+    return refundAmount;
+};
+
+// Each shipment of a multi-seller order is invoiced separately, so it takes its own number from the
+// series; a single shipment shares the order's invoice. Returns the numbers taken.
+const assignSubOrderInvoiceNumbers = async (order) => {
+    const assigned = [];
+    if (!order.invoiceNumber || !order.subOrders) return assigned;
+    for (const subOrder of order.subOrders) {
+        if (subOrder.invoiceNumber) continue;
+        if (order.subOrders.length > 1) {
+            subOrder.invoiceNumber = await nextInvoiceNumber(order.paidAt);
+            assigned.push(subOrder.invoiceNumber);
+        } else {
+            subOrder.invoiceNumber = order.invoiceNumber;
+        }
+    }
+    return assigned;
+};
+
+// Takes invoice numbers for an order (and its shipments) that have none yet. Returns the numbers taken,
+// to release if the save fails.
+const assignInvoiceNumber = async (order) => {
+    const assigned = [];
+    if (!order.invoiceNumber) {
+        order.invoiceNumber = await nextInvoiceNumber(order.paidAt);
+        assigned.push(order.invoiceNumber);
+    }
+    assigned.push(...await assignSubOrderInvoiceNumbers(order));
+    return assigned;
+};
+
+// Cash on delivery is collected at the door, so it is recorded once the order has been delivered
+const COD_COLLECTABLE_STATUSES = ['DELIVERED', 'RETURNED'];
+
+// --- Side effects ---
+
+// Lines are { product, variant, qty } - order items or explicit partial quantities.
+// Products that do not track stock were never reserved, so nothing goes back for them.
+const restoreStock = async (order, lines, actor) => {
+    const remaining = lines.filter(item => item.qty > 0);
+    if (remaining.length === 0) return;
+
+    const untracked = await Product.find({ _id: { $in: remaining.map(item => item.product) }, isStockEnabled: false }).select('_id').lean();
+    const untrackedIds = new Set(untracked.map(product => product._id.toString()));
+
+    for (const item of remaining) {
+        if (untrackedIds.has(item.product.toString())) continue;
+        await releaseStock(item, { reason: 'CANCELLATION', order: order._id, actor: actor?._id });
+    }
+};
+
+const recordCancellationRefund = async (order, actor, amount, description) => {
+    await FinancialRecord.create({
+        type: 'REFUND',
+        category: 'Order Cancellation',
+        amount,
+        description,
+        date: Date.now(),
+        reference: {
+            model: 'Order',
+            id: order._id
+        },
+        paymentMethod: order.paymentMethod || 'Online',
+        status: 'COMPLETED',
+        createdBy: actor._id
+    });
+};
+
+// The refund has already gone through by now, so a failed credit note is logged rather than thrown
+const issueCancellationCreditNote = async (order, params) => {
+    try {
+        await issueCreditNote(order, params);
+    } catch (error) {
+        console.error(`Failed to issue credit note for order ${order._id}:`, error);
+    }
+};
+
+// Auto-generate approved return requests for every item when an order is marked RETURNED
+const createReturnsForOrder = async (order, actor, items = order.orderItems) => {
+    console.log(`[OrderLifecycle] Auto-generating returns for Order ${order._id}`);
+
+    // Nothing was delivered for cancelled lines or lines in cancelled shipments, so there is nothing to return
+    const cancelledItemIds = new Set((order.subOrders || [])
+        .filter(subOrder => subOrder.status === 'CANCELLED')
+        .flatMap(subOrder => subOrder.items.map(id => id.toString())));
+    const returnable = items.filter(item => item.qty > 0 && !cancelledItemIds.has(item._id.toString()));
+
+    for (const item of returnable) {
+        try {
+            const existingReturn = item.returnRequestId ||
+                (await ReturnRequest.findOne({ order: order._id, 'orderItem.itemId': item._id }));
+
+            if (!existingReturn) {
+                const newReturn = await ReturnRequest.create({
+                    order: order._id,
+                    user: order.user._id || order.user,
+                    orderItem: {
+                        itemId: item._id,
+                        product: item.product,
+                        name: item.name,
+                        image: item.image || 'https://via.placeholder.com/150',
+                        price: item.price,
+                        qty: item.qty,
+                        variant: item.variant,
+                        sku: item.sku,
+                        size: item.size,
+                        color: item.color
+                    },
+                    reason: 'OTHER',
+                    comments: 'Admin manually updated order status to RETURNED',
+                    status: 'APPROVED',
+                    history: [{ status: 'APPROVED', updatedBy: actor._id, note: 'Auto-created by Order Status Update' }]
+                });
+
+                item.returnStatus = 'APPROVED';
+                item.returnRequestId = newReturn._id;
+            } else if (!item.returnStatus || item.returnStatus === 'NONE') {
+                // Ensure status consistency
+                item.returnStatus = 'APPROVED';
+            }
+        } catch (err) {
+            console.error(`[OrderLifecycle] Failed to auto-create return for item ${item.name}:`, err);
+        }
+    }
+};
+
+const STATUS_EMAILS = {
+    OUT_FOR_DELIVERY: (order, user) => ({
+        subject: `Out for Delivery: Order #${order.invoiceNumber || order._id}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                <h2 style="color: #F59E0B;">Your Order is Out for Delivery!</h2>
+                <p>Hi ${user.name},</p>
+                <p>Your order <strong>#${order.invoiceNumber || order._id}</strong> is out for delivery today.</p>
+                <p>Our courier partner will be arriving soon. Please ensure someone is available to receive the package.</p>
+
+                ${order.courier?.name || order.courier?.trackingId ? `
+                <div style="background-color: #FEF3C7; padding: 15px; margin: 20px 0; border-radius: 8px;">
+                    <p style="margin: 0; font-weight: bold;">Courier Details</p>
+                    <p style="margin: 5px 0 0 0;">Partner: ${order.courier.name || 'N/A'}</p>
+                    <p style="margin: 5px 0 0 0;">Tracking ID: ${order.courier.trackingId || 'N/A'}</p>
+                </div>
+                ` : ''}
+
+                <p style="margin-top: 20px;">
+                    <a href="${FRONTEND_URL}/order/${order._id}" style="background-color: #F59E0B; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Track Order</a>
+                </p>
+            </div>
+        `
+    }),
+    DELIVERED: (order, user) => ({
+        subject: `Order Delivered: #${order.invoiceNumber || order._id}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                <h2 style="color: #10B981;">Your Order Has Been Delivered!</h2>
+                <p>Hi ${user.name},</p>
+                <p>Good news! Your order <strong>#${order.invoiceNumber || order._id}</strong> has been delivered.</p>
+
+                <p>We hope you love your purchase. If you have any feedback or issues, please don't hesitate to reach out.</p>
+
+                <p style="margin-top: 20px;">
+                    <a href="${FRONTEND_URL}/order/${order._id}" style="background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Order Details</a>
+                </p>
+
+                <p style="color: #666; font-size: 12px; margin-top: 30px;">
+                    Thank you for shopping with Barlina Fashion.
+                </p>
+            </div>
+        `
+    }),
+    CANCELLED: (order, user) => ({
+        subject: `Order Cancelled: #${order.invoiceNumber || order._id}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; color: #333;">
+                <h2 style="color: #EF4444;">Order Cancelled</h2>
+                <p>Hi ${user.name},</p>
+                <p>Your order <strong>#${order.invoiceNumber || order._id}</strong> has been cancelled.</p>
+
+                ${order.isPaid ? `
+                <div style="background-color: #FEF2F2; border-left: 4px solid #EF4444; padding: 15px; margin: 20px 0;">
+                    <p style="margin: 0; color: #B91C1C; font-weight: bold;">Refund Information</p>
+                    <p style="margin: 10px 0 0 0; color: #7F1D1D;">
+                        Your payment of <strong>Rs. ${order.totalPrice.toFixed(2)}</strong> will be refunded to your original payment method within the next <strong>7 working days</strong>.
+                    </p>
+                </div>
+                ` : ''}
+
+                <p style="color: #666; font-size: 12px; margin-top: 30px;">
+                    If you did not request this cancellation or have any questions, please reply to this email immediately.
+                </p>
+            </div>
+        `
+    })
+};
+
+const sendStatusEmail = async (order, status) => {
+    const buildEmail = STATUS_EMAILS[status];
+    if (!buildEmail) return;
+
+    try {
+        // Ensure user is populated
+        if (!order.user || !order.user.email) {
+            await order.populate('user', 'name email');
+        }
+        const user = order.user;
+        const { subject, html } = buildEmail(order, user);
+
+        await sendEmail({ to: user.email, subject, html });
+        console.log(`${status} email sent to ${user.email}`);
+    } catch (error) {
+        console.error(`Failed to send ${status} email:`, error);
+    }
+};
+
+/**
+ * Move an order to a new status, enforcing the transition table and guards,
+ * syncing legacy flags and running the side effects tied to the target status.
+ *
+ * @param {Document} order - Mongoose Order document
+ * @param {String} toStatus - Target status
+ * @param {Object} options
+ * @param {Object} options.actor - User performing the change (req.user)
+ * @param {String} [options.role] - Role recorded in the audit log (defaults to actor.role)
+ * @param {String} [options.action] - Audit log action (defaults to STATUS_UPDATE)
+ * @param {String} [options.note] - Audit log note
+ * @param {String} [options.reason] - Audit log reason (cancellations)
+ * @param {Object} [options.courier] - Courier details to merge onto the order
+ * @returns {Promise<Document>} The saved order
+ */
+const transitionOrder = async (order, toStatus, { actor, role, action = 'STATUS_UPDATE', note, reason, courier } = {}) => {
+    const transitionError = getTransitionError(order, toStatus, { courier });
+    if (transitionError) {
+        throw lifecycleError(transitionError);
+    }
+
+    const fromStatus = getCurrentStatus(order);
+    order.status = toStatus;
+    applyStatusFlags(order, toStatus);
+
+    if (toStatus === 'CANCELLED') {
+        if (reason) order.cancellation.reason = reason;
+        order.cancellation.approvedAt = Date.now();
+        if (order.isPaid) {
+            order.cancellation.refundAmount = roundPrice((order.cancellation.refundAmount || 0) + order.totalPrice);
+        }
+    }
+
+    mergeCourier(order, courier);
+    if (toStatus === 'SHIPPED' && !order.courier?.shippedAt) {
+        order.courier.shippedAt = Date.now();
+    }
+
+    // Invoice numbers are only taken once the transition is known to be valid, keeping the series gap-free
+    let assignedInvoiceNumbers = [];
+    if (toStatus === 'PAID') {
+        assignedInvoiceNumbers = await assignInvoiceNumber(order);
+    }
+    cascadeToSubOrders(order, toStatus, courier);
+
+    if (toStatus === 'RETURNED') {
+        await createReturnsForOrder(order, actor);
+    }
+
+    let updatedOrder;
+    try {
+        updatedOrder = await order.save();
+    } catch (error) {
+        await Promise.all(assignedInvoiceNumbers.map(releaseInvoiceNumber));
+        throw error;
+    }
+
+    await AuditLog.create({
+        orderId: order._id,
+        statusFrom: fromStatus,
+        statusTo: toStatus,
+        action,
+        performedBy: {
+            id: actor._id,
+            name: actor.name || 'System',
+            role: role || actor.role || 'system'
+        },
+        note: note || `Status updated to ${toStatus}`,
+        reason,
+        metadata: courier ? { courier } : undefined
+    });
+
+    if (toStatus === 'CANCELLED') {
+        if (order.isPaid) {
+            await recordCancellationRefund(order, actor, order.totalPrice, `Full Refund for Cancelled Order: ${order.invoiceNumber || order._id}`);
+            await issueCancellationCreditNote(order, {
+                type: 'ORDER_CANCELLATION',
+                lines: order.orderItems.filter(item => item.qty > 0).map(item => ({ item, qty: item.qty })),
+                amount: order.totalPrice,
+                shippingAmount: roundPrice((order.shippingPrice || 0) + (order.giftWrapPrice || 0)),
+                reason,
+                actor
+            });
+        }
+        // Lines cancelled earlier already went back; only what was still live is restocked
+        await restoreStock(order, order.orderItems.filter(item => item.qty > 0), actor);
+    }
+
+    await sendStatusEmail(updatedOrder, toStatus);
+
+    return updatedOrder;
+};
+
+/**
+ * Move a single sub-order (one seller's shipment) to a new status, then re-derive the parent status.
+ * Side effects (stock, refunds, returns) only touch the items in that shipment.
+ *
+ * @param {Document} order - Mongoose Order document
+ * @param {String} subOrderId - _id of the sub-order to update
+ * @param {String} toStatus - Target status
+ * @param {Object} options - Same as transitionOrder
+ * @returns {Promise<Document>} The saved order
+ */
+const transitionSubOrder = async (order, subOrderId, toStatus, { actor, role, note, courier } = {}) => {
+    const subOrder = order.subOrders.id(subOrderId);
+    if (!subOrder) {
+        throw lifecycleError('Sub-order not found', 404);
+    }
+
+    const transitionError = getSubOrderTransitionError(order, subOrder, toStatus, { courier });
+    if (transitionError) {
+        throw lifecycleError(transitionError);
+    }
+
+    // Cancelling the last live shipment cancels the whole order
+    if (toStatus === 'CANCELLED' && order.subOrders.every(s => s._id.equals(subOrder._id) || s.status === 'CANCELLED')) {
+        return transitionOrder(order, 'CANCELLED', { actor, role, action: 'ORDER_CANCELLED', note, reason: note });
+    }
+
+    const fromStatus = subOrder.status;
+    const items = getSubOrderItems(order, subOrder);
+    const cancelledLines = toStatus === 'CANCELLED' ? items.map(item => ({ item, qty: item.qty })) : [];
+
+    subOrder.status = toStatus;
+    mergeCourier(subOrder, courier);
+    applySubOrderFlags(subOrder, toStatus);
+
+    let refundAmount = 0;
+    if (toStatus === 'CANCELLED') {
+        refundAmount = cancelLines(order, cancelledLines, note || 'Shipment cancelled');
+    }
+
+    if (toStatus === 'RETURNED') {
+        await createReturnsForOrder(order, actor, items);
+    }
+
+    // Parent status follows its shipments
+    const parentChange = syncDerivedStatus(order);
+    const parentFrom = parentChange?.from;
+    const parentTo = parentChange?.to;
+
+    const updatedOrder = await order.save();
+
+    const performedBy = {
+        id: actor._id,
+        name: actor.name || 'System',
+        role: role || actor.role || 'system'
+    };
+
+    await AuditLog.create({
+        orderId: order._id,
+        statusFrom: fromStatus,
+        statusTo: toStatus,
+        action: 'SUB_ORDER_STATUS_UPDATE',
+        performedBy,
+        note: note || `Shipment status updated to ${toStatus}`,
+        metadata: { subOrderId: subOrder._id, seller: subOrder.seller, courier, refundAmount: refundAmount || undefined }
+    });
+
+    if (parentChange) {
+        await AuditLog.create({
+            orderId: order._id,
+            statusFrom: parentFrom,
+            statusTo: parentTo,
+            action: 'DERIVED_STATUS_UPDATE',
+            performedBy,
+            note: `Order status derived from shipments: ${parentTo}`
+        });
+    }
+
+    if (toStatus === 'CANCELLED') {
+        if (refundAmount > 0) {
+            await recordCancellationRefund(order, actor, refundAmount,
+                `Refund for Cancelled Shipment ${subOrder.invoiceNumber || subOrder._id} of Order: ${order.invoiceNumber || order._id}`);
+            await issueCancellationCreditNote(order, {
+                type: 'SHIPMENT_CANCELLATION',
+                lines: cancelledLines,
+                amount: refundAmount,
+                subOrder: subOrder._id,
+                reason: note,
+                actor
+            });
+        }
+        await restoreStock(order, cancelledLines.map(({ item, qty }) => ({ product: item.product, variant: item.variant, qty })), actor);
+    }
+
+    if (parentChange) {
+        await sendStatusEmail(updatedOrder, parentTo);
+    }
+
+    return updatedOrder;
+};
+
+/**
+ * Record a confirmed gateway payment (Cashfree, Instamojo) against an order.
+ * Moves the order to PAID, which also assigns its invoice number. A payment that lands after the
+ * order was cancelled (e.g. its payment hold expired) is kept on record and refunded instead.
+ *
+ * @param {Document} order - Mongoose Order document
+ * @param {Object} paymentResult - { id, status, update_time, email_address, gateway }
+ * @param {Object} options
+ * @param {Object} options.actor - User the change is attributed to
+ * @param {String} [options.role='system'] - Role recorded in the audit log
+ * @param {String} [options.note] - Audit note
+ * @returns {Promise<Document|null>} The saved order, or null if it was already paid
+ */
+const recordOrderPayment = async (order, paymentResult, { actor, role = 'system', note } = {}) => {
+    if (order.isPaid) return null;
+
+    order.paymentResult = paymentResult;
+
+    if (getCurrentStatus(order) !== 'CANCELLED') {
+        return transitionOrder(order, 'PAID', {
+            actor,
+            role,
+            action: 'PAYMENT_RECEIVED',
+            note: note || `Payment received via ${paymentResult.gateway || 'gateway'}`
+        });
+    }
+
+    order.isPaid = true;
+    order.paidAt = Date.now();
+    order.cancellation.refundAmount = roundPrice((order.cancellation.refundAmount || 0) + order.totalPrice);
+    const updatedOrder = await order.save();
+
+    await AuditLog.create({
+        orderId: order._id,
+        statusFrom: 'CANCELLED',
+        statusTo: 'CANCELLED',
+        action: 'PAYMENT_AFTER_CANCELLATION',
+        performedBy: {
+            id: actor._id,
+            name: actor.name || 'System',
+            role
+        },
+        note: `Payment ${paymentResult.id} received for an already cancelled order. Refund due: Rs. ${order.totalPrice.toFixed(2)}`
+    });
+    await recordCancellationRefund(order, actor, order.totalPrice, `Refund for Payment Received After Cancellation: ${order._id}`);
+
+    return updatedOrder;
+};
+
+/**
+ * Record the cash collected for a delivered cash on delivery order. The order is past the point where
+ * it could move to PAID, so its status stays as it is; the payment flags are set and the invoice is
+ * numbered from the collection date.
+ *
+ * @param {Document} order - Mongoose Order document
+ * @param {Object} options
+ * @param {Object} options.actor - User recording the payment (req.user)
+ * @param {String} [options.role] - Role recorded in the audit log (defaults to actor.role)
+ * @param {String} [options.note] - Audit note (e.g. courier remittance reference)
+ * @returns {Promise<Document>} The saved order
+ */
+const recordCodPayment = async (order, { actor, role, note } = {}) => {
+    if (!isCodOrder(order)) {
+        throw lifecycleError('Only cash on delivery orders can be marked paid this way');
+    }
+    if (order.isPaid) {
+        throw lifecycleError('Order is already marked as paid');
+    }
+
+    const status = getCurrentStatus(order);
+    if (!COD_COLLECTABLE_STATUSES.includes(status)) {
+        throw lifecycleError(`Cash can only be recorded once the order is delivered (order is ${status})`);
+    }
+
+    order.isPaid = true;
+    order.paidAt = Date.now();
+    order.paymentResult = { status: 'COD_COLLECTED', update_time: new Date(order.paidAt).toISOString(), gateway: 'COD' };
+    const assignedInvoiceNumbers = await assignInvoiceNumber(order);
+
+    let updatedOrder;
+    try {
+        updatedOrder = await order.save();
+    } catch (error) {
+        await Promise.all(assignedInvoiceNumbers.map(releaseInvoiceNumber));
+        throw error;
+    }
+
+    await AuditLog.create({
+        orderId: order._id,
+        statusFrom: status,
+        statusTo: status,
+        action: 'PAYMENT_RECEIVED',
+        performedBy: {
+            id: actor._id,
+            name: actor.name || 'System',
+            role: role || actor.role || 'system'
+        },
+        note: note || `Cash on delivery payment of Rs. ${order.totalPrice.toFixed(2)} recorded`
+    });
+
+    return updatedOrder;
+};
+
+/**
+ * Cancel one order line, or part of its quantity, before it ships.
+ * Restocks just that quantity, re-prices the order and records the prorated refund on the line.
+ * A line bought as part of a bundle only carries its share of the bundle price, so the whole bundle
+ * (every line in its bundleGroup) is cancelled together and never in part.
+ *
+ * @param {Document} order - Mongoose Order document
+ * @param {String} itemId - _id of the orderItems entry
+ * @param {Object} options
+ * @param {Number} [options.qty] - Quantity to cancel (defaults to everything left on the line)
+ * @param {Object} options.actor - User performing the change (req.user)
+ * @param {String} [options.role] - Role recorded in the audit log (defaults to actor.role)
+ * @param {String} [options.reason] - Cancellation reason
+ * @param {Boolean} [options.canCancelOrder=false] - Whether the actor may cancel the whole order (staff with
+ *   the orders permission). Cancelling everything that is left is a full cancellation and needs it.
+ * @returns {Promise<Document>} The saved order
+ */
+const cancelOrderItem = async (order, itemId, { qty, actor, role, reason, canCancelOrder = false } = {}) => {
+    const item = order.orderItems.id(itemId);
+    if (!item) {
+        throw lifecycleError('Item not found in order', 404);
+    }
+
+    const cancelQty = qty === undefined ? item.qty : Number(qty);
+    if (!Number.isInteger(cancelQty) || cancelQty < 1 || cancelQty > item.qty) {
+        throw lifecycleError(item.qty > 0 ? `Quantity to cancel must be between 1 and ${item.qty}` : 'Item is already cancelled');
+    }
+
+    let lines = [{ item, qty: cancelQty }];
+    if (item.bundleGroup) {
+        if (cancelQty !== item.qty) {
+            throw lifecycleError(`${item.name} is part of the ${item.bundleName || 'bundle'} and can only be cancelled with the whole bundle`);
+        }
+        lines = order.orderItems
+            .filter(i => i.bundleGroup?.equals(item.bundleGroup) && i.qty > 0)
+            .map(i => ({ item: i, qty: i.qty }));
+    }
+
+    const currentStatus = getCurrentStatus(order);
+    if (!PRE_SHIPMENT_STATUSES.includes(currentStatus)) {
+        throw lifecycleError(`Items cannot be cancelled once the order is ${currentStatus}`);
+    }
+
+    const shipmentOf = (line) => (order.subOrders || []).find(s => s.items.some(id => id.equals(line._id)));
+    const subOrders = [...new Set(lines.map(({ item: line }) => shipmentOf(line)).filter(Boolean))];
+    const shipped = subOrders.find(subOrder => !PRE_SHIPMENT_STATUSES.includes(subOrder.status));
+    if (shipped) {
+        throw lifecycleError(`Items cannot be cancelled once their shipment is ${shipped.status}`);
+    }
+
+    // Cancelling everything that is left is a full cancellation, with the same permission and guards
+    const remainingQty = order.orderItems.reduce((acc, i) => acc + i.qty, 0);
+    const linesQty = lines.reduce((acc, line) => acc + line.qty, 0);
+    if (linesQty === remainingQty) {
+        if (!canCancelOrder) {
+            throw lifecycleError('These are the last items on the order. Please request cancellation of the whole order instead.', 403);
+        }
+        return transitionOrder(order, 'CANCELLED', { actor, role, action: 'ORDER_CANCELLED', reason });
+    }
+
+    const refundAmount = cancelLines(order, lines, reason);
+
+    // A shipment with nothing left in it is cancelled
+    subOrders.forEach(subOrder => {
+        if (getSubOrderItems(order, subOrder).every(i => i.qty === 0)) {
+            subOrder.status = 'CANCELLED';
+            applySubOrderFlags(subOrder, 'CANCELLED');
+        }
+    });
+    const parentChange = syncDerivedStatus(order);
+
+    const updatedOrder = await order.save();
+
+    const description = item.bundleGroup
+        ? `${item.bundleName || 'bundle'} (${lines.map(line => `${line.qty} x ${line.item.name}`).join(', ')})`
+        : `${cancelQty} x ${item.name}`;
+
+    await AuditLog.create({
+        orderId: order._id,
+        statusFrom: parentChange?.from,
+        statusTo: parentChange?.to,
+        action: 'ITEM_CANCELLED',
+        performedBy: {
+            id: actor._id,
+            name: actor.name || 'System',
+            role: role || actor.role || 'system'
+        },
+        reason,
+        note: `Cancelled ${description}${refundAmount > 0 ? `. Refund: Rs. ${refundAmount.toFixed(2)}` : ''}`,
+        metadata: { itemId: item._id, qty: cancelQty, bundleGroup: item.bundleGroup || undefined, refundAmount }
+    });
+
+    if (refundAmount > 0) {
+        await recordCancellationRefund(order, actor, refundAmount,
+            `Partial Refund for ${description} (Order: ${order.invoiceNumber || order._id})`);
+        await issueCancellationCreditNote(order, {
+            type: 'ITEM_CANCELLATION',
+            lines,
+            amount: refundAmount,
+            reason,
+            actor
+        });
+    }
+    await restoreStock(order, lines.map(({ item: line, qty: lineQty }) => ({ product: line.product, variant: line.variant, qty: lineQty })), actor);
+
+    return updatedOrder;
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    ORDER_STATUSES,
+    isCodPaymentMethod,
+    isCodOrder,
+    getTransitionError,
+    getSubOrderTransitionError,
+    deriveOrderStatus,
+    getSubOrderItems,
+    transitionOrder,
+    transitionSubOrder,
+    recordOrderPayment,
+    recordCodPayment,
+    cancelOrderItem
+};
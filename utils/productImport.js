@@ -0,0 +1,578 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Errors raised here carry a statusCode so controllers can map them onto the response
+const importError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// CSV/JSON column -> Product field. Headers are matched case-insensitively.
+const PRODUCT_COLUMNS = [
+    'id', 'handle', 'name', 'description', 'brand', 'category', 'price', 'discountPrice', 'countInStock',
+    'isStockEnabled', 'image', 'images', 'colors', 'hsnCode', 'gstRate', 'isCodAvailable', 'estimatedDeliveryDays',
+    'isReturnable', 'returnWindowDays', 'returnType', 'returnPolicy', 'specifications', 'variants', 'submitForReview'
+];
+
+// One CSV row per variant; rows sharing a handle become one product
+const VARIANT_COLUMNS = ['sku', 'size', 'variantColor', 'barcode', 'variantPrice', 'variantDiscountPrice', 'variantStock', 'variantImages'];
+
+const COLUMN_LOOKUP = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS].reduce((acc, column) => {
+    acc[column.toLowerCase()] = column;
+    return acc;
+}, {});
+
+// Always editable, even on live seller products (matches updateSellerProduct)
+const PRICE_STOCK_FIELDS = ['price', 'discountPrice', 'countInStock'];
+const CONTENT_FIELDS = [
+    'name', 'description', 'category', 'brand', 'image', 'images', 'colors', 'specifications',
+    'isCodAvailable', 'estimatedDeliveryDays', 'returnPolicy', 'hsnCode', 'gstRate', 'isStockEnabled'
+];
+
+const IMAGE_URL = /^(https?:\/\/|\/uploads\/)\S+$/i;
+
+// --- Parsing ---
+
+// RFC 4180 style: quoted fields may hold commas, quotes ("") and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw importError('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+// Specification columns are "spec:Heading:Key" (or "spec:Key" for a General heading)
+const normalizeHeader = (header) => {
+    const trimmed = header.trim();
+    if (/^spec:/i.test(trimmed)) return `spec:${trimmed.slice(5)}`;
+    return COLUMN_LOOKUP[trimmed.toLowerCase()] || null;
+};
+
+const csvToRecords = (text) => {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length < 2) {
+        throw importError('CSV must have a header row and at least one product row');
+    }
+
+    const headers = rows[0].map(normalizeHeader);
+    const unknown = rows[0].filter((header, index) => header.trim() && !headers[index]);
+
+    const records = rows.slice(1).map((values, index) => {
+        const record = { _row: index + 2 }; // Spreadsheet row number, counting the header
+        headers.forEach((column, position) => {
+            if (column && values[position] !== undefined && values[position].trim() !== '') {
+                record[column] = values[position].trim();
+            }
+        });
+        return record;
+    });
+
+    return { records, unknownColumns: unknown };
+};
+
+const jsonToRecords = (data) => {
+    const list = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(list)) {
+        throw importError('JSON import must be an array of products or { "products": [...] }');
+    }
+    return {
+        records: list.map((item, index) => ({ ...item, _row: index + 1 })),
+        unknownColumns: []
+    };
+};
+
+/**
+ * Turn an uploaded file or a JSON body into import records.
+ *
+ * @param {Object} params
+ * @param {Object} [params.file] - multer file ({ originalname, buffer })
+ * @param {Object} [params.body] - { products: [...] } or { csv: '...' }
+ * @returns {{ records: Array, unknownColumns: Array }}
+ */
+const readImportRecords = ({ file, body }) => {
+    let parsed;
+
+    if (file) {
+        const text = file.buffer.toString('utf8');
+        if (/\.json$/i.test(file.originalname)) {
+            try {
+                parsed = jsonToRecords(JSON.parse(text));
+            } catch (error) {
+                throw error.statusCode ? error : importError(`Invalid JSON file: ${error.message}`);
+            }
+        } else {
+            parsed = csvToRecords(text);
+        }
+    } else if (Array.isArray(body?.products)) {
+        parsed = jsonToRecords(body.products);
+    } else if (typeof body?.csv === 'string') {
+        parsed = csvToRecords(body.csv);
+    } else {
+        throw importError('Upload a CSV or JSON file, or send { "products": [...] }');
+    }
+
+    if (parsed.records.length === 0) {
+        throw importError('The import has no product rows');
+    }
+    if (parsed.records.length > MAX_IMPORT_ROWS) {
+        throw importError(`An import can hold at most ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return parsed;
+};
+
+// --- Coercion ---
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value, field, errors) => {
+    if (isBlank(value)) return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        errors.push(`${field} must be a number`);
+        return undefined;
+    }
+    return number;
+};
+
+const toBoolean = (value) => {
+    if (isBlank(value)) return undefined;
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+};
+
+// Lists in CSV cells are pipe-separated, since URLs can contain commas
+const toList = (value) => {
+    if (isBlank(value)) return undefined;
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    return String(value).split('|').map(v => v.trim()).filter(Boolean);
+};
+
+const toJson = (value, field, errors) => {
+    if (isBlank(value) || typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        errors.push(`${field} is not valid JSON`);
+        return undefined;
+    }
+};
+
+const checkImages = (urls, field, errors) => {
+    (urls || []).forEach(url => {
+        if (!IMAGE_URL.test(url)) errors.push(`${field} has an invalid image URL: ${url}`);
+    });
+};
+
+const collectSpecifications = (record, errors) => {
+    const fromJson = toJson(record.specifications, 'specifications', errors);
+    if (Array.isArray(fromJson)) return fromJson;
+
+    const headings = new Map();
+    Object.keys(record).filter(key => key.startsWith('spec:')).forEach(key => {
+        const parts = key.slice(5).split(':').map(part => part.trim());
+        const [heading, specKey] = parts.length > 1 ? parts : ['General', parts[0]];
+        if (!headings.has(heading)) headings.set(heading, []);
+        headings.get(heading).push({ key: specKey, value: String(record[key]) });
+    });
+
+    if (headings.size === 0) return undefined;
+    return [...headings].map(([heading, items]) => ({ heading, items }));
+};
+
+const collectReturnPolicy = (record, errors) => {
+    const fromJson = toJson(record.returnPolicy, 'returnPolicy', errors);
+    if (fromJson) return fromJson;
+
+    if (isBlank(record.isReturnable) && isBlank(record.returnWindowDays) && isBlank(record.returnType)) return undefined;
+    return {
+        isReturnable: toBoolean(record.isReturnable) ?? true,
+        returnWindowDays: toNumber(record.returnWindowDays, 'returnWindowDays', errors) ?? 7,
+        returnType: record.returnType ? String(record.returnType).toUpperCase() : 'REFUND'
+    };
+};
+
+const recordToVariant = (record, errors) => ({
+    sku: String(record.sku).trim().toUpperCase(),
+    size: record.size,
+    color: record.variantColor,
+    barcode: record.barcode,
+    price: toNumber(record.variantPrice, 'variantPrice', errors) ?? null,
+    discountPrice: toNumber(record.variantDiscountPrice, 'variantDiscountPrice', errors) ?? null,
+    countInStock: toNumber(record.variantStock, 'variantStock', errors) ?? 0,
+    images: toList(record.variantImages) || []
+});
+
+// Product fields from the first record of a group, variants from every record carrying a SKU
+const buildProductFields = (group, errors) => {
+    const [first] = group;
+
+    const images = toList(first.images);
+    const fields = {
+        name: first.name,
+        description: first.description,
+        brand: first.brand,
+        category: first.category,
+        price: toNumber(first.price, 'price', errors),
+        discountPrice: toNumber(first.discountPrice, 'discountPrice', errors),
+        countInStock: toNumber(first.countInStock, 'countInStock', errors),
+        isStockEnabled: toBoolean(first.isStockEnabled),
+        image: first.image || images?.[0],
+        images,
+        colors: toList(first.colors),
+        hsnCode: first.hsnCode,
+        gstRate: toNumber(first.gstRate, 'gstRate', errors),
+        isCodAvailable: toBoolean(first.isCodAvailable),
+        estimatedDeliveryDays: toNumber(first.estimatedDeliveryDays, 'estimatedDeliveryDays', errors),
+        returnPolicy: collectReturnPolicy(first, errors),
+        specifications: collectSpecifications(first, errors)
+    };
+
+    let variants;
+    const jsonVariants = toJson(first.variants, 'variants', errors);
+    if (Array.isArray(jsonVariants)) {
+        variants = jsonVariants.map(v => ({ ...v, sku: v.sku ? String(v.sku).trim().toUpperCase() : v.sku }));
+    } else if (group.some(record => record.sku)) {
+        variants = group.filter(record => record.sku).map(record => recordToVariant(record, errors));
+    }
+    if (variants) fields.variants = variants;
+
+    checkImages(first.image ? [first.image] : [], 'image', errors);
+    checkImages(fields.images, 'images', errors);
+    (variants || []).forEach(v => checkImages(v.images, `variant ${v.sku} images`, errors));
+
+    // Blank cells leave the field alone (or at its default)
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+};
+
+// Rows sharing a handle are one product (one row per variant); other rows stand alone
+const groupRecords = (records) => {
+    const groups = [];
+    const byHandle = new Map();
+    records.forEach(record => {
+        const handle = record.handle ? String(record.handle).trim().toLowerCase() : null;
+        if (handle && byHandle.has(handle)) {
+            byHandle.get(handle).push(record);
+            return;
+        }
+        const group = [record];
+        if (handle) byHandle.set(handle, group);
+        groups.push(group);
+    });
+    return groups;
+};
+
+// --- Applying ---
+
+// Existing variants are matched by SKU so their _ids (held by carts and orders) survive an update
+const mergeVariants = (product, incoming, { priceStockOnly }) => {
+    const errors = [];
+    incoming.forEach(change => {
+        const existing = product.variants.find(v => v.sku === change.sku);
+        if (existing) {
+            const fields = priceStockOnly ? PRICE_STOCK_FIELDS : Object.keys(change).filter(key => key !== '_id');
+            fields.forEach(field => {
+                if (change[field] !== undefined) existing[field] = change[field];
+            });
+        } else if (priceStockOnly) {
+            errors.push(`New variant ${change.sku} needs review; live products only accept price and stock updates`);
+        } else {
+            product.variants.push(change);
+        }
+    });
+    return errors;
+};
+
+const applyUpdate = (product, fields, { isSeller, submitForReview }) => {
+    const errors = [];
+    const warnings = [];
+    const priceStockOnly = isSeller && !['DRAFT', 'REJECTED'].includes(product.listingStatus);
+
+    const ignored = CONTENT_FIELDS.filter(field => fields[field] !== undefined);
+    if (priceStockOnly && ignored.length > 0) {
+        warnings.push(`Live product: ignored ${ignored.join(', ')} (only price and stock can change without review)`);
+    }
+
+    const editable = priceStockOnly ? PRICE_STOCK_FIELDS : [...PRICE_STOCK_FIELDS, ...CONTENT_FIELDS];
+    editable.forEach(field => {
+        // Variant products take their stock total from the variants
+        if (field === 'countInStock' && (product.variants.length > 0 || fields.variants)) return;
+        if (fields[field] !== undefined) product[field] = fields[field];
+    });
+
+    if (fields.variants) {
+        errors.push(...mergeVariants(product, fields.variants, { priceStockOnly }));
+    }
+
+    if (isSeller && submitForReview && ['DRAFT', 'REJECTED'].includes(product.listingStatus)) {
+        product.listingStatus = 'UNDER_REVIEW';
+        product.reviewInfo = { ...product.reviewInfo, submittedAt: new Date(), rejectionReason: null };
+    }
+
+    return { errors, warnings };
+};
+
+// New products get the same defaults as createProduct / createSellerProduct
+const buildNewProduct = (fields, { user, seller, submitForReview }) => {
+    const images = fields.images || (fields.image ? [fields.image] : []);
+    const base = {
+        ...fields,
+        user: user._id,
+        images,
+        discountPrice: fields.discountPrice || 0,
+        countInStock: fields.countInStock || 0,
+        colors: fields.colors || [],
+        specifications: fields.specifications || [],
+        gstRate: fields.gstRate ?? null,
+        numReviews: 0
+    };
+
+    if (!seller) {
+        return new Product(base);
+    }
+
+    return new Product({
+        ...base,
+        seller: seller._id,
+        ownerType: 'SELLER',
+        estimatedDeliveryDays: fields.estimatedDeliveryDays || 7,
+        returnPolicy: fields.returnPolicy || { isReturnable: true, returnWindowDays: 7, returnType: 'REFUND' },
+        isCodAvailable: fields.isCodAvailable !== false,
+        listingStatus: submitForReview ? 'UNDER_REVIEW' : 'DRAFT',
+        isLive: false,
+        reviewInfo: submitForReview ? { submittedAt: new Date() } : {}
+    });
+};
+
+const validationMessages = async (product) => {
+    try {
+        await product.validate();
+        return [];
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return Object.values(error.errors).map(e => e.message);
+    }
+};
+
+/**
+ * Validate every product in an import and, unless it is a dry run, create or update them.
+ * Nothing is written while any product has errors.
+ *
+ * Products are updated when they carry an `id`, or a variant SKU already in the catalog;
+ * everything else is created. Seller imports follow the listing workflow: new products are
+ * DRAFT (UNDER_REVIEW with submitForReview), and live products only take price and stock changes.
+ *
+ * @param {Array} records - From readImportRecords
+ * @param {Object} options
+ * @param {Object} options.user - Importing user
+ * @param {Object} [options.seller] - Seller profile for seller imports; null for platform imports
+ * @param {Boolean} [options.dryRun=false] - Validate only
+ * @param {Boolean} [options.submitForReview=false] - Seller imports: submit new/draft products for review
+ * @param {Array} [options.allowedCategories] - Category ids a scoped admin may manage (subtrees included);
+ *   omit for unrestricted imports
+ * @returns {Promise<Object>} Report with per-product rows, errors and warnings
+ */
+const importProducts = async (records, { user, seller = null, dryRun = false, submitForReview = false, allowedCategories = null }) => {
+    const isSeller = Boolean(seller);
+    const allowed = allowedCategories ? new Set(allowedCategories.map(String)) : null;
+    const isOutside = (categoryId) => !categoryId || !allowed.has(categoryId.toString());
+    const groups = groupRecords(records);
+
+    const prepared = groups.map(group => {
+        const errors = [];
+        const fields = buildProductFields(group, errors);
+        return { group, fields, errors, warnings: [], id: group[0].id || group[0]._id };
+    });
+
+    // Category cells hold an id, slug or name; products store the id
+    const categories = new Map();
+    for (const item of prepared) {
+        const value = item.fields.category;
+        if (value === undefined) continue;
+
+        const key = String(value).trim().toLowerCase();
+        if (!categories.has(key)) categories.set(key, await Category.resolve(value));
+
+        const category = categories.get(key);
+        if (category) {
+            item.fields.category = category._id;
+        } else {
+            item.errors.push(`Category not found: ${value}`);
+            delete item.fields.category;
+        }
+    }
+
+    // Load every product the import could touch in two queries
+    const ids = prepared.map(p => p.id).filter(Boolean).map(String);
+    const skus = prepared.flatMap(p => (p.fields.variants || []).map(v => v.sku)).filter(Boolean);
+    const [byIdList, bySkuList] = await Promise.all([
+        ids.length > 0 ? Product.find({ _id: { $in: ids.filter(id => /^[a-f\d]{24}$/i.test(id)) } }) : [],
+        skus.length > 0 ? Product.find({ 'variants.sku': { $in: skus } }) : []
+    ]);
+    const productsById = new Map([...byIdList, ...bySkuList].map(p => [p._id.toString(), p]));
+    const ownerOfSku = new Map();
+    bySkuList.forEach(p => p.variants.forEach(v => ownerOfSku.set(v.sku, p._id.toString())));
+
+    const seenSkus = new Map();
+    for (const item of prepared) {
+        const rowLabel = item.group.map(r => r._row).join(', ');
+        const itemSkus = (item.fields.variants || []).map(v => v.sku);
+
+        itemSkus.forEach(sku => {
+            if (!sku) return;
+            if (seenSkus.has(sku) && seenSkus.get(sku) !== item) {
+                item.errors.push(`SKU ${sku} appears more than once in this import`);
+            }
+            seenSkus.set(sku, item);
+        });
+
+        // Target: explicit id, else the product that already owns one of these SKUs
+        let targetId = item.id ? String(item.id) : null;
+        if (!targetId) {
+            targetId = itemSkus.map(sku => ownerOfSku.get(sku)).find(Boolean) || null;
+        }
+
+        let product = targetId ? productsById.get(targetId) : null;
+        if (targetId && (!product || product.isDeleted)) {
+            item.errors.push(`Product ${targetId} not found`);
+            product = null;
+        } else if (product && isSeller && (!product.seller || product.seller.toString() !== seller._id.toString())) {
+            item.errors.push(`Product ${targetId} belongs to another seller`);
+            product = null;
+        }
+
+        itemSkus.forEach(sku => {
+            const owner = ownerOfSku.get(sku);
+            if (owner && (!product || owner !== product._id.toString())) {
+                item.errors.push(`SKU ${sku} is already used by another product`);
+            }
+        });
+
+        // Scoped admins only manage products in their assigned categories, before and after the change
+        if (allowed && item.errors.length === 0) {
+            if (product && isOutside(product.category)) {
+                item.errors.push(`Product ${product._id} is outside your assigned categories`);
+            }
+            if (item.fields.category !== undefined ? isOutside(item.fields.category) : !product) {
+                item.errors.push('Category must be one of your assigned categories');
+            }
+        }
+
+        if (item.errors.length === 0) {
+            if (product) {
+                const { errors, warnings } = applyUpdate(product, item.fields, { isSeller, submitForReview: submitForReview || toBoolean(item.group[0].submitForReview) });
+                item.errors.push(...errors);
+                item.warnings.push(...warnings);
+                item.action = 'update';
+            } else {
+                product = buildNewProduct(item.fields, { user, seller, submitForReview: submitForReview || toBoolean(item.group[0].submitForReview) });
+                item.action = 'create';
+            }
+            item.product = product;
+            item.errors.push(...await validationMessages(product));
+        }
+
+        item.rowLabel = rowLabel;
+    }
+
+    const invalid = prepared.filter(item => item.errors.length > 0).length;
+    const report = {
+        dryRun,
+        totalRows: records.length,
+        totalProducts: prepared.length,
+        valid: prepared.length - invalid,
+        invalid,
+        created: 0,
+        updated: 0,
+        failed: 0
+    };
+
+    // Saved one by one so save hooks (approval history, variant stock totals, stock ledger) run, inside one
+    // transaction: a save that still fails (e.g. a SKU taken by a concurrent edit) rolls back the whole import
+    if (!dryRun && invalid === 0) {
+        let failedItem = null;
+        try {
+            await Product.db.transaction(async (session) => {
+                for (const item of prepared) {
+                    failedItem = item;
+                    item.product._updatedBy = user._id;
+                    item.product._stockChangeReason = 'IMPORT';
+                    await item.product.save({ session });
+                }
+                failedItem = null;
+            });
+
+            prepared.forEach(item => {
+                item.status = item.action === 'create' ? 'created' : 'updated';
+                report[item.status] += 1;
+            });
+        } catch (error) {
+            prepared.forEach(item => {
+                item.status = 'failed';
+                item.errors.push(item === failedItem ? error.message : failedItem
+                    ? `Not imported: row(s) ${failedItem.rowLabel} failed and the import was rolled back`
+                    : `Not imported: ${error.message}`);
+            });
+            report.failed = prepared.length;
+        }
+    }
+
+    report.products = prepared.map(item => ({
+        rows: item.rowLabel,
+        name: item.fields.name || item.product?.name,
+        action: item.action || null,
+        status: item.status || (item.errors.length > 0 ? 'invalid' : 'valid'),
+        // New products only have an id once saved
+        productId: item.action === 'update' || item.status === 'created' ? item.product._id : null,
+        errors: item.errors,
+        warnings: item.warnings
+    }));
+
+    return report;
+};
+
+module.exports = importProducts;
+module.exports.readImportRecords = readImportRecords;
+module.exports.parseCsv = parseCsv;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
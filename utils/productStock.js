@@ -0,0 +1,65 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+// "M / Blue" for a variant line, empty for plain products
+const variantLabel = (line) => [line.size, line.color].filter(Boolean).join(' / ');
+
+/**
+ * Atomically move stock for one line by a signed quantity, refusing to go below zero,
+ * and record the movement in the stock ledger.
+ * Variant lines move the variant and the product total together so listings stay accurate.
+ *
+ * @param {Object} line - { product, variant, qty } where qty is signed
+ * @param {Object} movement - Ledger context: { reason, order, returnRequest, actor, note }
+ * @returns {Promise<Document|null>} Updated product, or null when there was not enough stock (or no such variant)
+ */
+const adjustStock = async (line, movement) => {
+    const enough = line.qty < 0 ? { countInStock: { $gte: -line.qty } } : {};
+    const updated = line.variant
+        ? await Product.findOneAndUpdate(
+            { _id: line.product, variants: { $elemMatch: { _id: line.variant, ...enough } } },
+            { $inc: { 'variants.$.countInStock': line.qty, countInStock: line.qty } },
+            { new: true }
+        )
+        : await Product.findOneAndUpdate(
+            { _id: line.product, ...enough },
+            { $inc: { countInStock: line.qty } },
+            { new: true }
+        );
+
+    if (updated) {
+        await StockMovement.record(updated, { ...movement, variant: line.variant, quantity: line.qty });
+    }
+    return updated;
+};
+
+/**
+ * Atomically take stock for one line, only if enough is left.
+ *
+ * @param {Object} line - { product, variant, qty }
+ * @param {Object} [movement] - Ledger context: { order, actor }
+ * @returns {Promise<Document|null>} Updated product, or null when stock ran out
+ */
+const reserveStock = (line, movement = {}) =>
+    adjustStock({ ...line, qty: -line.qty }, { reason: 'SALE', ...movement });
+
+/**
+ * Put stock back for one line (rollback, cancellation or return).
+ * A variant removed from the catalog since the sale cannot take stock back; that is logged, not thrown.
+ *
+ * @param {Object} line - { product, variant, qty }
+ * @param {Object} movement - Ledger context: { reason, order, returnRequest, actor, note }
+ */
+const releaseStock = async (line, movement) => {
+    const updated = await adjustStock(line, movement);
+    if (!updated && line.variant) {
+        console.warn(`[Stock] Variant ${line.variant} of product ${line.product} no longer exists; ${line.qty} unit(s) not restocked`);
+    }
+};
+
+module.exports = {
+    variantLabel,
+    adjustStock,
+    reserveStock,
+    releaseStock
+};
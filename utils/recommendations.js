@@ -0,0 +1,170 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const ProductRecommendation = require('../models/ProductRecommendation');
+
+const RECOMPUTE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const CO_OCCURRENCE_WINDOW_DAYS = 180; // Orders considered for "bought together" / "also viewed"
+const TOP_PRODUCTS_WINDOW_DAYS = 30; // Sales considered for "top products"
+const MIN_SHARED = 2; // Pairs seen fewer times than this are noise
+const MAX_BASKET = 30; // Larger baskets are truncated so pair counting stays bounded
+const MAX_RELATED = 12; // Kept per product and list
+
+// Orders that were (or still may be) fulfilled
+const countedOrders = (days) => ({
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    status: { $nin: ['PAYMENT_FAILED', 'CANCELLED'] }
+});
+
+// Products still being fulfilled on an order line (fully cancelled lines have qty 0)
+const lineProducts = {
+    $map: {
+        input: { $filter: { input: '$orderItems', cond: { $gt: ['$$this.qty', 0] } } },
+        in: '$$this.product'
+    }
+};
+
+// From documents with a de-duplicated `items` array, count how many baskets hold each item and each pair.
+// Two queries rather than a $facet, whose single result document is capped at 16MB.
+const countCoOccurrence = async (model, pipeline) => {
+    const baskets = [
+        ...pipeline,
+        { $match: { 'items.1': { $exists: true } } },
+        { $project: { items: { $slice: ['$items', MAX_BASKET] } } }
+    ];
+
+    const [supportRows, pairs] = await Promise.all([
+        model.aggregate([
+            ...baskets,
+            { $unwind: '$items' },
+            { $group: { _id: '$items', count: { $sum: 1 } } }
+        ]).allowDiskUse(true),
+        model.aggregate([
+            ...baskets,
+            { $project: { a: '$items', b: '$items' } },
+            { $unwind: '$a' },
+            { $unwind: '$b' },
+            { $match: { $expr: { $ne: ['$a', '$b'] } } },
+            { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } },
+            { $match: { count: { $gte: MIN_SHARED } } }
+        ]).allowDiskUse(true)
+    ]);
+
+    const support = new Map(supportRows.map(({ _id, count }) => [_id.toString(), count]));
+
+    // Cosine similarity, so best-sellers do not top every list just for being everywhere
+    const related = new Map();
+    for (const { _id, count } of pairs) {
+        const key = _id.a.toString();
+        const score = count / Math.sqrt(support.get(key) * support.get(_id.b.toString()));
+        if (!related.has(key)) related.set(key, []);
+        related.get(key).push({ product: _id.b, score: Math.round(score * 1000) / 1000, count });
+    }
+    related.forEach((list, key) => related.set(key, list.sort((x, y) => y.score - x.score || y.count - x.count).slice(0, MAX_RELATED)));
+    return related;
+};
+
+// Items in the same order
+const boughtTogetherPairs = () => countCoOccurrence(Order, [
+    { $match: countedOrders(CO_OCCURRENCE_WINDOW_DAYS) },
+    { $project: { items: { $setUnion: [lineProducts] } } }
+]);
+
+// Items the same shopper bought or wishlisted, across all their orders
+const alsoViewedPairs = () => countCoOccurrence(User, [
+    { $project: { items: { $ifNull: ['$wishlist', []] } } },
+    {
+        $unionWith: {
+            coll: Order.collection.name,
+            pipeline: [
+                { $match: countedOrders(CO_OCCURRENCE_WINDOW_DAYS) },
+                { $project: { _id: '$user', items: lineProducts } }
+            ]
+        }
+    },
+    { $unwind: '$items' },
+    { $group: { _id: '$_id', items: { $addToSet: '$items' } } }
+]);
+
+const salesRanking = () => Order.aggregate([
+    { $match: countedOrders(TOP_PRODUCTS_WINDOW_DAYS) },
+    { $unwind: '$orderItems' },
+    { $match: { 'orderItems.qty': { $gt: 0 } } },
+    // Per order first, so a product bought in two variants counts as one order
+    { $group: { _id: { order: '$_id', product: '$orderItems.product' }, qty: { $sum: '$orderItems.qty' } } },
+    { $group: { _id: '$_id.product', unitsSold: { $sum: '$qty' }, orderCount: { $sum: 1 } } }
+]).allowDiskUse(true);
+
+/**
+ * Rebuild every product's recommendations from recent orders and wishlists.
+ * Products that no longer have any signal lose their entry.
+ *
+ * @returns {Promise<Object>} { products, boughtTogether, alsoViewed, ranked }
+ */
+const computeRecommendations = async () => {
+    const computedAt = new Date();
+    const [boughtTogether, alsoViewed, sales] = await Promise.all([
+        boughtTogetherPairs(),
+        alsoViewedPairs(),
+        salesRanking()
+    ]);
+
+    const salesByProduct = new Map(sales.map(s => [s._id.toString(), s]));
+    const productIds = new Set([...boughtTogether.keys(), ...alsoViewed.keys(), ...salesByProduct.keys()]);
+
+    const operations = [...productIds].map(id => ({
+        updateOne: {
+            filter: { product: id },
+            update: {
+                $set: {
+                    boughtTogether: boughtTogether.get(id) || [],
+                    alsoViewed: alsoViewed.get(id) || [],
+                    unitsSold: salesByProduct.get(id)?.unitsSold || 0,
+                    orderCount: salesByProduct.get(id)?.orderCount || 0,
+                    computedAt
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    for (let start = 0; start < operations.length; start += 500) {
+        await ProductRecommendation.bulkWrite(operations.slice(start, start + 500), { ordered: false });
+    }
+    await ProductRecommendation.deleteMany({ computedAt: { $lt: computedAt } });
+
+    return {
+        products: productIds.size,
+        boughtTogether: boughtTogether.size,
+        alsoViewed: alsoViewed.size,
+        ranked: salesByProduct.size
+    };
+};
+
+// Recompute on a fixed interval for the lifetime of the server process
+const startRecommendationJob = (intervalMs = RECOMPUTE_INTERVAL_MS) => {
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { products } = await computeRecommendations();
+            console.log(`[Recommendations] Rebuilt recommendations for ${products} products`);
+        } catch (error) {
+            console.error('[Recommendations] Rebuild failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    // Build once shortly after startup so a fresh deploy is not empty until the first interval
+    setTimeout(run, 60 * 1000).unref();
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = computeRecommendations;
+module.exports.startRecommendationJob = startRecommendationJob;
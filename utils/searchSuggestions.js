@@ -0,0 +1,134 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchQuery = require('../models/SearchQuery');
+
+// The vocabulary changes only when the catalog does, so it is rebuilt at most this often
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+let vocabularyCache = null;
+let vocabularyBuiltAt = 0;
+
+const normalizeQuery = (query) => String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Queries and catalog text are split the same way, so a word found in the catalog is never "corrected"
+const splitWords = (text) => normalizeQuery(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+const tokenize = (text) => splitWords(text).filter(word => word.length > 1);
+
+// Edit distance between two words, giving up early once it exceeds maxDistance
+const levenshtein = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Words used in live product names, brands and category names, with how often each appears.
+ *
+ * @returns {Promise<Map<String, Number>>}
+ */
+const getVocabulary = async () => {
+    if (vocabularyCache && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+        return vocabularyCache;
+    }
+
+    const [products, categories] = await Promise.all([
+        Product.find({ isDeleted: { $ne: true }, isLive: { $ne: false }, listingStatus: 'APPROVED' }).select('name brand').lean(),
+        Category.find({}).select('name').lean()
+    ]);
+
+    const vocabulary = new Map();
+    const addWords = (text) => tokenize(text).forEach(word => vocabulary.set(word, (vocabulary.get(word) || 0) + 1));
+    products.forEach(p => {
+        addWords(p.name);
+        addWords(p.brand);
+    });
+    categories.forEach(c => addWords(c.name));
+
+    vocabularyCache = vocabulary;
+    vocabularyBuiltAt = Date.now();
+    return vocabulary;
+};
+
+/**
+ * Spell-correct a query word by word against the catalog vocabulary.
+ * Short words allow one typo, longer ones two; ties go to the more common word.
+ *
+ * @param {String} query
+ * @returns {Promise<String|null>} Corrected query, or null when nothing needed changing
+ */
+const correctQuery = async (query) => {
+    const vocabulary = await getVocabulary();
+    const words = splitWords(query);
+    let changed = false;
+
+    const corrected = words.map(word => {
+        if (word.length < 3 || vocabulary.has(word)) return word;
+
+        const maxDistance = word.length <= 4 ? 1 : 2;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        let bestFrequency = 0;
+
+        vocabulary.forEach((frequency, candidate) => {
+            const distance = levenshtein(word, candidate, maxDistance);
+            if (distance < bestDistance || (distance === bestDistance && frequency > bestFrequency)) {
+                best = candidate;
+                bestDistance = distance;
+                bestFrequency = frequency;
+            }
+        });
+
+        if (best && bestDistance <= maxDistance) {
+            changed = true;
+            return best;
+        }
+        return word;
+    });
+
+    return changed ? corrected.join(' ') : null;
+};
+
+/**
+ * Count a submitted search and whether it found anything. Never throws; search must not fail because of analytics.
+ *
+ * @param {String} query - Raw query as typed
+ * @param {Number} resultCount - Total matches for the query
+ */
+const recordSearchQuery = async (query, resultCount) => {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return;
+
+    try {
+        await SearchQuery.updateOne(
+            { query: normalized },
+            {
+                $inc: { count: 1, zeroResultCount: resultCount === 0 ? 1 : 0 },
+                $set: { lastResultCount: resultCount, lastSearchedAt: new Date() }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Failed to record search query:', error.message);
+    }
+};
+
+module.exports = {
+    normalizeQuery,
+    levenshtein,
+    getVocabulary,
+    correctQuery,
+    recordSearchQuery
+};
@@ -0,0 +1,147 @@
+const Category = require('../models/Category');
+const Seller = require('../models/Seller');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+
+/**
+ * Category reorder points, each falling back to its nearest ancestor that sets one.
+ *
+ * @param {Array} categoryIds - Categories to resolve
+ * @returns {Promise<Map>} category id -> threshold (null when no category in the chain sets one)
+ */
+const getCategoryThresholds = async (categoryIds) => {
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('lowStockThreshold ancestors._id').lean();
+    const ancestors = await Category.find({ _id: { $in: categories.flatMap(c => c.ancestors.map(a => a._id)) } })
+        .select('lowStockThreshold')
+        .lean();
+    const own = new Map([...categories, ...ancestors].map(c => [c._id.toString(), c.lowStockThreshold]));
+
+    return new Map(categories.map(category => {
+        const nearestFirst = [category._id, ...category.ancestors.map(a => a._id).reverse()];
+        const threshold = nearestFirst.map(id => own.get(id.toString())).find(value => value !== null && value !== undefined);
+        return [category._id.toString(), threshold ?? null];
+    }));
+};
+
+// A product's own threshold wins over its category's
+const thresholdOf = (product, categoryThresholds) =>
+    product.lowStockThreshold ?? categoryThresholds.get(String(product.category?._id || product.category)) ?? null;
+
+// Stock units (active variants, or the product itself) at or below the threshold
+const lowStockUnits = (product, threshold) => {
+    if (threshold === null || product.isStockEnabled === false) return [];
+
+    if (product.variants?.length > 0) {
+        return product.variants
+            .filter(v => v.isActive !== false && v.countInStock <= threshold)
+            .map(v => ({ variant: v._id, sku: v.sku, size: v.size, color: v.color, countInStock: v.countInStock }));
+    }
+
+    return product.countInStock <= threshold ? [{ variant: null, countInStock: product.countInStock }] : [];
+};
+
+/**
+ * Check whether taking stock just pushed a line to or below its reorder point.
+ * Only the movement that crosses the line alerts, so a product that stays low does not repeat.
+ *
+ * @param {Document} product - Product after the stock went down
+ * @param {ObjectId|null} variantId - Variant that moved, if any
+ * @param {Number} quantityTaken - Units taken out (positive)
+ * @returns {Promise<Object|null>} { product, variant, sku, size, color, countInStock, threshold } or null;
+ *   lookup errors are logged and treated as no crossing, so they never fail a sale
+ */
+const findLowStockCrossing = async (product, variantId, quantityTaken) => {
+    if (product.isStockEnabled === false || !(quantityTaken > 0)) return null;
+
+    let threshold;
+    try {
+        threshold = thresholdOf(product, await getCategoryThresholds([product.category]));
+    } catch (error) {
+        console.error(`[Low Stock] Threshold lookup for product ${product._id} failed:`, error.message);
+        return null;
+    }
+    if (threshold === null) return null;
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const after = variant ? variant.countInStock : product.countInStock;
+    if (after > threshold || after + quantityTaken <= threshold) return null;
+
+    return {
+        product,
+        variant: variant?._id || null,
+        sku: variant?.sku,
+        size: variant?.size,
+        color: variant?.color,
+        countInStock: after,
+        threshold
+    };
+};
+
+// Seller products alert the seller; platform products alert the admins assigned to the category
+// (or one of its parents), and super admins when nobody is assigned
+const findAlertRecipients = async (product) => {
+    if (product.seller) {
+        const seller = await Seller.findById(product.seller).populate('user', 'name email');
+        return seller?.user ? [seller.user] : [];
+    }
+
+    const category = await Category.findById(product.category).select('ancestors._id');
+    const categoryIds = category ? [category._id, ...category.ancestors.map(a => a._id)] : [];
+    const assigned = await User.find({ role: 'admin', assignedCategories: { $in: categoryIds } }).select('name email');
+    return assigned.length > 0 ? assigned : User.find({ role: 'super_admin' }).select('name email');
+};
+
+/**
+ * Tell product owners about low-stock crossings by socket ('low_stock_alert' to each user's room) and email.
+ * Failures are logged; alerts never fail the stock change that triggered them.
+ *
+ * @param {Array} crossings - Results of findLowStockCrossing
+ * @param {Object} [io] - Socket.io server (req.io)
+ */
+const notifyLowStock = async (crossings, io) => {
+    for (const crossing of crossings) {
+        const { product } = crossing;
+        const label = [crossing.size, crossing.color].filter(Boolean).join(' / ');
+        const itemName = `${product.name}${label ? ` (${label})` : ''}`;
+
+        try {
+            const recipients = await findAlertRecipients(product);
+            const alert = {
+                productId: product._id,
+                name: product.name,
+                variant: crossing.variant,
+                sku: crossing.sku,
+                countInStock: crossing.countInStock,
+                threshold: crossing.threshold
+            };
+
+            recipients.forEach(user => io?.to(user._id.toString()).emit('low_stock_alert', alert));
+
+            for (const user of recipients.filter(u => u.email)) {
+                try {
+                    await sendEmail({
+                        to: user.email,
+                        subject: `Low Stock: ${itemName}`,
+                        html: `
+                            <h2>Time to Restock</h2>
+                            <p><strong>${itemName}</strong>${crossing.sku ? ` (SKU ${crossing.sku})` : ''} is down to <strong>${crossing.countInStock}</strong> unit(s), at or below its reorder point of ${crossing.threshold}.</p>
+                            <p>Restock soon to avoid missing sales.</p>
+                        `
+                    });
+                } catch (error) {
+                    console.error(`[Low Stock] Email to ${user.email} failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error(`[Low Stock] Alert for ${itemName} failed:`, error.message);
+        }
+    }
+};
+
+module.exports = {
+    getCategoryThresholds,
+    thresholdOf,
+    lowStockUnits,
+    findLowStockCrossing,
+    notifyLowStock
+};
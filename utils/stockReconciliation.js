@@ -0,0 +1,93 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+
+const RECONCILE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compare every product's stock with the sum of its ledger entries.
+ * Products that disagree are flagged with stockCheck.status = 'MISMATCH' and the per-variant
+ * discrepancies; products that agree are marked 'OK'. Nothing about the stock itself is changed.
+ *
+ * @returns {Promise<Object>} { checked, mismatched, products: [{ _id, name, discrepancies }] }
+ */
+const reconcileStock = async () => {
+    const sums = await StockMovement.aggregate([
+        { $group: { _id: { product: '$product', variant: '$variant' }, quantity: { $sum: '$quantity' } } }
+    ]);
+    const ledger = new Map();
+    sums.forEach(({ _id, quantity }) => {
+        const key = _id.product.toString();
+        if (!ledger.has(key)) ledger.set(key, {});
+        ledger.get(key)[_id.variant ? _id.variant.toString() : ''] = quantity;
+    });
+
+    const result = { checked: 0, mismatched: 0, products: [] };
+    const checkedAt = new Date();
+
+    const cursor = Product.find({})
+        .select('name countInStock variants._id variants.sku variants.countInStock stockCheck.status')
+        .lean()
+        .cursor();
+
+    for await (const product of cursor) {
+        result.checked++;
+
+        const actual = StockMovement.stockBuckets(product);
+        const expected = ledger.get(product._id.toString()) || {};
+        const discrepancies = [...new Set([...Object.keys(actual), ...Object.keys(expected)])]
+            .filter(key => (actual[key] || 0) !== (expected[key] || 0))
+            .map(key => ({
+                variant: key || null,
+                sku: key ? product.variants.find(v => v._id.toString() === key)?.sku : undefined,
+                ledgerBalance: expected[key] || 0,
+                countInStock: actual[key] || 0
+            }));
+
+        const status = discrepancies.length > 0 ? 'MISMATCH' : 'OK';
+        if (status === 'MISMATCH') {
+            result.mismatched++;
+            result.products.push({ _id: product._id, name: product.name, discrepancies });
+        }
+
+        // Skip the write for products that were fine and still are
+        if (status === 'MISMATCH' || product.stockCheck?.status !== 'OK') {
+            await Product.updateOne(
+                { _id: product._id },
+                { $set: { stockCheck: { status, checkedAt, discrepancies } } },
+                { timestamps: false }
+            );
+        }
+    }
+
+    return result;
+};
+
+// Run the check on a fixed interval for the lifetime of the server process
+const startStockReconciliationJob = (intervalMs = RECONCILE_INTERVAL_MS) => {
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { checked, mismatched } = await reconcileStock();
+            if (mismatched) {
+                console.warn(`[Stock Reconciliation] ${mismatched} of ${checked} products do not match the stock ledger`);
+            }
+        } catch (error) {
+            console.error('[Stock Reconciliation] Check failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    // Also check shortly after startup, so a server restarted more often than the interval still reconciles
+    setTimeout(run, 60 * 1000).unref();
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = reconcileStock;
+module.exports.startStockReconciliationJob = startStockReconciliationJob;
@@ -0,0 +1,33 @@
+const Order = require('../models/Order');
+
+/**
+ * Most recent delivered line of a product in the user's orders. This is what "verified buyer" means
+ * across the catalog (reviews, answer upvotes).
+ * A line counts once its shipment (sub-order) is delivered; orders without sub-orders use the order status.
+ *
+ * @param {ObjectId|String} userId - Buyer
+ * @param {ObjectId|String} productId - Product bought
+ * @param {ObjectId|String} [orderId] - Only look in this order
+ * @returns {Promise<Object|null>} { order, line }
+ */
+const findDeliveredLine = async (userId, productId, orderId) => {
+    const orders = await Order.find({
+        user: userId,
+        'orderItems.product': productId,
+        ...(orderId ? { _id: orderId } : {}),
+        $or: [{ status: 'DELIVERED' }, { isDelivered: true }, { 'subOrders.status': 'DELIVERED' }]
+    }).sort({ createdAt: -1 });
+
+    for (const order of orders) {
+        const line = order.orderItems.find(item => {
+            if (item.product.toString() !== productId.toString() || item.qty <= 0) return false;
+            if (order.subOrders.length === 0) return order.status === 'DELIVERED' || order.isDelivered;
+            const shipment = order.subOrders.find(sub => sub.items.some(id => id.toString() === item._id.toString()));
+            return shipment?.status === 'DELIVERED';
+        });
+        if (line) return { order, line };
+    }
+    return null;
+};
+
+module.exports = { findDeliveredLine };